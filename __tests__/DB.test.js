@@ -5,6 +5,7 @@ const {
   ConnectionParameterError,
   RepositoriesParameterError,
   DBError,
+  SerializationFailureError,
 } = require('../db/errors'); // Import your custom error classes
 const DB = require('../db/DB'); // Import the DB class to be tested
 const Model = require('../db/Model'); // Import the Model class to be tested
@@ -93,4 +94,128 @@ describe('DB', () => {
     expect(DB.db).toBe('initialized');
     expect(DB.pgp).toBe('initialized');
   });
+
+  describe('transaction', () => {
+    let t;
+
+    beforeEach(() => {
+      t = { users: {} };
+      t.tx = jest.fn((options, cb) => cb(t));
+      DB.db = { tx: jest.fn((options, cb) => cb(t)) };
+    });
+
+    test('should throw DBError if the database is not initialized', async () => {
+      DB.db = undefined;
+
+      await expect(DB.transaction(async () => {})).rejects.toThrow(
+        'Database has not been initialized.'
+      );
+    });
+
+    test('should throw DBError if the callback is not a function', async () => {
+      await expect(DB.transaction('invalid')).rejects.toThrow(
+        'Transaction callback must be a function.'
+      );
+    });
+
+    test('should run the callback with the transaction context', async () => {
+      const result = await DB.transaction(async (tx) => {
+        expect(tx).toBe(t);
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(DB.db.tx).toHaveBeenCalledWith({}, expect.any(Function));
+    });
+
+    test('should pass tag and mode to pg-promise', async () => {
+      await DB.transaction(async () => {}, { tag: 'import', mode: 'mode' });
+
+      expect(DB.db.tx).toHaveBeenCalledWith(
+        { tag: 'import', mode: 'mode' },
+        expect.any(Function)
+      );
+    });
+
+    test('should rethrow DBError instances unchanged', async () => {
+      const error = new DBError('Insert failed');
+
+      await expect(
+        DB.transaction(async () => {
+          throw error;
+        })
+      ).rejects.toBe(error);
+    });
+
+    test('should wrap other errors in a DBError', async () => {
+      const error = new Error('boom');
+      const transaction = DB.transaction(async () => {
+        throw error;
+      });
+
+      await expect(transaction).rejects.toBeInstanceOf(DBError);
+      await expect(transaction).rejects.toMatchObject({
+        message: 'boom',
+        cause: error,
+      });
+    });
+
+    test('should wrap a rejection without an error in a DBError', async () => {
+      await expect(
+        DB.transaction(() => Promise.reject(null))
+      ).rejects.toBeInstanceOf(DBError);
+      await expect(
+        DB.transaction(() => Promise.reject(undefined))
+      ).rejects.toBeInstanceOf(DBError);
+    });
+
+    test('should map PostgreSQL errors to their DBError subclass', async () => {
+      const error = Object.assign(
+        new Error('could not serialize access due to concurrent update'),
+        { code: '40001' }
+      );
+
+      const err = await DB.transaction(async () => {
+        throw error;
+      }).catch((e) => e);
+
+      expect(err).toBeInstanceOf(SerializationFailureError);
+      expect(err).toBeInstanceOf(DBError);
+      expect(err.code).toBe('40001');
+      expect(err.cause).toBe(error);
+    });
+
+    test('should add a transaction method to every context', () => {
+      DB.db = undefined;
+      const db = DB.init(connection, { users: Users });
+
+      expect(typeof db.transaction).toBe('function');
+    });
+
+    test('should expose transaction-bound repositories inside a transaction', async () => {
+      DB.db = undefined;
+      const db = DB.init(connection, { users: Users });
+      const ctx = { tx: jest.fn() };
+
+      // pg-promise calls extend for every new task or transaction context
+      db.$config.options.extend(ctx);
+
+      expect(ctx.users).toBeInstanceOf(Users);
+      expect(ctx.users.db).toBe(ctx);
+      expect(ctx.users).not.toBe(db.users);
+    });
+
+    test('should open a savepoint for nested transactions', async () => {
+      DB.db = undefined;
+      const db = DB.init(connection, { users: Users });
+      const ctx = { tx: jest.fn((options, cb) => cb(ctx)) };
+      db.$config.options.extend(ctx);
+
+      await ctx.transaction(async (sp) => {
+        expect(sp).toBe(ctx);
+      });
+
+      expect(ctx.tx).toHaveBeenCalledWith({}, expect.any(Function));
+    });
+  });
 });
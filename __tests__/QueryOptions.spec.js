@@ -37,12 +37,19 @@ describe('QueryOptions', () => {
         conditions: [],
         orderBy: '',
         limit: undefined,
+        exactLimit: false,
         offset: undefined,
         joins: [],
         aggregates: [],
         groupBy: '',
         values: [],
         includeTimestamps: false,
+        ctes: [],
+        setOperations: [],
+        windows: [],
+        namedWindows: [],
+        having: [],
+        distinctOn: '',
       });
     });
   });
@@ -73,12 +80,19 @@ describe('QueryOptions', () => {
         conditions: [],
         orderBy: '',
         limit: undefined,
+        exactLimit: false,
         offset: undefined,
         joins: [],
         aggregates: [],
         groupBy: '',
         values: [],
         includeTimestamps: false,
+        ctes: [],
+        setOperations: [],
+        windows: [],
+        namedWindows: [],
+        having: [],
+        distinctOn: '',
       });
     });
 
@@ -276,12 +290,19 @@ describe('QueryOptions', () => {
         conditions: [],
         orderBy: '',
         limit: undefined,
+        exactLimit: false,
         offset: undefined,
         joins: [],
         aggregates: [],
         groupBy: '',
         values: [],
         includeTimestamps: false,
+        ctes: [],
+        setOperations: [],
+        windows: [],
+        namedWindows: [],
+        having: [],
+        distinctOn: '',
       });
     });
   });
@@ -431,6 +452,14 @@ describe('QueryOptions', () => {
       qo.setLimit(5);
       expect(qo.limit).toBe(10);
     });
+
+    it('should keep a limit below 10 when it is exact', () => {
+      qo.setLimit(3, { exact: true });
+      expect(qo.limit).toBe(3);
+
+      qo.Options = qo.Options;
+      expect(qo.limit).toBe(3);
+    });
   });
 
   describe('setOffset', () => {
@@ -581,6 +610,196 @@ describe('QueryOptions', () => {
     });
   });
 
+  describe('addAggregate options', () => {
+    it('should keep the DISTINCT and FILTER options', () => {
+      const filter = { field: 'status', operator: '=', value: 'paid' };
+      qo.addAggregate('COUNT', 'user_id', 'buyers', { distinct: true, filter });
+
+      expect(qo.aggregates).toEqual([
+        {
+          func: 'COUNT',
+          field: 'user_id',
+          alias: 'buyers',
+          distinct: true,
+          filter,
+        },
+      ]);
+    });
+
+    it('should throw an error for an invalid DISTINCT or FILTER option', () => {
+      expect(() =>
+        qo.addAggregate('COUNT', 'id', 'n', { distinct: 'yes' })
+      ).toThrow('Invalid DISTINCT option.');
+      expect(() =>
+        qo.addAggregate('COUNT', 'id', 'n', { filter: 'paid' })
+      ).toThrow('Invalid aggregate filter.');
+    });
+  });
+
+  describe('addHaving', () => {
+    it('should add a HAVING condition', () => {
+      const condition = { field: 'COUNT(*)', operator: '>', value: 1 };
+      qo.Options = { having: [condition] };
+
+      expect(qo.having).toEqual([condition]);
+      expect(qo.addHaving([condition])).toBe(qo);
+    });
+
+    it('should throw an error for an invalid condition', () => {
+      expect(() => qo.addHaving('COUNT(*) > 1')).toThrow(
+        'Invalid HAVING condition(s).'
+      );
+    });
+  });
+
+  describe('setDistinctOn', () => {
+    it('should set the DISTINCT ON expressions', () => {
+      expect(qo.setDistinctOn(['user_id', 'day'])).toBe(qo);
+      expect(qo.distinctOn).toBe('user_id, day');
+    });
+
+    it('should throw an error for an invalid clause', () => {
+      expect(() => qo.setDistinctOn(1)).toThrow('Invalid DISTINCT ON clause.');
+    });
+  });
+
+  describe('addCte', () => {
+    it('should add a common table expression', () => {
+      qo.addCte('recent', 'SELECT 1', { recursive: 1, materialized: true });
+
+      expect(qo.ctes).toEqual([
+        {
+          name: 'recent',
+          query: 'SELECT 1',
+          recursive: true,
+          materialized: true,
+          columns: undefined,
+          values: [],
+        },
+      ]);
+    });
+
+    it('should set the CTEs from the options object', () => {
+      qo.Options = { ctes: [{ name: 'a', query: 'SELECT $1', values: [1] }] };
+
+      expect(qo.Options.ctes).toMatchObject([
+        { name: 'a', query: 'SELECT $1', values: [1] },
+      ]);
+    });
+
+    it('should return the QueryOptions instance for method chaining', () => {
+      expect(qo.addCte('a', 'SELECT 1')).toBe(qo);
+    });
+
+    it('should throw an error for an invalid name, query or option', () => {
+      expect(() => qo.addCte('', 'SELECT 1')).toThrow('Invalid CTE name.');
+      expect(() => qo.addCte('a', 42)).toThrow('Invalid CTE query.');
+      expect(() => qo.addCte('a', 'SELECT 1', { materialized: 'yes' })).toThrow(
+        'Invalid CTE materialization.'
+      );
+      expect(() => qo.addCte('a', 'SELECT 1', { columns: 'id' })).toThrow(
+        'Invalid CTE columns.'
+      );
+      expect(() => qo.addCte('a', 'SELECT 1', { values: 1 })).toThrow(
+        'Invalid CTE values.'
+      );
+    });
+  });
+
+  describe('addSetOperation', () => {
+    it('should add set operations with the shorthand methods', () => {
+      qo.union('SELECT 1', 'SELECT 2')
+        .unionAll('SELECT 3')
+        .intersect('SELECT 4')
+        .except('SELECT 5')
+        .addSetOperation('except all', 'SELECT 6');
+
+      expect(qo.setOperations).toEqual([
+        { type: 'UNION', query: 'SELECT 1' },
+        { type: 'UNION', query: 'SELECT 2' },
+        { type: 'UNION ALL', query: 'SELECT 3' },
+        { type: 'INTERSECT', query: 'SELECT 4' },
+        { type: 'EXCEPT', query: 'SELECT 5' },
+        { type: 'EXCEPT ALL', query: 'SELECT 6' },
+      ]);
+    });
+
+    it('should return the QueryOptions instance for method chaining', () => {
+      expect(qo.addSetOperation('UNION', 'SELECT 1')).toBe(qo);
+    });
+
+    it('should throw an error for an invalid type or query', () => {
+      expect(() => qo.addSetOperation('JOIN', 'SELECT 1')).toThrow(
+        'Invalid set operation.'
+      );
+      expect(() => qo.union('')).toThrow('Invalid set operation query.');
+    });
+  });
+
+  describe('addWindow', () => {
+    it('should add a window function', () => {
+      qo.addWindow('LAG', ['amount', 1], 'previous', {
+        partitionBy: 'user_id',
+        orderBy: 'created_at',
+        frame: 'ROWS UNBOUNDED PRECEDING',
+      });
+
+      expect(qo.windows).toEqual([
+        {
+          func: 'LAG',
+          field: ['amount', 1],
+          alias: 'previous',
+          window: undefined,
+          partitionBy: 'user_id',
+          orderBy: 'created_at',
+          frame: 'ROWS UNBOUNDED PRECEDING',
+        },
+      ]);
+    });
+
+    it('should set the windows from the options object', () => {
+      qo.Options = {
+        windows: [{ func: 'RANK', alias: 'rank', window: 'w' }],
+        namedWindows: [{ name: 'w', orderBy: 'score DESC' }],
+      };
+
+      expect(qo.Options.windows).toMatchObject([
+        { func: 'RANK', alias: 'rank', window: 'w' },
+      ]);
+      expect(qo.Options.namedWindows).toMatchObject([
+        { name: 'w', orderBy: 'score DESC' },
+      ]);
+    });
+
+    it('should return the QueryOptions instance for method chaining', () => {
+      expect(qo.addWindow('ROW_NUMBER', null, 'n')).toBe(qo);
+      expect(qo.defineWindow('w')).toBe(qo);
+    });
+
+    it('should throw an error for an invalid function, argument or window', () => {
+      expect(() => qo.addWindow('', null, 'n')).toThrow(
+        'Invalid window function.'
+      );
+      expect(() => qo.addWindow('SQRT', 'x', 'n')).toThrow(
+        'Invalid window function name.'
+      );
+      expect(() => qo.addWindow('LAG', [], 'n')).toThrow(
+        'Invalid window function arguments.'
+      );
+      expect(() => qo.addWindow('RANK', null, '')).toThrow('Invalid alias.');
+      expect(() => qo.addWindow('RANK', null, 'n', { orderBy: 1 })).toThrow(
+        'Invalid window ORDER BY clause.'
+      );
+      expect(() =>
+        qo.addWindow('RANK', null, 'n', { window: 'w', partitionBy: 'id' })
+      ).toThrow('A window based on another can not set partitionBy.');
+      expect(() => qo.defineWindow('w', { frame: {} })).toThrow(
+        'Invalid window frame.'
+      );
+      expect(() => qo.defineWindow(null)).toThrow('Invalid window name.');
+    });
+  });
+
   describe('setGroupBy', () => {
     it('should set the GROUP BY clause', () => {
       qo.setGroupBy('field1');
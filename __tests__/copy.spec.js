@@ -0,0 +1,348 @@
+'./__tests__/copy.spec.js';
+
+/**
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+const { Readable, Writable } = require('stream');
+const pgp = require('pg-promise')({ capSQL: true });
+const Model = require('../db/Model');
+const { DBError, ValidationError } = require('../db/errors');
+const { readCsv, parseArrayLiteral, csvLine } = require('../db/copyFormats');
+
+// COPY streams that record what they are sent instead of talking to the
+// server
+jest.mock('pg-copy-streams', () => {
+  const stream = require('stream');
+  return {
+    from: jest.fn((text) => {
+      const copy = new stream.Writable({
+        write(chunk, encoding, callback) {
+          copy.data += chunk;
+          callback();
+        },
+        final(callback) {
+          copy.rowCount = copy.data.split('\n').length - 1;
+          callback();
+        },
+      });
+      return Object.assign(copy, { text, data: '' });
+    }),
+    to: jest.fn((text) =>
+      Object.assign(stream.Readable.from(['1,John\n', '2,Jane\n']), {
+        text,
+        rowCount: 2,
+      })
+    ),
+  };
+});
+const copyStreams = require('pg-copy-streams');
+
+const schema = {
+  tableName: 'users',
+  timeStamps: true,
+  columns: {
+    id: { type: 'serial', primaryKey: true },
+    name: { type: 'varchar(10)', nullable: false },
+    email: { type: 'varchar(255)', nullable: false },
+    age: { type: 'integer', nullable: true },
+  },
+};
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('COPY', () => {
+  let dbStub;
+  let connection;
+  let model;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connection = {
+      client: { query: jest.fn((copy) => copy) },
+      done: jest.fn(),
+    };
+    dbStub = { connect: jest.fn().mockResolvedValue(connection) };
+    model = new Model(dbStub, pgp, schema);
+  });
+
+  describe('readCsv', () => {
+    it('should read quoted fields, escaped quotes, line breaks and nulls', async () => {
+      const records = await collect(
+        readCsv(
+          Readable.from([
+            'a,"b ""c""",\r\n',
+            '"multi\nline","",x\n\n',
+            'last',
+            ',"open',
+          ])
+        )
+      );
+
+      expect(records).toEqual([
+        { line: 1, values: ['a', 'b "c"', null] },
+        { line: 2, values: ['multi\nline', '', 'x'] },
+        { line: 5, error: 'Unterminated quoted field.' },
+      ]);
+    });
+
+    it('should keep multi-byte characters split across chunks', async () => {
+      const bytes = Buffer.from('naïve;x\n');
+      const records = await collect(
+        readCsv(Readable.from([bytes.subarray(0, 3), bytes.subarray(3)]), ';')
+      );
+
+      expect(records).toEqual([{ line: 1, values: ['naïve', 'x'] }]);
+    });
+  });
+
+  describe('parseArrayLiteral', () => {
+    it('should read quoted, unquoted, null and nested elements', () => {
+      expect(parseArrayLiteral('{a, "b \\"c\\"",NULL,"NULL"}')).toEqual([
+        'a',
+        'b "c"',
+        null,
+        'NULL',
+      ]);
+      expect(parseArrayLiteral('{{1,2},{3,4}}')).toEqual([
+        ['1', '2'],
+        ['3', '4'],
+      ]);
+      expect(parseArrayLiteral('{}')).toEqual([]);
+    });
+
+    it('should return undefined for text that is not an array literal', () => {
+      ['a,b', '{a', '{a,}', '{a}b', '{"a"b}'].forEach((text) =>
+        expect(parseArrayLiteral(text)).toBeUndefined()
+      );
+    });
+  });
+
+  describe('csvLine', () => {
+    it('should quote every value and leave nulls empty', () => {
+      expect(csvLine(['a"b', 1, null, { x: 1 }])).toBe(
+        '"a""b","1",,"{""x"":1}"\n'
+      );
+    });
+
+    it('should write arrays as array literals, except in json columns', () => {
+      expect(
+        csvLine(
+          [
+            ['a', 'b"c', null],
+            [
+              [1, 2],
+              [3, 4],
+            ],
+            ['d\\e'],
+            [1, { x: 2 }],
+          ],
+          ['text[]', 'integer[][]', 'varchar(10)[]', 'jsonb']
+        )
+      ).toBe(
+        '"{""a"",""b\\""c"",NULL}","{{""1"",""2""},{""3"",""4""}}","{""d\\\\e""}","[1,{""x"":2}]"\n'
+      );
+    });
+  });
+
+  describe('importFrom', () => {
+    it('should copy the valid lines and report the bad ones', async () => {
+      const file = Readable.from([
+        'E-mail,name,age\n',
+        'john@doe.com,John,30\n',
+        'jane@doe.com,Jane,old\n',
+        'bad@doe.com,Bad\n',
+        'jim@doe.com,Jim,\n',
+      ]);
+
+      const { rowCount, badLines } = await model.importFrom(file, {
+        columns: { 'E-mail': 'email' },
+        createdBy: 'import',
+      });
+
+      const copy = copyStreams.from.mock.results[0].value;
+      expect(copy.text).toBe(
+        'COPY users ("email", "name", "age", "created_by") FROM STDIN WITH (FORMAT csv)'
+      );
+      expect(copy.data).toBe(
+        '"john@doe.com","John","30","import"\n' +
+          '"jim@doe.com","Jim",,"import"\n'
+      );
+      expect(rowCount).toBe(2);
+      expect(badLines.map(({ line }) => line)).toEqual([3, 4]);
+      expect(badLines[0].error).toBeInstanceOf(ValidationError);
+      expect(badLines[0].error.errors).toEqual({
+        age: ['must be an integer'],
+      });
+      expect(badLines[1].error.message).toBe('Expected 3 fields, found 2.');
+      expect(connection.done).toHaveBeenCalledTimes(1);
+    });
+
+    it('should import JSON lines with the keys of the first object', async () => {
+      const file = Readable.from([
+        'not json\n{"name":"John","email":"john@doe.com","created_by":"x"}\n',
+        '[1]\n{"name":"Jane","email":"jane@doe.com","extra":1}\n',
+      ]);
+
+      const { rowCount, badLines } = await model.importFrom(file, {
+        format: 'jsonl',
+      });
+
+      const copy = copyStreams.from.mock.results[0].value;
+      expect(copy.text).toBe(
+        'COPY users ("name", "email", "created_by") FROM STDIN WITH (FORMAT csv)'
+      );
+      expect(copy.data).toBe('"John","john@doe.com","x"\n');
+      expect(rowCount).toBe(1);
+      expect(badLines.map(({ line, error }) => [line, error.message])).toEqual([
+        [1, 'Invalid JSON.'],
+        [3, 'Not a JSON object.'],
+        [4, 'Validation failed: created_by can not be null.'],
+      ]);
+    });
+
+    it('should import arrays as array literals, and as JSON in jsonb columns', async () => {
+      const tagged = new Model(dbStub, pgp, {
+        tableName: 'posts',
+        columns: {
+          id: { type: 'serial', primaryKey: true },
+          tags: { type: 'text[]' },
+          meta: { type: 'jsonb' },
+        },
+      });
+
+      await tagged.importFrom(
+        Readable.from(['{"tags":["a","b"],"meta":["a","b"]}\n']),
+        { format: 'jsonl', createdBy: 'x' }
+      );
+
+      expect(copyStreams.from.mock.results[0].value.data).toBe(
+        '"{""a"",""b""}","[""a"",""b""]","x"\n'
+      );
+    });
+
+    it('should import the array literals of a CSV file', async () => {
+      const tagged = new Model(dbStub, pgp, {
+        tableName: 'posts',
+        columns: {
+          id: { type: 'serial', primaryKey: true },
+          tags: { type: 'text[]' },
+          scores: { type: 'integer[]' },
+        },
+      });
+
+      const { rowCount, badLines } = await tagged.importFrom(
+        Readable.from([
+          'tags,scores\n"{a,""b c"",NULL}","{1, 2}"\n',
+          '"a,b",{}\n{x},"{1,x}"\n',
+        ]),
+        { createdBy: 'x' }
+      );
+
+      expect(copyStreams.from.mock.results[0].value.data).toBe(
+        '"{""a"",""b c"",NULL}","{""1"",""2""}","x"\n'
+      );
+      expect(rowCount).toBe(1);
+      expect(badLines.map(({ line, error }) => [line, error.message])).toEqual([
+        [3, 'Validation failed: tags must be an array.'],
+        [4, 'Validation failed: scores must be an integer.'],
+      ]);
+    });
+
+    it('should read a CSV file without header in the order of columns', async () => {
+      await model.importFrom(Readable.from(['a@b.c;Al\n']), {
+        columns: ['email', 'name'],
+        header: false,
+        delimiter: ';',
+        createdBy: 'import',
+      });
+
+      expect(copyStreams.from.mock.results[0].value.data).toBe(
+        '"a@b.c","Al","import"\n'
+      );
+    });
+
+    it('should throw an exception for invalid options or columns', async () => {
+      const file = () => Readable.from(['password\nx\n']);
+
+      await expect(model.importFrom(file(), { format: 'xml' })).rejects.toThrow(
+        "Invalid import format 'xml'."
+      );
+      await expect(model.importFrom(file(), {})).rejects.toThrow(
+        "Unknown column 'password'."
+      );
+      await expect(
+        model.importFrom(Readable.from(['name,email\n']))
+      ).rejects.toThrow('importFrom requires createdBy to fill created_by.');
+      await expect(model.importFrom(file(), { header: false })).rejects.toThrow(
+        'Importing a CSV file without header requires columns.'
+      );
+      expect(copyStreams.from).not.toHaveBeenCalled();
+      expect(connection.done).toHaveBeenCalledTimes(3);
+    });
+
+    it('should refuse to run in a transaction', async () => {
+      dbStub.ctx = { inTransaction: true };
+
+      await expect(model.importFrom(Readable.from([]))).rejects.toThrow(
+        new DBError('importFrom can not run in a task or transaction.')
+      );
+    });
+  });
+
+  describe('exportTo', () => {
+    const sink = () => {
+      const output = new Writable({
+        write(chunk, encoding, callback) {
+          output.data += chunk;
+          callback();
+        },
+      });
+      output.data = '';
+      return output;
+    };
+
+    it('should write the CSV of the query to the stream', async () => {
+      const output = sink();
+
+      const result = await model.exportTo(output, {
+        fields: 'id, name',
+        conditions: [{ field: 'name', operator: 'LIKE', value: "J'%" }],
+        delimiter: ';',
+      });
+
+      expect(copyStreams.to).toHaveBeenCalledWith(
+        "COPY (SELECT id, name FROM users WHERE name LIKE 'J''%') TO STDOUT WITH (FORMAT csv, HEADER true, DELIMITER ';')"
+      );
+      expect(output.data).toBe('1,John\n2,Jane\n');
+      expect(output.writableFinished).toBe(true);
+      expect(result).toEqual({ rowCount: 2 });
+      expect(connection.done).toHaveBeenCalledTimes(1);
+    });
+
+    it('should export JSON lines', async () => {
+      await model.exportTo(sink(), { format: 'jsonl', header: false });
+
+      expect(copyStreams.to).toHaveBeenCalledWith(
+        "COPY (SELECT row_to_json(r) FROM (SELECT * FROM users) r) TO STDOUT WITH (FORMAT csv, QUOTE E'\\x01', DELIMITER E'\\x02')"
+      );
+    });
+
+    it('should throw an exception for an invalid format', async () => {
+      await expect(model.exportTo(sink(), { format: 'xml' })).rejects.toThrow(
+        "Invalid export format 'xml'."
+      );
+      expect(dbStub.connect).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,360 @@
+'./__tests__/migrationRunner.spec.js';
+
+/**
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const pgp = require('pg-promise')({ capSQL: true });
+const MigrationRunner = require('../db/MigrationRunner');
+const { DBError, MigrationError, MigrationLockError } = require('../db/errors');
+const { parseArgs } = require('../bin/nap-db');
+
+const writeMigration = (directory, file, body) => {
+  fs.writeFileSync(path.join(directory, file), body);
+  return crypto.createHash('sha256').update(body).digest('hex');
+};
+
+describe('MigrationRunner', () => {
+  let directory;
+  let dbStub;
+  let runner;
+  let calls;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nap-db-migrations-'));
+    global.__migrationCalls = calls = [];
+
+    dbStub = {
+      none: jest.fn().mockResolvedValue(),
+      one: jest.fn().mockResolvedValue({ locked: true }),
+      manyOrNone: jest.fn().mockResolvedValue([]),
+    };
+    dbStub.task = jest.fn((tag, cb) => cb(dbStub));
+    dbStub.tx = jest.fn((tag, cb) => cb(dbStub));
+
+    runner = new MigrationRunner(dbStub, pgp, { directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    delete global.__migrationCalls;
+  });
+
+  const migration = (name) => `module.exports = {
+  async up(t) { global.__migrationCalls.push('up:${name}'); await t.none('UP ${name}'); },
+  async down(t) { global.__migrationCalls.push('down:${name}'); await t.none('DOWN ${name}'); },
+};
+`;
+
+  describe('constructor', () => {
+    it('should throw an exception if the database object is not defined', () => {
+      expect(() => new MigrationRunner(null, pgp)).toThrow('Invalid database.');
+    });
+
+    it('should throw an exception if the pg-promise object is not defined', () => {
+      expect(() => new MigrationRunner(dbStub)).toThrow(
+        'Invalid pg-promise instance.'
+      );
+    });
+  });
+
+  describe('create', () => {
+    it('should create a timestamped migration module', () => {
+      const file = runner.create(
+        'Create Users',
+        new Date('2026-10-19T08:30:15Z')
+      );
+
+      expect(path.basename(file)).toBe('20261019083015_create_users.js');
+      const module = require(file);
+      expect(typeof module.up).toBe('function');
+      expect(typeof module.down).toBe('function');
+    });
+
+    it('should throw an exception for an invalid name', () => {
+      expect(() => runner.create('drop;table')).toThrow(
+        'Invalid migration name.'
+      );
+    });
+
+    it('should not overwrite an existing migration', () => {
+      const date = new Date('2026-10-19T08:30:15Z');
+      runner.create('users', date);
+
+      expect(() => runner.create('users', date)).toThrow();
+    });
+  });
+
+  describe('load', () => {
+    it('should return the migrations ordered by version with checksums', () => {
+      const checksum = writeMigration(
+        directory,
+        '20260102000000_second.js',
+        migration('second')
+      );
+      writeMigration(directory, '20260101000000_first.js', migration('first'));
+      writeMigration(directory, 'README.md', 'not a migration');
+
+      const migrations = runner.load();
+
+      expect(migrations.map((m) => m.version)).toEqual([
+        '20260101000000',
+        '20260102000000',
+      ]);
+      expect(migrations[1]).toEqual({
+        version: '20260102000000',
+        name: 'second',
+        file: path.join(directory, '20260102000000_second.js'),
+        checksum,
+      });
+    });
+
+    it('should return an empty list when the directory does not exist', () => {
+      runner = new MigrationRunner(dbStub, pgp, {
+        directory: path.join(directory, 'missing'),
+      });
+
+      expect(runner.load()).toEqual([]);
+    });
+
+    it('should throw an exception for duplicate versions', () => {
+      writeMigration(directory, '20260101000000_a.js', migration('a'));
+      writeMigration(directory, '20260101000000_b.js', migration('b'));
+
+      expect(() => runner.load()).toThrow(MigrationError);
+    });
+  });
+
+  describe('up', () => {
+    it('should apply pending migrations in order, each in a transaction', async () => {
+      writeMigration(directory, '20260101000000_first.js', migration('up1'));
+      writeMigration(directory, '20260102000000_second.js', migration('up2'));
+
+      const applied = await runner.up();
+
+      expect(applied.map((m) => m.name)).toEqual(['first', 'second']);
+      expect(calls).toEqual(['up:up1', 'up:up2']);
+      expect(dbStub.one).toHaveBeenCalledWith(
+        'SELECT pg_try_advisory_lock(hashtext($1)) AS locked',
+        ['"public"."nap_migrations"']
+      );
+      expect(dbStub.tx.mock.calls.map((c) => c[0])).toEqual([
+        'migrate:up:20260101000000',
+        'migrate:up:20260102000000',
+      ]);
+
+      const inserts = dbStub.none.mock.calls.filter(([q]) =>
+        q.startsWith('INSERT INTO "public"."nap_migrations"')
+      );
+      expect(inserts.map(([, values]) => values.slice(0, 2))).toEqual([
+        ['20260101000000', 'first'],
+        ['20260102000000', 'second'],
+      ]);
+      expect(dbStub.none).toHaveBeenLastCalledWith(
+        'SELECT pg_advisory_unlock(hashtext($1))',
+        ['"public"."nap_migrations"']
+      );
+    });
+
+    it('should skip applied migrations and stop at the target version', async () => {
+      const checksum = writeMigration(
+        directory,
+        '20260101000000_first.js',
+        migration('to1')
+      );
+      writeMigration(directory, '20260102000000_second.js', migration('to2'));
+      writeMigration(directory, '20260103000000_third.js', migration('to3'));
+      dbStub.manyOrNone.mockResolvedValue([
+        { version: '20260101000000', name: 'first', checksum },
+      ]);
+
+      const applied = await runner.up({ to: '20260102000000' });
+
+      expect(applied.map((m) => m.name)).toEqual(['second']);
+      expect(calls).toEqual(['up:to2']);
+    });
+
+    it('should refuse to run when an applied migration was modified', async () => {
+      writeMigration(directory, '20260101000000_first.js', migration('mod1'));
+      dbStub.manyOrNone.mockResolvedValue([
+        { version: '20260101000000', name: 'first', checksum: 'old' },
+      ]);
+
+      await expect(runner.up()).rejects.toThrow(
+        'Migration 20260101000000_first was modified after it was applied.'
+      );
+      expect(calls).toEqual([]);
+    });
+
+    it('should throw MigrationLockError when the lock is held', async () => {
+      dbStub.one.mockResolvedValue({ locked: false });
+
+      await expect(runner.up()).rejects.toThrow(MigrationLockError);
+    });
+
+    it('should wrap a failing migration in a MigrationError and release the lock', async () => {
+      writeMigration(
+        directory,
+        '20260101000000_broken.js',
+        `module.exports = { async up() { throw new Error('syntax error'); } };`
+      );
+
+      try {
+        await runner.up();
+      } catch (error) {
+        expect(error).toBeInstanceOf(MigrationError);
+        expect(error).toBeInstanceOf(DBError);
+        expect(error.message).toBe('syntax error');
+      }
+      expect(dbStub.none).toHaveBeenLastCalledWith(
+        'SELECT pg_advisory_unlock(hashtext($1))',
+        ['"public"."nap_migrations"']
+      );
+    });
+
+    it('should throw an exception when a migration has no up function', async () => {
+      writeMigration(
+        directory,
+        '20260101000000_empty.js',
+        'module.exports = {};'
+      );
+
+      await expect(runner.up()).rejects.toThrow(
+        'Migration 20260101000000_empty does not export up().'
+      );
+    });
+  });
+
+  describe('down', () => {
+    it('should revert the latest applied migrations', async () => {
+      const first = writeMigration(
+        directory,
+        '20260101000000_first.js',
+        migration('down1')
+      );
+      const second = writeMigration(
+        directory,
+        '20260102000000_second.js',
+        migration('down2')
+      );
+      dbStub.manyOrNone.mockResolvedValue([
+        { version: '20260101000000', name: 'first', checksum: first },
+        { version: '20260102000000', name: 'second', checksum: second },
+      ]);
+
+      const reverted = await runner.down({ steps: 2 });
+
+      expect(reverted.map((m) => m.name)).toEqual(['second', 'first']);
+      expect(calls).toEqual(['down:down2', 'down:down1']);
+      expect(dbStub.none).toHaveBeenCalledWith(
+        'DELETE FROM "public"."nap_migrations" WHERE version = $1',
+        ['20260102000000']
+      );
+    });
+
+    it('should throw an exception when the migration file is missing', async () => {
+      dbStub.manyOrNone.mockResolvedValue([
+        { version: '20260101000000', name: 'gone', checksum: 'x' },
+      ]);
+
+      await expect(runner.down()).rejects.toThrow(
+        'Migration file for version 20260101000000 is missing.'
+      );
+    });
+
+    it('should throw an exception for an invalid number of steps', async () => {
+      await expect(runner.down({ steps: 0 })).rejects.toThrow(
+        'Invalid number of steps.'
+      );
+    });
+  });
+
+  describe('status', () => {
+    it('should report the state of every migration', async () => {
+      const first = writeMigration(
+        directory,
+        '20260101000000_first.js',
+        migration('s1')
+      );
+      writeMigration(directory, '20260102000000_second.js', migration('s2'));
+      writeMigration(directory, '20260103000000_third.js', migration('s3'));
+      dbStub.one.mockResolvedValue({ exists: true });
+      dbStub.manyOrNone.mockResolvedValue([
+        {
+          version: '20260101000000',
+          name: 'first',
+          checksum: first,
+          applied_at: 'then',
+        },
+        {
+          version: '20260102000000',
+          name: 'second',
+          checksum: 'old',
+          applied_at: 'then',
+        },
+        {
+          version: '20251231000000',
+          name: 'removed',
+          checksum: 'x',
+          applied_at: 'then',
+        },
+      ]);
+
+      const status = await runner.status();
+
+      expect(status.map((m) => [m.version, m.state])).toEqual([
+        ['20251231000000', 'missing'],
+        ['20260101000000', 'applied'],
+        ['20260102000000', 'changed'],
+        ['20260103000000', 'pending'],
+      ]);
+    });
+
+    it('should report everything as pending before the first migration', async () => {
+      writeMigration(directory, '20260101000000_first.js', migration('p1'));
+      dbStub.one.mockResolvedValue({ exists: false });
+
+      const status = await runner.status();
+
+      expect(status).toEqual([
+        {
+          version: '20260101000000',
+          name: 'first',
+          state: 'pending',
+          appliedAt: null,
+        },
+      ]);
+      expect(dbStub.manyOrNone).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('nap-db CLI', () => {
+  it('should parse the command, arguments and options', () => {
+    expect(
+      parseArgs(['migrate:create', 'add', 'users', '--dir', 'db/migrations'])
+    ).toEqual({
+      command: 'migrate:create',
+      args: ['add', 'users'],
+      options: { dir: 'db/migrations' },
+    });
+  });
+
+  it('should set options without a value to true', () => {
+    expect(parseArgs(['introspect', '--force', '--schema', 'legacy'])).toEqual({
+      command: 'introspect',
+      args: [],
+      options: { force: true, schema: 'legacy' },
+    });
+  });
+});
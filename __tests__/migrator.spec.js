@@ -0,0 +1,577 @@
+'./__tests__/migrator.spec.js';
+
+/**
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+const pgp = require('pg-promise')({ capSQL: true });
+const Model = require('../db/Model');
+const Migrator = require('../db/Migrator');
+const SchemaInspector = require('../db/SchemaInspector');
+const { DBError, QueryError } = require('../db/errors');
+const {
+  normalizeType,
+  typeFromInformationSchema,
+  normalizeDefault,
+  normalizeDefinition,
+  indexKeys,
+} = require('../db/pgTypes');
+
+const schema = {
+  tableName: 'test_table',
+  columns: {
+    id: { type: 'serial', primaryKey: true },
+    name: { type: 'varchar(255)', nullable: false },
+    email: { type: 'varchar(255)', nullable: false, unique: true },
+    age: { type: 'integer', nullable: true, default: 18 },
+  },
+  indexes: {
+    idx_name: { unique: false, config: 'name' },
+  },
+};
+
+// The live structure of a table created from `schema`
+const liveTable = () => ({
+  columns: {
+    id: {
+      type: 'integer',
+      nullable: false,
+      default: "nextval('test_table_id_seq'::regclass)",
+    },
+    name: { type: 'character varying(255)', nullable: false, default: null },
+    email: { type: 'character varying(255)', nullable: false, default: null },
+    age: { type: 'integer', nullable: true, default: '18' },
+    created_at: {
+      type: 'timestamp with time zone',
+      nullable: false,
+      default: 'CURRENT_TIMESTAMP',
+    },
+    created_by: {
+      type: 'character varying(50)',
+      nullable: false,
+      default: null,
+    },
+    updated_at: {
+      type: 'timestamp with time zone',
+      nullable: true,
+      default: null,
+    },
+    updated_by: {
+      type: 'character varying(50)',
+      nullable: true,
+      default: 'NULL::character varying',
+    },
+  },
+  constraints: {
+    test_table_pkey: {
+      type: 'p',
+      columns: ['id'],
+      definition: 'PRIMARY KEY (id)',
+    },
+    test_table_email_key: {
+      type: 'u',
+      columns: ['email'],
+      definition: 'UNIQUE (email)',
+    },
+  },
+  indexes: {
+    idx_name: {
+      unique: false,
+      definition:
+        'CREATE INDEX idx_name ON public.test_table USING btree (name)',
+    },
+  },
+});
+
+describe('pgTypes', () => {
+  it('should normalize type aliases to the names PostgreSQL reports', () => {
+    expect(normalizeType('VARCHAR(50)')).toBe('character varying(50)');
+    expect(normalizeType('int4')).toBe('integer');
+    expect(normalizeType('serial')).toBe('integer');
+    expect(normalizeType('bool')).toBe('boolean');
+    expect(normalizeType('TIMESTAMPTZ')).toBe('timestamp with time zone');
+    expect(normalizeType('decimal(10, 2)')).toBe('numeric(10,2)');
+    expect(normalizeType('char')).toBe('character(1)');
+    expect(normalizeType('text[]')).toBe('text[]');
+  });
+
+  it('should build the type from an information_schema.columns row', () => {
+    expect(
+      typeFromInformationSchema({
+        data_type: 'character varying',
+        character_maximum_length: 255,
+      })
+    ).toBe('character varying(255)');
+    expect(
+      typeFromInformationSchema({
+        data_type: 'numeric',
+        numeric_precision: 10,
+        numeric_scale: 2,
+      })
+    ).toBe('numeric(10,2)');
+    expect(
+      typeFromInformationSchema({ data_type: 'ARRAY', udt_name: '_int4' })
+    ).toBe('integer[]');
+    expect(
+      typeFromInformationSchema({ data_type: 'USER-DEFINED', udt_name: 'mood' })
+    ).toBe('mood');
+  });
+
+  it('should normalize defaults', () => {
+    expect(normalizeDefault("'user'::character varying")).toBe('user');
+    expect(normalizeDefault('user')).toBe('user');
+    expect(normalizeDefault(18)).toBe('18');
+    expect(normalizeDefault('NULL::character varying')).toBe(null);
+    expect(normalizeDefault(undefined)).toBe(null);
+  });
+
+  it('should normalize constraint and index definitions', () => {
+    expect(normalizeDefinition('CHECK ((price > (1)::numeric))')).toBe(
+      normalizeDefinition('CHECK (price > 1)')
+    );
+    expect(
+      normalizeDefinition(
+        'FOREIGN KEY (user_id) REFERENCES public.users(id) ON UPDATE NO ACTION'
+      )
+    ).toBe(
+      normalizeDefinition('FOREIGN KEY ("user_id") REFERENCES users (id)')
+    );
+    expect(normalizeDefinition('lower((email)::character varying)')).toBe(
+      normalizeDefinition('lower(email)')
+    );
+    expect(
+      indexKeys(
+        'CREATE INDEX ix ON public.t USING gin (lower((a)::text), b) WHERE c'
+      )
+    ).toBe('lower((a)::text), b');
+    expect(normalizeDefinition('CHECK (price > 1)')).not.toBe(
+      normalizeDefinition('CHECK (price > 5)')
+    );
+  });
+});
+
+describe('SchemaInspector', () => {
+  let dbStub;
+  let inspector;
+
+  beforeEach(() => {
+    dbStub = {
+      oneOrNone: jest.fn().mockResolvedValue({ exists: 1 }),
+      manyOrNone: jest.fn().mockResolvedValue([]),
+    };
+    inspector = new SchemaInspector(dbStub);
+  });
+
+  it('should throw an exception if the database object is not defined', () => {
+    expect(() => new SchemaInspector()).toThrow('Invalid database.');
+  });
+
+  it('should return null when the table does not exist', async () => {
+    dbStub.oneOrNone.mockResolvedValue(null);
+
+    expect(await inspector.inspectTable('public', 'test_table')).toBeNull();
+    expect(dbStub.oneOrNone.mock.calls[0][1]).toEqual(['public', 'test_table']);
+  });
+
+  it('should read columns, constraints and indexes', async () => {
+    dbStub.manyOrNone
+      .mockResolvedValueOnce([
+        {
+          column_name: 'name',
+          data_type: 'character varying',
+          character_maximum_length: 255,
+          is_nullable: 'NO',
+          column_default: null,
+        },
+      ])
+      .mockResolvedValueOnce([
+        {
+          name: 'test_table_pkey',
+          type: 'p',
+          columns: ['id'],
+          definition: 'PRIMARY KEY (id)',
+        },
+      ])
+      .mockResolvedValueOnce([
+        {
+          name: 'idx_name',
+          unique: false,
+          definition: 'CREATE INDEX idx_name ON public.test_table (name)',
+        },
+      ]);
+
+    const table = await inspector.inspectTable('public', 'test_table');
+
+    expect(table).toEqual({
+      columns: {
+        name: {
+          type: 'character varying(255)',
+          nullable: false,
+          default: null,
+        },
+      },
+      constraints: {
+        test_table_pkey: {
+          type: 'p',
+          columns: ['id'],
+          definition: 'PRIMARY KEY (id)',
+        },
+      },
+      indexes: {
+        idx_name: {
+          unique: false,
+          definition: 'CREATE INDEX idx_name ON public.test_table (name)',
+        },
+      },
+    });
+    expect(dbStub.manyOrNone.mock.calls[0][0]).toMatch(
+      /FROM information_schema\.columns/
+    );
+  });
+
+  it('should throw a DBError when the catalog can not be read', async () => {
+    dbStub.oneOrNone.mockRejectedValue(new Error('permission denied'));
+
+    await expect(
+      inspector.inspectTable('public', 'test_table')
+    ).rejects.toThrow(DBError);
+  });
+
+  it('should map the server error when the catalog can not be read', async () => {
+    const cause = Object.assign(new Error('permission denied for schema app'), {
+      code: '42501',
+    });
+    dbStub.oneOrNone.mockRejectedValue(cause);
+
+    const error = await inspector
+      .inspectTable('app', 'test_table')
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(QueryError);
+    expect(error.code).toBe('42501');
+    expect(error.cause).toBe(cause);
+  });
+});
+
+describe('Migrator', () => {
+  let dbStub;
+  let model;
+  let migrator;
+  let live;
+
+  beforeEach(() => {
+    live = liveTable();
+    dbStub = {
+      none: jest.fn().mockResolvedValue(),
+      oneOrNone: jest.fn().mockResolvedValue({ exists: 1 }),
+      manyOrNone: jest.fn().mockResolvedValue([]),
+    };
+    dbStub.tx = jest.fn((tag, cb) => cb(dbStub));
+    model = new Model(dbStub, pgp, schema);
+    migrator = new Migrator(dbStub, pgp);
+    jest
+      .spyOn(SchemaInspector.prototype, 'inspectTable')
+      .mockImplementation(async () => live);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('constructor', () => {
+    it('should throw an exception if the database object is not defined', () => {
+      expect(() => new Migrator(null, pgp)).toThrow('Invalid database.');
+    });
+
+    it('should throw an exception if the pg-promise object is not defined', () => {
+      expect(() => new Migrator(dbStub)).toThrow(
+        'Invalid pg-promise instance.'
+      );
+    });
+  });
+
+  describe('diff', () => {
+    it('should return no steps when the table matches the schema', () => {
+      expect(migrator.diff(model, live)).toEqual([]);
+    });
+
+    it('should create the table when it does not exist', () => {
+      const steps = migrator.diff(model, null);
+
+      expect(steps).toHaveLength(1);
+      expect(steps[0].action).toBe('createTable');
+      expect(steps[0].sql).toMatch(
+        /^CREATE TABLE IF NOT EXISTS "public"."test_table"/
+      );
+    });
+
+    it('should add missing columns', () => {
+      model.schema.columns.phone = { type: 'varchar(20)', nullable: true };
+
+      expect(migrator.diff(model, live)).toEqual([
+        {
+          action: 'addColumn',
+          object: 'phone',
+          sql: 'ALTER TABLE "public"."test_table" ADD COLUMN phone varchar(20)',
+          destructive: false,
+        },
+      ]);
+    });
+
+    it('should not add column level constraints of new columns separately', () => {
+      model.schema.columns.code = { type: 'varchar(20)', unique: true };
+
+      const steps = migrator.diff(model, live);
+
+      expect(steps.map((s) => s.action)).toEqual(['addColumn']);
+      expect(steps[0].sql).toMatch(
+        /ADD COLUMN code varchar\(20\) NOT NULL UNIQUE$/
+      );
+    });
+
+    it('should change column types, defaults and nullability', () => {
+      model.schema.columns.name.type = 'varchar(100)';
+      model.schema.columns.age.default = 21;
+      model.schema.columns.age.nullable = false;
+
+      expect(migrator.diff(model, live).map((s) => s.sql)).toEqual([
+        'ALTER TABLE "public"."test_table" ALTER COLUMN "name" TYPE character varying(100) USING "name"::character varying(100)',
+        'ALTER TABLE "public"."test_table" ALTER COLUMN "age" SET DEFAULT 21',
+        'ALTER TABLE "public"."test_table" ALTER COLUMN "age" SET NOT NULL',
+      ]);
+    });
+
+    it('should drop defaults and NOT NULL', () => {
+      delete model.schema.columns.age.default;
+      model.schema.columns.name.nullable = true;
+
+      expect(migrator.diff(model, live).map((s) => s.action)).toEqual([
+        'dropDefault',
+        'dropNotNull',
+      ]);
+    });
+
+    it('should mark dropped columns, constraints and indexes as destructive', () => {
+      live.columns.legacy = { type: 'text', nullable: true, default: null };
+      live.constraints.uq_legacy = {
+        type: 'u',
+        columns: ['legacy'],
+        definition: 'UNIQUE (legacy)',
+      };
+      live.indexes.idx_legacy = { unique: false, definition: '' };
+
+      const steps = migrator.diff(model, live);
+
+      expect(steps.map((s) => [s.action, s.destructive])).toEqual([
+        ['dropConstraint', true],
+        ['dropIndex', true],
+        ['dropColumn', true],
+      ]);
+      expect(steps.map((s) => s.sql)).toEqual([
+        'ALTER TABLE "public"."test_table" DROP CONSTRAINT "uq_legacy"',
+        'DROP INDEX "public"."idx_legacy"',
+        'ALTER TABLE "public"."test_table" DROP COLUMN "legacy"',
+      ]);
+    });
+
+    it('should add named and column level constraints', () => {
+      model.schema.constraints = { uq_name_email: 'UNIQUE (name, email)' };
+      model.schema.columns.age.check = 'age >= 18';
+
+      expect(migrator.diff(model, live).map((s) => s.sql)).toEqual([
+        'ALTER TABLE "public"."test_table" ADD CONSTRAINT "test_table_age_check" CHECK (age >= 18)',
+        'ALTER TABLE "public"."test_table" ADD CONSTRAINT "uq_name_email" UNIQUE (name, email)',
+      ]);
+    });
+
+    it('should create missing indexes and rebuild changed ones', () => {
+      model.schema.indexes = {
+        idx_name: { unique: true, config: 'name' },
+        idx_email: { config: 'email' },
+      };
+
+      expect(migrator.diff(model, live).map((s) => s.sql)).toEqual([
+        'DROP INDEX "public"."idx_name"',
+        'CREATE UNIQUE INDEX "idx_name" ON "public"."test_table" (name)',
+        'CREATE INDEX "idx_email" ON "public"."test_table" (email)',
+      ]);
+      expect(migrator.diff(model, live)[0].destructive).toBe(false);
+    });
+
+    it('should keep constraints and indexes that only differ in formatting', () => {
+      model.schema.constraints = { positive_age: 'CHECK (age > 0)' };
+      model.schema.columns.name.references = 'users(name)';
+      model.schema.columns.name.onDelete = 'CASCADE';
+      model.schema.indexes.idx_name.config = 'lower(name)';
+      Object.assign(live.constraints, {
+        positive_age: {
+          type: 'c',
+          columns: ['age'],
+          definition: 'CHECK ((age > 0))',
+        },
+        test_table_name_fkey: {
+          type: 'f',
+          columns: ['name'],
+          definition:
+            'FOREIGN KEY (name) REFERENCES users(name) ON DELETE CASCADE',
+        },
+      });
+      live.indexes.idx_name.definition =
+        'CREATE INDEX idx_name ON public.test_table USING btree (lower((name)::text))';
+
+      expect(migrator.diff(model, live)).toEqual([]);
+    });
+
+    it('should rebuild indexes whose columns changed', () => {
+      model.schema.indexes.idx_name.config = 'name, email';
+
+      const steps = migrator.diff(model, live);
+
+      expect(steps.map((s) => [s.sql, s.destructive])).toEqual([
+        ['DROP INDEX "public"."idx_name"', false],
+        [
+          'CREATE INDEX "idx_name" ON "public"."test_table" (name, email)',
+          false,
+        ],
+      ]);
+    });
+
+    it('should replace constraints whose definition changed', () => {
+      model.schema.constraints = { positive_age: 'CHECK (age > 5)' };
+      model.schema.columns.name.references = 'accounts(name)';
+      Object.assign(live.constraints, {
+        positive_age: {
+          type: 'c',
+          columns: ['age'],
+          definition: 'CHECK ((age > 1))',
+        },
+        test_table_name_fkey: {
+          type: 'f',
+          columns: ['name'],
+          definition: 'FOREIGN KEY (name) REFERENCES users(name)',
+        },
+      });
+
+      const steps = migrator.diff(model, live);
+
+      expect(steps.map((s) => [s.sql, s.destructive])).toEqual([
+        [
+          'ALTER TABLE "public"."test_table" DROP CONSTRAINT "test_table_name_fkey"',
+          false,
+        ],
+        [
+          'ALTER TABLE "public"."test_table" DROP CONSTRAINT "positive_age"',
+          false,
+        ],
+        [
+          'ALTER TABLE "public"."test_table" ADD CONSTRAINT "test_table_name_fkey" FOREIGN KEY ("name") REFERENCES accounts(name)',
+          false,
+        ],
+        [
+          'ALTER TABLE "public"."test_table" ADD CONSTRAINT "positive_age" CHECK (age > 5)',
+          false,
+        ],
+      ]);
+    });
+  });
+
+  describe('plan', () => {
+    it('should leave destructive steps out unless allowDrop is set', async () => {
+      live.columns.legacy = { type: 'text', nullable: true, default: null };
+
+      const plan = await migrator.plan(model);
+      expect(plan.table).toBe('public.test_table');
+      expect(plan.steps).toEqual([]);
+      expect(plan.skipped.map((s) => s.action)).toEqual(['dropColumn']);
+
+      const dropPlan = await migrator.plan(model, { allowDrop: true });
+      expect(dropPlan.steps.map((s) => s.action)).toEqual(['dropColumn']);
+      expect(dropPlan.skipped).toEqual([]);
+    });
+  });
+
+  describe('preview', () => {
+    it('should return the statements of every model', async () => {
+      model.schema.columns.phone = { type: 'varchar(20)', nullable: true };
+
+      expect(await migrator.preview([model, model])).toEqual([
+        'ALTER TABLE "public"."test_table" ADD COLUMN phone varchar(20)',
+        'ALTER TABLE "public"."test_table" ADD COLUMN phone varchar(20)',
+      ]);
+    });
+  });
+
+  describe('apply', () => {
+    it('should apply the steps in a transaction and record them', async () => {
+      model.schema.columns.phone = { type: 'varchar(20)', nullable: true };
+
+      const plans = await migrator.apply(model, { appliedBy: 'deploy' });
+
+      expect(dbStub.tx).toHaveBeenCalledWith(
+        'schema-migration',
+        expect.any(Function)
+      );
+      expect(dbStub.none.mock.calls[0][0]).toMatch(
+        /^CREATE TABLE IF NOT EXISTS "public"."nap_schema_history"/
+      );
+      expect(dbStub.none.mock.calls[1][0]).toBe(
+        'ALTER TABLE "public"."test_table" ADD COLUMN phone varchar(20)'
+      );
+      expect(dbStub.none.mock.calls[2]).toEqual([
+        'INSERT INTO "public"."nap_schema_history" (table_name, statements, applied_by) VALUES ($1, $2, $3)',
+        [
+          'public.test_table',
+          'ALTER TABLE "public"."test_table" ADD COLUMN phone varchar(20);',
+          'deploy',
+        ],
+      ]);
+      expect(plans).toHaveLength(1);
+    });
+
+    it('should not record tables without changes', async () => {
+      await migrator.apply([model]);
+
+      expect(dbStub.none).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use the configured history table', async () => {
+      migrator = new Migrator(dbStub, pgp, {
+        historyTable: 'history',
+        historySchema: 'audit',
+      });
+
+      expect(migrator.createHistoryTableQuery()).toMatch(
+        /^CREATE TABLE IF NOT EXISTS "audit"."history"/
+      );
+    });
+
+    it('should throw a DBError when a step fails', async () => {
+      model.schema.columns.phone = { type: 'varchar(20)', nullable: true };
+      dbStub.none
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('column exists'));
+
+      await expect(migrator.apply(model)).rejects.toThrow(DBError);
+    });
+
+    it('should map the server error of a failed step', async () => {
+      model.schema.columns.phone = { type: 'varchar(20)', nullable: true };
+      const cause = Object.assign(new Error('column "phone" already exists'), {
+        code: '42701',
+      });
+      dbStub.none.mockResolvedValueOnce().mockRejectedValueOnce(cause);
+
+      const error = await migrator.apply(model).catch((e) => e);
+
+      expect(error).toBeInstanceOf(QueryError);
+      expect(error.code).toBe('42701');
+      expect(error.cause).toBe(cause);
+    });
+  });
+});
@@ -1,7 +1,19 @@
 const pgp = require('pg-promise')({ capSQL: true });
 const db = require('../db/DB').db;
 const Model = require('../db/Model');
-const { DBError } = require('../db/errors');
+const {
+  DBError,
+  StaleRecordError,
+  NotFoundError,
+  ValidationError,
+  QueryError,
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  NotNullViolationError,
+  CheckViolationError,
+  InvalidTextRepresentationError,
+  DeadlockError,
+} = require('../db/errors');
 const QueryOptions = require('../db/QueryOptions');
 const schema = {
   tableName: 'test_table',
@@ -62,6 +74,7 @@ describe('Model', () => {
       many: jest.fn().mockResolvedValue(selectAll),
       result: jest.fn().mockResolvedValue({ rowCount: 1 }),
     };
+    dbStub.tx = jest.fn((tag, cb) => cb(dbStub));
 
     model = new Model(dbStub, pgp, schema);
   });
@@ -128,7 +141,7 @@ describe('Model', () => {
 
   describe('createTable', () => {
     it('should create a table based on schema - no foreign keys or unique constraints', async () => {
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
 
       await model.createTable();
 
@@ -147,7 +160,7 @@ describe('Model', () => {
           'FOREIGN KEY (email) REFERENCES test_table2 (email) ON DELETE CASCADE ON UPDATE CASCADE',
       };
 
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL,CONSTRAINT fk_test_table FOREIGN KEY (email) REFERENCES test_table2 (email) ON DELETE CASCADE ON UPDATE CASCADE);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL,CONSTRAINT fk_test_table FOREIGN KEY (email) REFERENCES test_table2 (email) ON DELETE CASCADE ON UPDATE CASCADE);`;
 
       await model.createTable();
 
@@ -165,7 +178,7 @@ describe('Model', () => {
         uq_name_email: 'UNIQUE (name, email)',
       };
 
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL,CONSTRAINT uq_name_email UNIQUE (name,email));`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL,CONSTRAINT uq_name_email UNIQUE (name,email));`;
 
       await model.createTable();
 
@@ -185,7 +198,7 @@ describe('Model', () => {
         uq_name_email: 'UNIQUE (name, email)',
       };
 
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL,CONSTRAINT fk_test_table FOREIGN KEY (email) REFERENCES test_table2 (email) ON DELETE CASCADE ON UPDATE CASCADE,CONSTRAINT uq_name_email UNIQUE (name,email));`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL,CONSTRAINT fk_test_table FOREIGN KEY (email) REFERENCES test_table2 (email) ON DELETE CASCADE ON UPDATE CASCADE,CONSTRAINT uq_name_email UNIQUE (name,email));`;
 
       await model.createTable();
 
@@ -201,7 +214,7 @@ describe('Model', () => {
     it('should create a table using GENERATE ALWAYS AS expression for a generated column', async () => {
       model.schema.columns.age.generated = '(18)';
 
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18 GENERATED ALWAYS AS ((18)) STORED,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18 GENERATED ALWAYS AS ((18)) STORED,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
 
       await model.createTable();
 
@@ -217,7 +230,7 @@ describe('Model', () => {
     it('should create a table using UNIQUE', async () => {
       model.schema.columns.name.unique = true;
 
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL UNIQUE,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL UNIQUE,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
 
       await model.createTable();
 
@@ -233,7 +246,7 @@ describe('Model', () => {
     it('should create a table using CHECK', async () => {
       model.schema.columns.age.check = 'age >= 18';
 
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18 CHECK (age >= 18),created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18 CHECK (age >= 18),created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
 
       await model.createTable();
 
@@ -249,7 +262,7 @@ describe('Model', () => {
     it('should create a table using COLLATE', async () => {
       model.schema.columns.name.collate = 'en_US';
 
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL COLLATE en_US,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL COLLATE en_US,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
 
       await model.createTable();
 
@@ -265,7 +278,7 @@ describe('Model', () => {
     it('should create a table using COMMENT', async () => {
       model.schema.columns.name.comment = 'Name of the user';
 
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL COMMENT 'Name of the user',email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL COMMENT 'Name of the user',email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
 
       await model.createTable();
 
@@ -282,7 +295,7 @@ describe('Model', () => {
       model.schema.columns.email.constraint = 'uq_email';
       model.schema.columns.email.index = 'idx_email';
 
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL CONSTRAINT uq_email INDEX idx_email,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL CONSTRAINT uq_email INDEX idx_email,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
 
       await model.createTable();
 
@@ -300,7 +313,7 @@ describe('Model', () => {
       model.schema.columns.email.onUpdate = 'CASCADE';
       model.schema.columns.email.onDelete = 'CASCADE';
 
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL REFERENCES test_table2(email) ON DELETE CASCADE ON UPDATE CASCADE,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL REFERENCES test_table2(email) ON DELETE CASCADE ON UPDATE CASCADE,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
 
       await model.createTable();
 
@@ -319,7 +332,7 @@ describe('Model', () => {
         idx_email: { unique: false, config: 'email' },
       };
 
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);CREATE UNIQUE INDEX idx_name ON test_table (name);CREATE INDEX idx_email ON test_table (email);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);CREATE UNIQUE INDEX idx_name ON "public"."test_table" (name);CREATE INDEX idx_email ON "public"."test_table" (email);`;
 
       await model.createTable();
 
@@ -342,8 +355,21 @@ describe('Model', () => {
       }
     });
 
+    it('should map the server error when creating a table fails', async () => {
+      const cause = Object.assign(new Error('permission denied'), {
+        code: '42501',
+      });
+      dbStub.none.mockRejectedValueOnce(cause);
+
+      const error = await model.createTable().catch((e) => e);
+
+      expect(error).toBeInstanceOf(QueryError);
+      expect(error.code).toBe('42501');
+      expect(error.cause).toBe(cause);
+    });
+
     it('calling Model.createTableQuery should generate the create table SQL', () => {
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18,created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,created_by VARCHAR(50) NOT NULL,updated_at TIMESTAMPTZ DEFAULT NULL,updated_by VARCHAR(50) DEFAULT NULL);`;
 
       const actualQuery = model
         .createTableQuery()
@@ -354,7 +380,7 @@ describe('Model', () => {
 
     it('should not generate timeStamps columns when schema.timeStamps is false', () => {
       model.schema.timeStamps = false;
-      const expectedQuery = `CREATE TABLE IF NOT EXISTS test_table (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18);`;
+      const expectedQuery = `CREATE TABLE IF NOT EXISTS "public"."test_table" (id serial PRIMARY KEY NOT NULL,name varchar(255) NOT NULL,email varchar(255) NOT NULL,age integer DEFAULT 18);`;
 
       const actualQuery = model
         .createTableQuery()
@@ -538,6 +564,256 @@ describe('Model', () => {
     });
   });
 
+  describe('bulkInsert', () => {
+    const dtos = [
+      { name: 'John Doe', email: 'john@doe.com', age: 30, created_by: 'Admin' },
+      { name: 'Jane Doe', email: 'jane@doe.com', age: 25, created_by: 'Admin' },
+      { name: 'Jim Doe', email: 'jim@doe.com', age: 40, created_by: 'Admin' },
+    ];
+
+    it('should insert all records with a single multi-row INSERT', async () => {
+      const expectedQuery = `INSERT INTO "public"."test_table"("name","email","age","created_by") VALUES('John Doe','john@doe.com',30,'Admin'),('Jane Doe','jane@doe.com',25,'Admin'),('Jim Doe','jim@doe.com',40,'Admin')`;
+
+      const result = await model.bulkInsert(dtos);
+
+      expect(result).toBe(3);
+      expect(dbStub.tx).toHaveBeenCalledWith(
+        'bulk-insert',
+        expect.any(Function)
+      );
+      expect(dbStub.none).toHaveBeenCalledTimes(1);
+      expect(dbStub.none).toHaveBeenCalledWith(expectedQuery);
+      expect(pgpSpy.helpers.insert).toHaveBeenCalledWith(dtos, model.cs.insert);
+    });
+
+    it('should split the records into chunks and report progress', async () => {
+      const onProgress = jest.fn();
+
+      const result = await model.bulkInsert(dtos, { chunkSize: 2, onProgress });
+
+      expect(result).toBe(3);
+      expect(dbStub.none).toHaveBeenCalledTimes(2);
+      expect(onProgress.mock.calls).toEqual([
+        [{ chunk: 1, chunks: 2, inserted: 2, total: 3 }],
+        [{ chunk: 2, chunks: 2, inserted: 3, total: 3 }],
+      ]);
+    });
+
+    it('should return the inserted rows when returning is set', async () => {
+      dbStub.manyOrNone
+        .mockResolvedValueOnce([{ id: 1 }, { id: 2 }])
+        .mockResolvedValueOnce([{ id: 3 }]);
+
+      const result = await model.bulkInsert(dtos, {
+        chunkSize: 2,
+        returning: ['id'],
+      });
+
+      expect(result).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+      expect(dbStub.manyOrNone.mock.calls[0][0]).toMatch(/ RETURNING id$/);
+      expect(dbStub.none).not.toHaveBeenCalled();
+    });
+
+    it('should return all columns from bulkInsertReturning', async () => {
+      const result = await model.bulkInsertReturning(dtos.slice(0, 2));
+
+      expect(result).toEqual(selectAll);
+      expect(dbStub.manyOrNone.mock.calls[0][0]).toMatch(/ RETURNING \*$/);
+    });
+
+    it('should throw an exception when no records are provided', async () => {
+      await expect(model.bulkInsert([])).rejects.toThrow(
+        'Bulk insert requires a non-empty array of records.'
+      );
+      await expect(model.bulkInsert({})).rejects.toThrow(DBError);
+    });
+
+    it('should throw an exception for an invalid chunk size', async () => {
+      await expect(model.bulkInsert(dtos, { chunkSize: 0 })).rejects.toThrow(
+        'Invalid chunk size.'
+      );
+    });
+
+    it('should throw an exception when a chunk fails to insert', async () => {
+      dbStub.none.mockRejectedValueOnce(new Error('Insert failed'));
+
+      await expect(model.bulkInsert(dtos)).rejects.toThrow('Insert failed');
+    });
+
+    it('should throw an exception when a record is missing a required field', async () => {
+      await expect(
+        model.bulkInsert([{ name: 'John Doe', email: 'john@doe.com' }])
+      ).rejects.toThrow(DBError);
+    });
+  });
+
+  describe('upsert', () => {
+    const dto = {
+      name: 'John Doe',
+      email: 'john@doe.com',
+      age: 30,
+      created_by: 'Admin',
+    };
+    const insertQuery = `INSERT INTO "public"."test_table"("name","email","age","created_by") VALUES('John Doe','john@doe.com',30,'Admin')`;
+
+    it('should upsert using the given conflict columns', async () => {
+      await model.upsert(dto, { conflictTarget: ['email'] });
+
+      expect(dbStub.none).toHaveBeenCalledWith(
+        `${insertQuery} ON CONFLICT ("email") DO UPDATE SET "name"=EXCLUDED."name","age"=EXCLUDED."age","updated_at"=CURRENT_TIMESTAMP,"updated_by"=EXCLUDED."created_by"`
+      );
+    });
+
+    it('should stamp the updated_by of the record when it has one', async () => {
+      await model.upsert(
+        { ...dto, updated_by: "O'Brien" },
+        { conflictTarget: ['email'] }
+      );
+
+      expect(dbStub.none).toHaveBeenCalledWith(
+        `${insertQuery} ON CONFLICT ("email") DO UPDATE SET "name"=EXCLUDED."name","age"=EXCLUDED."age","updated_at"=CURRENT_TIMESTAMP,"updated_by"='O''Brien'`
+      );
+    });
+
+    it('should upsert using a named constraint', async () => {
+      model.schema.constraints = { uq_name_email: 'UNIQUE (name, email)' };
+
+      await model.upsert(dto, {
+        conflictTarget: 'uq_name_email',
+        updateColumns: ['age'],
+      });
+
+      expect(dbStub.none).toHaveBeenCalledWith(
+        `${insertQuery} ON CONFLICT ON CONSTRAINT "uq_name_email" DO UPDATE SET "age"=EXCLUDED."age","updated_at"=CURRENT_TIMESTAMP,"updated_by"=EXCLUDED."created_by"`
+      );
+    });
+
+    it('should derive the conflict target from a unique column', async () => {
+      model.schema.columns.email.unique = true;
+
+      await model.upsert(dto, { updateColumns: ['name'] });
+
+      expect(dbStub.none.mock.calls[0][0]).toMatch(
+        / ON CONFLICT \("email"\) DO UPDATE SET "name"=EXCLUDED."name",/
+      );
+    });
+
+    it('should derive the conflict target from a UNIQUE constraint', async () => {
+      model.schema.constraints = { uq_name_email: 'UNIQUE (name, email)' };
+
+      await model.upsert(dto);
+
+      expect(dbStub.none.mock.calls[0][0]).toMatch(
+        / ON CONFLICT ON CONSTRAINT "uq_name_email" DO UPDATE SET "name"=EXCLUDED."name","email"=EXCLUDED."email","age"=EXCLUDED."age",/
+      );
+    });
+
+    it('should derive the conflict target from a PRIMARY KEY constraint', async () => {
+      const keyed = new Model(dbStub, pgp, {
+        tableName: 'vendor_addresses',
+        columns: {
+          vendor_id: { type: 'uuid' },
+          address_id: { type: 'uuid' },
+          label: { type: 'varchar(50)' },
+        },
+        constraints: {
+          pk_vendor_address: 'PRIMARY KEY (vendor_id, address_id)',
+        },
+      });
+
+      await keyed.upsert({
+        vendor_id: '2f6f5b8e-3c1a-4d2b-9e7f-0a1b2c3d4e5f',
+        address_id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+        label: 'Home',
+        created_by: 'Admin',
+      });
+
+      expect(dbStub.none.mock.calls[0][0]).toMatch(
+        / ON CONFLICT \("vendor_id", "address_id"\) DO UPDATE SET "label"=EXCLUDED."label",/
+      );
+    });
+
+    it('should DO NOTHING when there is nothing to update', async () => {
+      await model.upsert(dto, {
+        conflictTarget: 'name, email',
+        updateColumns: [],
+      });
+
+      expect(dbStub.none).toHaveBeenCalledWith(
+        `${insertQuery} ON CONFLICT ("name", "email") DO NOTHING`
+      );
+    });
+
+    it('should return the row when returning is set', async () => {
+      dbStub.oneOrNone.mockResolvedValue(selectAll[0]);
+
+      const result = await model.upsert(dto, {
+        conflictTarget: ['email'],
+        returning: true,
+      });
+
+      expect(result).toEqual(selectAll[0]);
+      expect(dbStub.oneOrNone.mock.calls[0][0]).toMatch(/ RETURNING \*$/);
+    });
+
+    it('should throw an exception when no conflict target can be derived', async () => {
+      await expect(model.upsert(dto)).rejects.toThrow(
+        'Unable to determine a conflict target for upsert.'
+      );
+    });
+
+    it('should throw an exception for an unknown update column', async () => {
+      await expect(
+        model.upsert(dto, { conflictTarget: ['email'], updateColumns: ['foo'] })
+      ).rejects.toThrow("Invalid update column 'foo'.");
+    });
+
+    it('should upsert many records in chunks', async () => {
+      const onProgress = jest.fn();
+
+      const result = await model.bulkUpsert([dto, { ...dto, email: 'a@b.c' }], {
+        conflictTarget: ['email'],
+        chunkSize: 1,
+        onProgress,
+      });
+
+      expect(result).toBe(2);
+      expect(dbStub.tx).toHaveBeenCalledWith(
+        'bulk-upsert',
+        expect.any(Function)
+      );
+      expect(dbStub.none).toHaveBeenCalledTimes(2);
+      expect(dbStub.none.mock.calls[1][0]).toMatch(
+        / ON CONFLICT \("email"\) DO UPDATE SET /
+      );
+      expect(onProgress).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stamp the updated_by the records of a bulkUpsert share', async () => {
+      const editor = { ...dto, updated_by: 'Editor' };
+
+      await model.bulkUpsert([editor, { ...editor, email: 'a@b.c' }], {
+        conflictTarget: ['email'],
+      });
+      await model.bulkUpsert([editor, { ...dto, email: 'a@b.c' }], {
+        conflictTarget: ['email'],
+      });
+
+      expect(dbStub.none.mock.calls[0][0]).toMatch(
+        /"updated_at"=CURRENT_TIMESTAMP,"updated_by"='Editor'$/
+      );
+      expect(dbStub.none.mock.calls[1][0]).toMatch(
+        /"updated_at"=CURRENT_TIMESTAMP,"updated_by"=EXCLUDED."created_by"$/
+      );
+    });
+
+    it('should throw an exception when bulkUpsert receives no records', async () => {
+      await expect(model.bulkUpsert([])).rejects.toThrow(
+        'Bulk upsert requires a non-empty array of records.'
+      );
+    });
+  });
+
   describe('findAll', () => {
     it('should return all records', async () => {
       options.setTable('test_table').setFields('*');
@@ -636,6 +912,30 @@ describe('Model', () => {
       );
     });
 
+    it('should add the total count to the main query of a WITH clause', async () => {
+      await model.findAndCountAll({
+        ctes: [
+          {
+            name: 'adults',
+            query: 'SELECT id FROM test_table WHERE age >= 18',
+          },
+        ],
+        fields: 'id, name',
+        joins: [
+          {
+            type: 'INNER',
+            table: 'adults',
+            condition: 'adults.id = test_table.id',
+          },
+        ],
+      });
+
+      expect(dbStub.manyOrNone).toHaveBeenCalledWith(
+        'WITH adults AS (SELECT id FROM test_table WHERE age >= 18) SELECT id, name, COUNT(*) OVER() AS total_count FROM test_table INNER JOIN adults ON adults.id = test_table.id',
+        []
+      );
+    });
+
     it('should return original query if this.buildQuery contains "COUNT(*) OVER() AS total_count"', async () => {
       const expectedQuery = `SELECT *, COUNT(*) OVER() AS total_count FROM test_table WHERE name = $1 LIMIT 10`;
       const expectedValues = ['John Doe'];
@@ -694,10 +994,195 @@ describe('Model', () => {
     });
   });
 
+  describe('findPage', () => {
+    const cursor = (values) =>
+      Buffer.from(JSON.stringify(values)).toString('base64url');
+    const rows = (n) =>
+      Array.from({ length: n }, (_, i) => ({
+        id: i + 1,
+        name: `User ${i + 1}`,
+        __cursor_0: `2024-01-0${9 - i} 10:00:00.123456+00`,
+        __cursor_1: String(i + 1),
+      }));
+
+    it('should return the first page with a cursor per edge', async () => {
+      dbStub.manyOrNone.mockResolvedValueOnce(rows(11));
+
+      const page = await model.findPage({
+        fields: 'id, name',
+        orderBy: 'created_at DESC',
+        first: 10,
+      });
+
+      expect(dbStub.manyOrNone).toHaveBeenCalledWith(
+        'SELECT id, name, "created_at"::text AS "__cursor_0", "id"::text AS "__cursor_1" FROM test_table ORDER BY created_at DESC, id ASC LIMIT 11',
+        []
+      );
+      expect(page.rows).toHaveLength(10);
+      expect(page.rows[0]).toEqual({ id: 1, name: 'User 1' });
+      expect(page.pageInfo).toEqual({
+        startCursor: cursor(['2024-01-09 10:00:00.123456+00', '1']),
+        endCursor: cursor(['2024-01-00 10:00:00.123456+00', '10']),
+        hasNextPage: true,
+        hasPreviousPage: false,
+      });
+    });
+
+    it('should continue after a cursor with a keyset condition', async () => {
+      dbStub.manyOrNone.mockResolvedValueOnce(rows(2));
+
+      const page = await model.findPage({
+        conditions: [{ field: 'age', operator: '>', value: 18 }],
+        orderBy: 'created_at DESC',
+        after: cursor(['2024-01-05 10:00:00+00', '7']),
+      });
+
+      expect(dbStub.manyOrNone).toHaveBeenCalledWith(
+        'SELECT *, "created_at"::text AS "__cursor_0", "id"::text AS "__cursor_1" FROM test_table WHERE (age > $1) AND (created_at < $2 OR created_at = $3 AND id > $4) ORDER BY created_at DESC, id ASC LIMIT 26',
+        [18, '2024-01-05 10:00:00+00', '2024-01-05 10:00:00+00', '7']
+      );
+      expect(page.pageInfo.hasNextPage).toBe(false);
+      expect(page.pageInfo.hasPreviousPage).toBe(true);
+    });
+
+    it('should page backward before a cursor and keep the order', async () => {
+      dbStub.manyOrNone.mockResolvedValueOnce(rows(3));
+
+      const page = await model.findPage({
+        first: 2,
+        before: cursor(['5']),
+      });
+
+      expect(dbStub.manyOrNone.mock.calls[0][0]).toBe(
+        'SELECT *, "id"::text AS "__cursor_0" FROM test_table WHERE (id < $1) ORDER BY id DESC LIMIT 10'
+      );
+      expect(page.rows.map((row) => row.id)).toEqual([2, 1]);
+      expect(page.pageInfo).toMatchObject({
+        hasNextPage: true,
+        hasPreviousPage: true,
+      });
+    });
+
+    it('should throw an exception for an invalid cursor or sort column', async () => {
+      await expect(model.findPage({ after: 'bm90IGpzb24' })).rejects.toThrow(
+        'Invalid cursor.'
+      );
+      await expect(
+        model.findPage({ after: cursor(['a', 'b']) })
+      ).rejects.toThrow('Invalid cursor.');
+      await expect(
+        model.findPage({ orderBy: 'name; DROP TABLE users' })
+      ).rejects.toThrow(
+        "Invalid keyset ORDER BY item 'name; DROP TABLE users'."
+      );
+      await expect(
+        model.findPage({ after: cursor([1]), before: cursor([2]) })
+      ).rejects.toThrow('findPage accepts either after or before, not both.');
+    });
+  });
+
+  describe('findIterator', () => {
+    let connection;
+
+    const collect = async (iterable) => {
+      const rows = [];
+      for await (const row of iterable) rows.push(row);
+      return rows;
+    };
+
+    beforeEach(() => {
+      connection = {
+        none: jest.fn().mockResolvedValue(),
+        manyOrNone: jest
+          .fn()
+          .mockResolvedValueOnce(selectAll)
+          .mockResolvedValueOnce([selectAll[0]]),
+        done: jest.fn(),
+      };
+      dbStub.connect = jest.fn().mockResolvedValue(connection);
+    });
+
+    it('should fetch the rows in batches from a server-side cursor', async () => {
+      const rows = await collect(
+        model.findIterator({
+          conditions: [{ field: 'age', operator: '>', value: 18 }],
+          batchSize: 2,
+        })
+      );
+
+      expect(rows).toEqual([...selectAll, selectAll[0]]);
+      const cursor = connection.none.mock.calls[1][0].split(' ')[1];
+      expect(cursor).toMatch(/^nap_cursor_\d+$/);
+      expect(connection.none.mock.calls).toEqual([
+        ['BEGIN'],
+        [
+          `DECLARE ${cursor} NO SCROLL CURSOR FOR SELECT * FROM test_table WHERE age > $1`,
+          [18],
+        ],
+        ['COMMIT'],
+      ]);
+      expect(connection.manyOrNone.mock.calls).toEqual([
+        [`FETCH 2 FROM ${cursor}`],
+        [`FETCH 2 FROM ${cursor}`],
+      ]);
+      expect(connection.done).toHaveBeenCalledTimes(1);
+      expect(dbStub.manyOrNone).not.toHaveBeenCalled();
+    });
+
+    it('should roll back and release the connection when the loop stops early', async () => {
+      for await (const row of model.findIterator({ batchSize: 2 })) break;
+
+      expect(connection.manyOrNone).toHaveBeenCalledTimes(1);
+      expect(connection.none).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(connection.done).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use the current transaction and close the cursor', async () => {
+      dbStub.ctx = { inTransaction: true };
+      dbStub.manyOrNone.mockResolvedValueOnce([]);
+
+      expect(await collect(model.findIterator())).toEqual([]);
+      expect(dbStub.connect).not.toHaveBeenCalled();
+      expect(dbStub.none.mock.calls[0][0]).toMatch(
+        /^DECLARE nap_cursor_\d+ NO SCROLL CURSOR FOR SELECT \* FROM test_table$/
+      );
+      expect(dbStub.manyOrNone.mock.calls[0][0]).toMatch(/^FETCH 1000 FROM/);
+      expect(dbStub.none.mock.calls[1][0]).toMatch(/^CLOSE nap_cursor_\d+$/);
+    });
+
+    it('should throw a mapped error and release the connection when a query fails', async () => {
+      connection.manyOrNone
+        .mockReset()
+        .mockRejectedValue(
+          Object.assign(new Error('deadlock detected'), { code: '40P01' })
+        );
+
+      await expect(collect(model.findIterator())).rejects.toThrow(
+        DeadlockError
+      );
+      expect(connection.none).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(connection.done).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw an exception for an invalid batch size', () => {
+      expect(() => model.findIterator({ batchSize: 0 })).toThrow(
+        'Invalid batch size.'
+      );
+    });
+
+    it('should stream the rows with findStream', async () => {
+      const stream = model.findStream({ batchSize: 2 });
+
+      expect(stream.readableObjectMode).toBe(true);
+      expect(await collect(stream)).toEqual([...selectAll, selectAll[0]]);
+      expect(connection.done).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('findByPK', () => {
     it('should return a record by primary key', async () => {
-      const expectedQuery = `SELECT id, name, email, age FROM test_table WHERE undefined = $1;`;
-      const expectedValues = 1;
+      const expectedQuery = `SELECT id, name, email, age FROM "public"."test_table" WHERE "id" = $1;`;
+      const expectedValues = [1];
 
       const result = await model.findByPK(1);
 
@@ -726,8 +1211,8 @@ describe('Model', () => {
     });
 
     it('should include timestamps when includeTimestamps is true', async () => {
-      const expectedQuery = `SELECT * FROM test_table WHERE undefined = $1;`;
-      const expectedValues = 1;
+      const expectedQuery = `SELECT * FROM "public"."test_table" WHERE "id" = $1;`;
+      const expectedValues = [1];
 
       options.includeTimestamps = true;
 
@@ -738,6 +1223,80 @@ describe('Model', () => {
         expectedValues
       );
     });
+
+    describe('composite keys', () => {
+      let items;
+
+      beforeEach(() => {
+        items = new Model(dbStub, pgp, {
+          tableName: 'order_items',
+          dbSchema: 'sales',
+          columns: {
+            order_id: { type: 'integer', nullable: false },
+            line: { type: 'integer', nullable: false },
+            quantity: { type: 'integer', nullable: true },
+          },
+          constraints: { pk_order_items: 'PRIMARY KEY (order_id, line)' },
+        });
+      });
+
+      it('should find a record by a composite key in the schema of the table', async () => {
+        await items.findByPK({ line: 2, order_id: 7 });
+        await items.findByPK([7, 3]);
+
+        expect(dbStub.oneOrNone).toHaveBeenNthCalledWith(
+          1,
+          'SELECT order_id, line, quantity FROM "sales"."order_items" WHERE "order_id" = $1 AND "line" = $2;',
+          [7, 2]
+        );
+        expect(dbStub.oneOrNone.mock.calls[1][1]).toEqual([7, 3]);
+      });
+
+      it('should update a record by primary key', async () => {
+        await items.updateByPK(
+          { order_id: 7, line: 2 },
+          { quantity: 5, updated_by: 'Admin' }
+        );
+
+        expect(dbStub.result.mock.calls[0][0]).toBe(
+          `UPDATE "sales"."order_items" SET "quantity"=5,"updated_at"=CURRENT_TIMESTAMP,"updated_by"='Admin' WHERE "order_id" = 7 AND "line" = 2;`
+        );
+      });
+
+      it('should delete a record by primary key', async () => {
+        await items.deleteByPK({ order_id: 7, line: 2 });
+
+        expect(dbStub.result.mock.calls[0][0]).toBe(
+          'DELETE FROM "sales"."order_items" WHERE "order_id" = 7 AND "line" = 2;'
+        );
+      });
+
+      it('should throw an exception for an incomplete key', async () => {
+        await expect(items.findByPK({ order_id: 7 })).rejects.toThrow(
+          'Invalid primary key for order_items; expected order_id, line.'
+        );
+        await expect(items.deleteByPK(7)).rejects.toThrow(DBError);
+        expect(dbStub.result).not.toHaveBeenCalled();
+      });
+    });
+
+    it('should soft delete a record by primary key', async () => {
+      const softModel = new Model(dbStub, pgp, { ...schema, softDelete: true });
+
+      await softModel.deleteByPK(1, { deleted_by: 'Admin' });
+
+      expect(dbStub.result.mock.calls[0][0]).toBe(
+        `UPDATE "public"."test_table" SET deleted_at = CURRENT_TIMESTAMP, deleted_by = 'Admin' WHERE deleted_at IS NULL AND ("id" = 1);`
+      );
+    });
+
+    it('should throw a NotFoundError when no record has the key', async () => {
+      dbStub.result.mockResolvedValue({ rowCount: 0 });
+
+      await expect(
+        model.updateByPK(1, { name: 'Jane', updated_by: 'Admin' })
+      ).rejects.toThrow(NotFoundError);
+    });
   });
 
   describe('findOne', () => {
@@ -771,6 +1330,169 @@ describe('Model', () => {
     });
   });
 
+  describe('relations', () => {
+    const vendorSchema = {
+      tableName: 'vendors',
+      columns: {
+        id: { type: 'serial', primaryKey: true },
+        name: { type: 'varchar(100)', nullable: false },
+      },
+      relations: {
+        orders: { type: 'hasMany', model: 'orders', foreignKey: 'vendor_id' },
+        profile: { type: 'hasOne', model: 'profiles', foreignKey: 'vendor_id' },
+        addresses: {
+          type: 'manyToMany',
+          model: 'addresses',
+          through: 'vendor_addresses',
+          foreignKey: 'vendor_id',
+          otherKey: 'address_id',
+        },
+      },
+    };
+    const orderSchema = {
+      tableName: 'orders',
+      columns: {
+        id: { type: 'serial', primaryKey: true },
+        vendor_id: { type: 'integer', nullable: false },
+      },
+      relations: {
+        vendor: {
+          type: 'belongsTo',
+          model: 'vendors',
+          foreignKey: 'vendor_id',
+        },
+      },
+    };
+    const simpleSchema = (tableName) => ({
+      tableName,
+      columns: { id: { type: 'serial', primaryKey: true } },
+    });
+
+    beforeEach(() => {
+      dbStub.vendors = new Model(dbStub, pgp, vendorSchema);
+      dbStub.orders = new Model(dbStub, pgp, orderSchema);
+      dbStub.profiles = new Model(dbStub, pgp, simpleSchema('profiles'));
+      dbStub.addresses = new Model(dbStub, pgp, simpleSchema('addresses'));
+    });
+
+    it('should throw an exception for an invalid relation', () => {
+      expect(
+        () =>
+          new Model(dbStub, pgp, {
+            ...simpleSchema('bad'),
+            relations: { owner: { type: 'belongsTo', model: 'users' } },
+          })
+      ).toThrow("Invalid relation 'owner'.");
+    });
+
+    it('should nest hasMany rows loaded with one query', async () => {
+      dbStub.manyOrNone
+        .mockResolvedValueOnce([
+          { id: 1, name: 'Acme' },
+          { id: 2, name: 'Globex' },
+        ])
+        .mockResolvedValueOnce([
+          { id: 10, vendor_id: 1 },
+          { id: 11, vendor_id: 1 },
+        ]);
+
+      const vendors = await dbStub.vendors.findAll({ include: 'orders' });
+
+      expect(dbStub.manyOrNone).toHaveBeenLastCalledWith(
+        'SELECT * FROM "public"."orders" WHERE "vendor_id" IN (1,2)'
+      );
+      expect(vendors).toEqual([
+        {
+          id: 1,
+          name: 'Acme',
+          orders: [
+            { id: 10, vendor_id: 1 },
+            { id: 11, vendor_id: 1 },
+          ],
+        },
+        { id: 2, name: 'Globex', orders: [] },
+      ]);
+    });
+
+    it('should nest a belongsTo row or null', async () => {
+      dbStub.manyOrNone
+        .mockResolvedValueOnce([
+          { id: 10, vendor_id: 1 },
+          { id: 11, vendor_id: 3 },
+        ])
+        .mockResolvedValueOnce([{ id: 1, name: 'Acme' }]);
+
+      const orders = await dbStub.orders.findAll({ include: ['vendor'] });
+
+      expect(dbStub.manyOrNone).toHaveBeenLastCalledWith(
+        'SELECT * FROM "public"."vendors" WHERE "id" IN (1,3)'
+      );
+      expect(orders[0].vendor).toEqual({ id: 1, name: 'Acme' });
+      expect(orders[1].vendor).toBeNull();
+    });
+
+    it('should load manyToMany rows through the join table', async () => {
+      dbStub.manyOrNone
+        .mockResolvedValueOnce([{ id: 1, name: 'Acme' }])
+        .mockResolvedValueOnce([
+          { id: 5, __relation_key: 1 },
+          { id: 6, __relation_key: 1 },
+        ]);
+
+      const vendors = await dbStub.vendors.findAll({ include: 'addresses' });
+
+      const query = dbStub.manyOrNone.mock.calls[1][0].replace(/\s+/g, ' ');
+      expect(query).toBe(
+        'SELECT t.*, j."vendor_id" AS "__relation_key" FROM "public"."addresses" t JOIN "public"."vendor_addresses" j ON j."address_id" = t."id" WHERE j."vendor_id" IN (1)'
+      );
+      expect(vendors[0].addresses).toEqual([{ id: 5 }, { id: 6 }]);
+    });
+
+    it('should load nested includes', async () => {
+      dbStub.manyOrNone
+        .mockResolvedValueOnce([{ id: 10, vendor_id: 1 }])
+        .mockResolvedValueOnce([{ id: 1, name: 'Acme' }])
+        .mockResolvedValueOnce([{ id: 7, vendor_id: 1 }]);
+
+      const orders = await dbStub.orders.findAll({
+        include: [{ relation: 'vendor', include: 'profile' }],
+      });
+
+      expect(dbStub.manyOrNone).toHaveBeenCalledTimes(3);
+      expect(orders[0].vendor.profile).toEqual({ id: 7, vendor_id: 1 });
+    });
+
+    it('should include relations in findOne', async () => {
+      dbStub.oneOrNone.mockResolvedValueOnce({ id: 2, name: 'Globex' });
+      dbStub.manyOrNone.mockResolvedValueOnce([]);
+
+      const vendor = await dbStub.vendors.findOne({
+        conditions: [{ field: 'id', operator: '=', value: 2 }],
+        include: 'profile',
+      });
+
+      expect(vendor).toEqual({ id: 2, name: 'Globex', profile: null });
+    });
+
+    it('should throw an exception for an unknown relation', async () => {
+      dbStub.manyOrNone.mockResolvedValueOnce([{ id: 1 }]);
+
+      await expect(
+        dbStub.vendors.findAll({ include: 'owners' })
+      ).rejects.toThrow("Unknown relation 'owners'.");
+    });
+
+    it('should throw an exception when the key column is not selected', async () => {
+      dbStub.manyOrNone.mockResolvedValueOnce([{ name: 'Acme' }]);
+
+      await expect(
+        dbStub.vendors.findAll({ fields: 'name', include: 'orders' })
+      ).rejects.toThrow(
+        "Relation 'orders' requires the column 'id' in the selected fields."
+      );
+    });
+  });
+
   describe('update', () => {
     it('should update a record', async () => {
       const dto = {
@@ -855,6 +1577,83 @@ describe('Model', () => {
     });
   });
 
+  describe('versioned', () => {
+    let versionedModel;
+    const dto = () => ({
+      id: 1,
+      name: 'Jane Doe',
+      version: 3,
+      updated_by: 'Admin',
+      _condition: 'WHERE id = ${id}',
+    });
+
+    beforeEach(() => {
+      versionedModel = new Model(dbStub, pgp, { ...schema, versioned: true });
+    });
+
+    it('should add a version column to the table', () => {
+      expect(versionedModel.createTableQuery()).toContain(
+        'version INTEGER NOT NULL DEFAULT 1'
+      );
+    });
+
+    it('should update the expected version and increment it', async () => {
+      await versionedModel.update(dto());
+
+      expect(dbStub.result).toHaveBeenCalledWith(
+        `UPDATE "public"."test_table" SET "name"='Jane Doe',"updated_at"=CURRENT_TIMESTAMP,"updated_by"='Admin',"version"="version"+1 WHERE version = 3 AND (id = 1);`,
+        expect.any(Function)
+      );
+    });
+
+    it('should throw a StaleRecordError when no row has the expected version', async () => {
+      dbStub.result.mockResolvedValue({ rowCount: 0 });
+
+      const error = await versionedModel.update(dto()).catch((e) => e);
+
+      expect(error).toBeInstanceOf(StaleRecordError);
+      expect(error).toBeInstanceOf(DBError);
+      expect(error.version).toBe(3);
+      expect(error.message).toBe(
+        'Record in test_table is stale: version 3 was changed or deleted by another update.'
+      );
+    });
+
+    it('should throw an exception when the expected version is missing', async () => {
+      const { version, ...withoutVersion } = dto();
+
+      const error = await versionedModel.update(withoutVersion).catch((e) => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors).toEqual({ version: ['is required'] });
+      expect(dbStub.result).not.toHaveBeenCalled();
+
+      await expect(
+        versionedModel.update({ ...withoutVersion, version: '3' })
+      ).rejects.toThrow('Validation failed: version must be an integer.');
+    });
+
+    it('should increment the version when an upsert updates a row', async () => {
+      await versionedModel.upsert(
+        { id: 1, name: 'Jane Doe', email: 'jane@doe.com', created_by: 'Admin' },
+        { conflictTarget: ['email'] }
+      );
+
+      expect(dbStub.none.mock.calls[0][0]).toMatch(
+        /"updated_by"=EXCLUDED."created_by","version"="public"."test_table"."version"\+1$/
+      );
+    });
+
+    it('should always return the version from findByPK', async () => {
+      await versionedModel.findByPK(1);
+
+      expect(dbStub.oneOrNone).toHaveBeenCalledWith(
+        'SELECT id, name, email, age, version FROM "public"."test_table" WHERE "id" = $1;',
+        [1]
+      );
+    });
+  });
+
   describe('delete', () => {
     it('should delete a record', async () => {
       const dto = {
@@ -922,6 +1721,618 @@ describe('Model', () => {
     });
   });
 
+  describe('validation', () => {
+    let validated;
+    const account = (values = {}) => ({
+      email: 'jane@doe.com',
+      role: 'member',
+      logins: '12',
+      balance: 999.99,
+      active: true,
+      owner_id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+      tags: ['a', null],
+      born_on: new Date(),
+      created_by: 'Admin',
+      ...values,
+    });
+
+    beforeEach(() => {
+      validated = new Model(dbStub, pgp, {
+        tableName: 'accounts',
+        columns: {
+          id: { type: 'serial', primaryKey: true },
+          email: {
+            type: 'varchar(20)',
+            nullable: false,
+            validate: (value) => value.includes('@') || 'must be an email',
+          },
+          role: {
+            type: 'varchar(10)',
+            nullable: false,
+            enum: ['admin', 'member'],
+          },
+          logins: { type: 'smallint', nullable: true },
+          balance: { type: 'numeric(5,2)', nullable: true },
+          active: { type: 'boolean', nullable: false, default: true },
+          owner_id: { type: 'uuid', nullable: true },
+          tags: { type: 'text[]', nullable: true },
+          born_on: { type: 'date', nullable: true },
+        },
+      });
+    });
+
+    it('should keep the validate functions of the schema', () => {
+      expect(typeof validated.schema.columns.email.validate).toBe('function');
+    });
+
+    it('should reject an invalid record before any SQL is sent', async () => {
+      const error = await validated
+        .insert({
+          email: 'a'.repeat(25),
+          role: 'owner',
+          logins: 40000,
+          balance: '1234.5',
+          active: 'maybe',
+          owner_id: 'x1',
+          tags: 'a',
+          born_on: 'yesterday',
+          created_by: 'Admin',
+        })
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error).toBeInstanceOf(DBError);
+      expect(error.errors).toEqual({
+        email: ['must be at most 20 characters'],
+        role: ['must be one of: admin, member'],
+        logins: ['is out of range for smallint'],
+        balance: ['must have at most 3 digits before the decimal point'],
+        active: ['must be a boolean'],
+        owner_id: ['must be a UUID'],
+        tags: ['must be an array'],
+        born_on: ['must be a valid date'],
+      });
+      expect(error.message).toMatch(
+        /^Validation failed: email must be at most 20 characters, role must be one of/
+      );
+      expect(dbStub.none).not.toHaveBeenCalled();
+    });
+
+    it('should require NOT NULL columns without a default on insert', async () => {
+      await expect(
+        validated.insertReturning({ email: null, created_by: 'Admin' })
+      ).rejects.toMatchObject({
+        errors: { email: ['can not be null'], role: ['is required'] },
+      });
+    });
+
+    it('should report the message of a custom validator', async () => {
+      await expect(
+        validated.upsert(
+          { email: 'nobody', role: 'admin', created_by: 'Admin' },
+          { conflictTarget: 'email' }
+        )
+      ).rejects.toThrow('Validation failed: email must be an email.');
+    });
+
+    it('should accept a valid record', async () => {
+      await validated.insert(account());
+
+      expect(dbStub.none).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only check the columns set by an update', async () => {
+      await validated.update({
+        role: 'admin',
+        updated_by: 'Admin',
+        _condition: 'WHERE id = 1',
+      });
+      await expect(
+        validated.update({ logins: 1.5, _condition: 'WHERE id = 1' })
+      ).rejects.toThrow('Validation failed: logins must be an integer.');
+    });
+
+    it('should validate after the beforeInsert hooks', async () => {
+      class Accounts extends Model {}
+      Accounts.addHook('beforeInsert', (dto) => {
+        dto.role = 'member';
+      });
+      const accounts = new Accounts(dbStub, pgp, validated.schema);
+
+      await accounts.insert(account({ role: undefined }));
+
+      expect(dbStub.none).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report the index of the invalid record in a bulk insert', async () => {
+      const error = await validated
+        .bulkInsert([account(), account({ role: 'root' })], { chunkSize: 1 })
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.index).toBe(1);
+      expect(error.message).toBe(
+        'Validation failed for record 1: role must be one of: admin, member.'
+      );
+    });
+  });
+
+  describe('database errors', () => {
+    // An error as raised by pg and pg-promise
+    const pgError = (code, fields = {}) =>
+      Object.assign(new Error(`error ${code}`), {
+        code,
+        schema: 'public',
+        table: 'test_table',
+        query: 'INSERT INTO "test_table" ...',
+        ...fields,
+      });
+    const dto = () => ({
+      name: 'John Doe',
+      email: 'john@doe.com',
+      age: 30,
+      created_by: 'Admin',
+    });
+
+    it('should map a unique violation and name the key columns', async () => {
+      const cause = pgError('23505', {
+        constraint: 'test_table_email_key',
+        detail: 'Key (email)=(john@doe.com) already exists.',
+      });
+      dbStub.none.mockRejectedValueOnce(cause);
+
+      const error = await model.insert(dto()).catch((e) => e);
+
+      expect(error).toBeInstanceOf(UniqueViolationError);
+      expect(error).toBeInstanceOf(QueryError);
+      expect(error).toBeInstanceOf(DBError);
+      expect(error).toMatchObject({
+        name: 'UniqueViolationError',
+        message: 'error 23505',
+        code: '23505',
+        constraint: 'test_table_email_key',
+        table: 'test_table',
+        column: 'email',
+        detail: 'Key (email)=(john@doe.com) already exists.',
+        query: 'INSERT INTO "test_table" ...',
+      });
+      expect(error.cause).toBe(cause);
+    });
+
+    it.each([
+      ['23503', ForeignKeyViolationError],
+      ['23502', NotNullViolationError],
+      ['23514', CheckViolationError],
+      ['22P02', InvalidTextRepresentationError],
+      ['40P01', DeadlockError],
+    ])('should map the SQLSTATE %s', async (code, ErrorClass) => {
+      dbStub.result.mockRejectedValueOnce(pgError(code, { column: 'name' }));
+
+      const error = await model
+        .update({
+          name: 'Jane',
+          updated_by: 'Admin',
+          _condition: 'WHERE id = 1',
+        })
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error.column).toBe('name');
+    });
+
+    it('should keep other server errors as a QueryError', async () => {
+      dbStub.manyOrNone.mockRejectedValueOnce(pgError('42P01'));
+
+      const error = await model.findAll({ fields: ['id'] }).catch((e) => e);
+
+      expect(error.constructor).toBe(QueryError);
+      expect(error.code).toBe('42P01');
+    });
+
+    it('should keep errors without a SQLSTATE as the cause', async () => {
+      const cause = new Error('Connection terminated unexpectedly');
+      dbStub.manyOrNone.mockRejectedValueOnce(cause);
+
+      const error = await model.findAll({ fields: ['id'] }).catch((e) => e);
+
+      expect(error.constructor).toBe(DBError);
+      expect(error.message).toBe('Connection terminated unexpectedly');
+      expect(error.cause).toBe(cause);
+    });
+  });
+
+  describe('safeMode', () => {
+    it('should quote the identifiers of find queries and reject unknown columns', async () => {
+      const safe = new Model(dbStub, pgp, {
+        ...schema,
+        softDelete: true,
+        safeMode: true,
+      });
+
+      await safe.findAll({
+        fields: 'id, name',
+        conditions: [{ field: 'age', operator: '>', value: 20 }],
+        orderBy: 'created_at DESC',
+      });
+
+      expect(dbStub.manyOrNone).toHaveBeenCalledWith(
+        'SELECT "id", "name" FROM "test_table" WHERE "test_table"."deleted_at" IS NULL AND ("age" > $1) ORDER BY "created_at" DESC',
+        [20]
+      );
+      await expect(
+        safe.findAll({ fields: 'id', orderBy: 'password' })
+      ).rejects.toThrow(new DBError("Unknown column 'password'."));
+    });
+  });
+
+  describe('hooks', () => {
+    class Users extends Model {}
+
+    let users;
+
+    beforeEach(() => {
+      users = new Users(dbStub, pgp, schema);
+    });
+
+    afterEach(() => {
+      [
+        'beforeInsert',
+        'afterInsert',
+        'beforeUpdate',
+        'afterUpdate',
+        'beforeDelete',
+        'afterDelete',
+        'afterFind',
+      ].forEach((event) => {
+        Users.removeHook(event);
+        Model.removeHook(event);
+      });
+    });
+
+    it('should throw an exception for an invalid hook', () => {
+      expect(() => Users.addHook('beforeSave', () => {})).toThrow(
+        "Invalid hook 'beforeSave'."
+      );
+      expect(() => Users.addHook('beforeInsert', 'hash')).toThrow(
+        'Hook must be a function.'
+      );
+    });
+
+    it('should let beforeInsert change the record before it is inserted', async () => {
+      Users.addHook('beforeInsert', async (dto) => {
+        dto.email = dto.email.toLowerCase();
+      });
+      const dto = { name: 'Jane', email: 'JANE@DOE.COM', created_by: 'Admin' };
+
+      await users.insert(dto);
+
+      expect(pgpSpy.helpers.insert.mock.results[0].value).toContain(
+        "'jane@doe.com'"
+      );
+    });
+
+    it('should run the hooks of parent classes first, in registration order', async () => {
+      const calls = [];
+      Users.addHook('beforeUpdate', () => calls.push('users'));
+      Model.addHook('beforeUpdate', () => calls.push('model 1'));
+      Model.addHook('beforeUpdate', () => calls.push('model 2'));
+
+      await users.update({
+        id: 1,
+        name: 'Jane',
+        updated_by: 'Admin',
+        _condition: 'WHERE id = ${id}',
+      });
+
+      expect(calls).toEqual(['model 1', 'model 2', 'users']);
+    });
+
+    it('should not run the hooks of another model class', async () => {
+      const hook = jest.fn();
+      Users.addHook('beforeInsert', hook);
+
+      await model.insert({
+        name: 'Jane',
+        email: 'j@d.com',
+        created_by: 'Admin',
+      });
+
+      expect(hook).not.toHaveBeenCalled();
+    });
+
+    it('should abort the operation when a hook throws', async () => {
+      Users.addHook('beforeDelete', async () => {
+        throw new Error('Users can not be deleted.');
+      });
+
+      await expect(
+        users.delete({ id: 1, _condition: 'WHERE id = ${id}' })
+      ).rejects.toThrow('Users can not be deleted.');
+      expect(dbStub.result).not.toHaveBeenCalled();
+    });
+
+    it('should pass the returned row and the database context to afterInsert', async () => {
+      const hook = jest.fn();
+      Users.addHook('afterInsert', hook);
+      dbStub.one.mockResolvedValue({ id: 7, name: 'Jane' });
+
+      await users.insertReturning({
+        name: 'Jane',
+        email: 'j@d.com',
+        created_by: 'Admin',
+      });
+
+      expect(hook).toHaveBeenCalledWith(
+        { id: 7, name: 'Jane' },
+        expect.objectContaining({
+          model: users,
+          db: dbStub,
+          event: 'afterInsert',
+        })
+      );
+    });
+
+    it('should run bulk insert hooks inside the transaction', async () => {
+      const t = { ...dbStub, none: jest.fn().mockResolvedValue() };
+      dbStub.tx = jest.fn((tag, cb) => cb(t));
+      const contexts = [];
+      Users.addHook('beforeInsert', (dto, context) =>
+        contexts.push(context.db)
+      );
+
+      await users.bulkInsert([
+        { name: 'A', email: 'a@d.com', created_by: 'Admin' },
+        { name: 'B', email: 'b@d.com', created_by: 'Admin' },
+      ]);
+
+      expect(contexts).toEqual([t, t]);
+    });
+
+    it('should pass the result to afterUpdate and afterDelete', async () => {
+      const hook = jest.fn();
+      Users.addHook('afterUpdate', hook);
+      Users.addHook('afterDelete', hook);
+      const dto = {
+        id: 1,
+        updated_by: 'Admin',
+        _condition: 'WHERE id = ${id}',
+      };
+
+      await users.update({ ...dto, name: 'Jane' });
+      await users.delete({ ...dto });
+
+      expect(hook).toHaveBeenCalledTimes(2);
+      expect(hook.mock.calls[0][1].result).toEqual({ rowCount: 1 });
+      expect(hook.mock.calls[1][1].event).toBe('afterDelete');
+    });
+
+    it('should run afterFind for every row found', async () => {
+      Users.addHook('afterFind', (row) => {
+        delete row.email;
+      });
+      dbStub.manyOrNone.mockResolvedValue([
+        { id: 1, email: 'a@b.c' },
+        { id: 2, email: 'd@e.f' },
+      ]);
+      dbStub.oneOrNone.mockResolvedValue({ id: 3, email: 'g@h.i' });
+
+      const rows = await users.findAll({ fields: '*' });
+      const row = await users.findByPK(3);
+
+      expect(rows).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(row).toEqual({ id: 3 });
+    });
+  });
+
+  describe('softDelete', () => {
+    let softModel;
+
+    beforeEach(() => {
+      softModel = new Model(dbStub, pgp, { ...schema, softDelete: true });
+    });
+
+    it('should add deleted_at and deleted_by to the table', () => {
+      const query = softModel.createTableQuery();
+
+      expect(query).toContain('deleted_at TIMESTAMPTZ DEFAULT NULL');
+      expect(query).toContain('deleted_by VARCHAR(50) DEFAULT NULL');
+      expect(model.createTableQuery()).not.toContain('deleted_at');
+    });
+
+    it('should mark records as deleted instead of deleting them', async () => {
+      await softModel.delete({
+        id: 1,
+        deleted_by: 'Admin',
+        _condition: 'WHERE id = ${id} OR age > 90',
+      });
+
+      expect(dbStub.result).toHaveBeenCalledWith(
+        "UPDATE test_table SET deleted_at = CURRENT_TIMESTAMP, deleted_by = 'Admin' WHERE deleted_at IS NULL AND (id = 1 OR age > 90);",
+        expect.any(Function)
+      );
+    });
+
+    it('should throw an exception when no record was deleted', async () => {
+      dbStub.result.mockResolvedValue({ rowCount: 0 });
+
+      await expect(
+        softModel.delete({ id: 1, _condition: 'WHERE id = ${id}' })
+      ).rejects.toThrow('No records found to delete');
+    });
+
+    it('should hide deleted records from reads', async () => {
+      await softModel.findAll({
+        conditions: [
+          { field: 'name', operator: '=', value: 'John Doe' },
+          { conjunction: 'OR', field: 'age', operator: '>', value: 90 },
+        ],
+      });
+      await softModel.findByPK(1);
+      await softModel.count({
+        aggregates: [{ func: 'COUNT', field: '*', alias: 'count' }],
+      });
+
+      expect(dbStub.manyOrNone).toHaveBeenCalledWith(
+        'SELECT * FROM test_table WHERE test_table.deleted_at IS NULL AND (name = $1 OR age > $2)',
+        ['John Doe', 90]
+      );
+      expect(dbStub.oneOrNone).toHaveBeenCalledWith(
+        'SELECT id, name, email, age FROM "public"."test_table" WHERE "id" = $1 AND deleted_at IS NULL;',
+        [1]
+      );
+      expect(dbStub.oneOrNone).toHaveBeenCalledWith(
+        'SELECT COUNT(*) AS count FROM test_table WHERE test_table.deleted_at IS NULL',
+        []
+      );
+    });
+
+    it('should include deleted records through withDeleted', async () => {
+      await softModel.withDeleted().findAll({ fields: '*' });
+      await softModel.findOne({ fields: '*' });
+
+      expect(dbStub.manyOrNone).toHaveBeenCalledWith(
+        'SELECT * FROM test_table',
+        []
+      );
+      expect(dbStub.oneOrNone).toHaveBeenCalledWith(
+        'SELECT * FROM test_table WHERE test_table.deleted_at IS NULL',
+        []
+      );
+    });
+
+    it('should restore deleted records', async () => {
+      await softModel.restore({
+        id: 1,
+        updated_by: 'Admin',
+        _condition: 'WHERE id = ${id}',
+      });
+
+      expect(dbStub.result).toHaveBeenCalledWith(
+        "UPDATE test_table SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP, updated_by = 'Admin' WHERE deleted_at IS NOT NULL AND (id = 1);",
+        expect.any(Function)
+      );
+    });
+
+    it('should clear updated_by when restoring without it', async () => {
+      await softModel.restore({ id: 1, _condition: 'WHERE id = ${id}' });
+
+      expect(dbStub.result).toHaveBeenCalledWith(
+        'UPDATE test_table SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP, updated_by = null WHERE deleted_at IS NOT NULL AND (id = 1);',
+        expect.any(Function)
+      );
+    });
+
+    it('should throw an exception when restoring without soft delete', async () => {
+      await expect(
+        model.restore({ id: 1, _condition: 'WHERE id = ${id}' })
+      ).rejects.toThrow('Soft delete is not enabled for this model.');
+    });
+
+    it('should permanently delete records with forceDelete', async () => {
+      await softModel.forceDelete({ id: 1, _condition: 'WHERE id = ${id}' });
+
+      expect(dbStub.result).toHaveBeenCalledWith(
+        'DELETE FROM test_table WHERE id = 1;',
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe('audit', () => {
+    let audited;
+
+    beforeEach(() => {
+      audited = new Model(dbStub, pgp, { ...schema, audit: true });
+    });
+
+    it('should create the history table and trigger with the table', async () => {
+      await audited.createTable();
+
+      const query = dbStub.none.mock.calls[0][0];
+      expect(query).toContain(
+        'CREATE TABLE IF NOT EXISTS "public"."test_table" ('
+      );
+      expect(query).toContain(
+        'CREATE TABLE IF NOT EXISTS "public"."test_table_history" ('
+      );
+      expect(query).toContain("ARRAY[COALESCE(new_data, old_data) ->> 'id']");
+      expect(query).toContain(
+        'CREATE TRIGGER "test_table_audit" AFTER INSERT OR UPDATE OR DELETE ON "public"."test_table"'
+      );
+      expect(model.createTableQuery()).not.toContain('test_table_history');
+    });
+
+    it('should key the history on every primary key column', () => {
+      const query = audited.auditTableQuery({
+        tableName: 'order_items',
+        columns: { order_id: { type: 'integer' }, line: { type: 'integer' } },
+        constraints: { pk_order_items: 'PRIMARY KEY (order_id, line)' },
+      });
+
+      expect(query).toContain(
+        "ARRAY[COALESCE(new_data, old_data) ->> 'order_id', COALESCE(new_data, old_data) ->> 'line']"
+      );
+      expect(() =>
+        audited.auditTableQuery({ tableName: 'logs', columns: {} })
+      ).toThrow('Auditing logs requires a primary key.');
+    });
+
+    it('should return the history of a record', async () => {
+      const rows = await audited.history(1);
+
+      expect(rows).toBe(selectAll);
+      expect(dbStub.manyOrNone).toHaveBeenCalledWith(
+        'SELECT * FROM "public"."test_table_history" WHERE record_key = $1::text[] ORDER BY history_id;',
+        [['1']]
+      );
+
+      await audited.history({ id: 2 });
+      expect(dbStub.manyOrNone.mock.calls[1][1]).toEqual([['2']]);
+    });
+
+    it('should qualify the audit trail with the schema of the table', async () => {
+      const app = new Model(dbStub, pgp, {
+        ...schema,
+        dbSchema: 'app',
+        audit: true,
+      });
+      const query = app.auditTableQuery();
+
+      expect(query).toContain(
+        'CREATE TABLE IF NOT EXISTS "app"."test_table_history" ('
+      );
+      expect(query).toContain(
+        'CREATE INDEX IF NOT EXISTS "test_table_history_record_key" ON "app"."test_table_history" (record_key);'
+      );
+      expect(query).toContain(
+        'CREATE OR REPLACE FUNCTION "app"."test_table_audit"() RETURNS trigger'
+      );
+      expect(query).toContain('INSERT INTO "app"."test_table_history" (');
+      expect(query).toContain(
+        'DROP TRIGGER IF EXISTS "test_table_audit" ON "app"."test_table";'
+      );
+      expect(query).toContain(
+        'FOR EACH ROW EXECUTE FUNCTION "app"."test_table_audit"();'
+      );
+
+      await app.history(1);
+      expect(dbStub.manyOrNone).toHaveBeenCalledWith(
+        'SELECT * FROM "app"."test_table_history" WHERE record_key = $1::text[] ORDER BY history_id;',
+        [['1']]
+      );
+    });
+
+    it('should throw an exception for an unaudited table or an invalid key', async () => {
+      await expect(model.history(1)).rejects.toThrow(
+        'test_table is not audited.'
+      );
+      await expect(audited.history({ name: 'x' })).rejects.toThrow(
+        'Invalid primary key for test_table; expected id.'
+      );
+      await expect(audited.history([1, 2])).rejects.toThrow(DBError);
+    });
+  });
+
   describe('truncate', () => {
     it('should truncate the table', async () => {
       const expectedQuery = `TRUNCATE TABLE test_table;`;
@@ -1312,7 +2723,10 @@ describe('Model', () => {
         const firstValueResult = await model.firstValue(options);
 
         expect(firstValueResult).toEqual({ first_name: 'John' });
-        expect(dbStub.oneOrNone).toHaveBeenCalled();
+        expect(dbStub.oneOrNone).toHaveBeenCalledWith(
+          'SELECT name, FIRST_VALUE(name) OVER (ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING) AS first_name FROM test_table LIMIT 1',
+          []
+        );
       } catch (error) {
         expect(error.message).toBe('Failed to get first value.');
       }
@@ -1353,7 +2767,10 @@ describe('Model', () => {
         const lastValueResult = await model.lastValue(options);
 
         expect(lastValueResult).toEqual({ last_name: 'Doe' });
-        expect(dbStub.oneOrNone).toHaveBeenCalled();
+        expect(dbStub.oneOrNone).toHaveBeenCalledWith(
+          'SELECT name, LAST_VALUE(name) OVER (ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING) AS last_name FROM test_table LIMIT 1',
+          []
+        );
       } catch (error) {
         expect(error.message).toBe('Failed to get last value.');
       }
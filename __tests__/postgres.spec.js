@@ -0,0 +1,247 @@
+'./__tests__/postgres.spec.js';
+
+/**
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+const { Worker } = require('worker_threads');
+const pgp = require('pg-promise')({ capSQL: true });
+const Model = require('../db/Model');
+
+// PGlite is PostgreSQL compiled to WebAssembly. It runs in a worker thread,
+// outside the module sandbox of jest, which can not load it.
+const engineSource = `
+  const { parentPort, workerData } = require('worker_threads');
+  const { PGlite } = require(workerData);
+  const engine = new PGlite();
+
+  parentPort.on('message', async ({ id, sql }) => {
+    try {
+      const results = await engine.exec(sql);
+      const { rows, affectedRows } = results[results.length - 1];
+      parentPort.postMessage({ id, rows, rowCount: affectedRows || rows.length });
+    } catch (error) {
+      parentPort.postMessage({
+        id,
+        error: { message: error.message, code: error.code },
+      });
+    }
+  });
+`;
+
+// Starts PostgreSQL and returns the pg-promise methods the models use
+const startPostgres = () => {
+  const worker = new Worker(engineSource, {
+    eval: true,
+    workerData: require.resolve('@electric-sql/pglite'),
+  });
+  const pending = new Map();
+  let lastId = 0;
+
+  worker.on('message', ({ id, error, ...result }) => {
+    const { resolve, reject } = pending.get(id);
+    pending.delete(id);
+    if (error) reject(Object.assign(new Error(error.message), error));
+    else resolve(result);
+  });
+
+  const run = (query, values) =>
+    new Promise((resolve, reject) => {
+      const id = ++lastId;
+      pending.set(id, { resolve, reject });
+      worker.postMessage({
+        id,
+        sql:
+          values === undefined || typeof values === 'function'
+            ? query
+            : pgp.as.format(query, values),
+      });
+    });
+
+  const db = {
+    none: async (query, values) => {
+      await run(query, values);
+      return null;
+    },
+    one: async (query, values) => (await run(query, values)).rows[0],
+    oneOrNone: async (query, values) =>
+      (await run(query, values)).rows[0] || null,
+    manyOrNone: async (query, values) => (await run(query, values)).rows,
+    any: async (query, values) => (await run(query, values)).rows,
+    result: async (query, values) => run(query, values),
+    tx: async (tag, callback) => {
+      await run('BEGIN');
+      try {
+        const result = await callback(db);
+        await run('COMMIT');
+        return result;
+      } catch (error) {
+        await run('ROLLBACK');
+        throw error;
+      }
+    },
+    stop: () => worker.terminate(),
+  };
+  return db;
+};
+
+describe('PostgreSQL', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = startPostgres();
+    await db.none('SELECT 1');
+  }, 60000);
+
+  afterAll(async () => {
+    await db.stop();
+  });
+
+  describe('versioned upsert', () => {
+    let users;
+
+    beforeAll(async () => {
+      users = new Model(db, pgp, {
+        tableName: 'versioned_users',
+        versioned: true,
+        columns: {
+          id: { type: 'serial', primaryKey: true },
+          email: { type: 'varchar(255)', nullable: false, unique: true },
+          name: { type: 'varchar(255)', nullable: false },
+        },
+      });
+      await users.createTable();
+    });
+
+    it('should increment the version of the updated row', async () => {
+      await users.upsert({
+        email: 'jane@doe.com',
+        name: 'Jane',
+        created_by: 'admin',
+      });
+      const row = await users.upsert(
+        { email: 'jane@doe.com', name: 'Jane Doe', created_by: 'editor' },
+        { returning: true }
+      );
+
+      expect(row).toMatchObject({
+        name: 'Jane Doe',
+        updated_by: 'editor',
+        version: 2,
+      });
+
+      await users.bulkUpsert([
+        { email: 'jane@doe.com', name: 'J. Doe', created_by: 'editor' },
+        { email: 'john@doe.com', name: 'John', created_by: 'editor' },
+      ]);
+
+      expect(
+        await db.manyOrNone(
+          'SELECT email, name, version FROM versioned_users ORDER BY email'
+        )
+      ).toEqual([
+        { email: 'jane@doe.com', name: 'J. Doe', version: 3 },
+        { email: 'john@doe.com', name: 'John', version: 1 },
+      ]);
+    });
+
+    it('should return the version from findByPK for updateByPK', async () => {
+      const { id } = await db.one(
+        "SELECT id FROM versioned_users WHERE email = 'john@doe.com'"
+      );
+      const found = await users.findByPK(id);
+
+      expect(found).toEqual({
+        id,
+        email: 'john@doe.com',
+        name: 'John',
+        version: 1,
+      });
+
+      await users.updateByPK(id, {
+        ...found,
+        name: 'John Doe',
+        updated_by: 'editor',
+      });
+
+      expect(await users.findByPK(id)).toMatchObject({
+        name: 'John Doe',
+        version: 2,
+      });
+    });
+  });
+
+  describe('audit trail', () => {
+    const columns = {
+      id: { type: 'serial', primaryKey: true },
+      name: { type: 'varchar(255)', nullable: false },
+    };
+
+    it('should record the changes of a table in another schema', async () => {
+      const accounts = new Model(db, pgp, {
+        tableName: 'accounts',
+        dbSchema: 'app',
+        audit: true,
+        columns,
+        indexes: { accounts_name: { config: 'name' } },
+      });
+      await db.none('CREATE SCHEMA app');
+      await accounts.createTable();
+      expect(
+        await db.manyOrNone(
+          "SELECT tablename, indexname FROM pg_indexes WHERE schemaname = 'app' ORDER BY indexname"
+        )
+      ).toEqual([
+        { tablename: 'accounts_history', indexname: 'accounts_history_pkey' },
+        {
+          tablename: 'accounts_history',
+          indexname: 'accounts_history_record_key',
+        },
+        { tablename: 'accounts', indexname: 'accounts_name' },
+        { tablename: 'accounts', indexname: 'accounts_pkey' },
+      ]);
+
+      await accounts.insert({ name: 'Jane', created_by: 'admin' });
+      await accounts.deleteByPK(1);
+
+      const history = await accounts.history(1);
+      expect(history.map((row) => [row.operation, row.changed_by])).toEqual([
+        ['INSERT', 'admin'],
+        ['DELETE', 'postgres'],
+      ]);
+    });
+
+    it('should not credit the last editor with a restore', async () => {
+      const notes = new Model(db, pgp, {
+        tableName: 'notes',
+        audit: true,
+        softDelete: true,
+        columns,
+      });
+      await notes.createTable();
+
+      await notes.insert({ name: 'Draft', created_by: 'admin' });
+      await notes.updateByPK(1, { name: 'Note', updated_by: 'editor' });
+      await notes.deleteByPK(1, { deleted_by: 'admin' });
+      await notes.restore({ id: 1, _condition: 'WHERE id = ${id}' });
+
+      const history = await notes.history(1);
+      expect(history.map((row) => row.changed_by)).toEqual([
+        'admin',
+        'editor',
+        'admin',
+        'postgres',
+      ]);
+      expect(history[3].diff).toMatchObject({
+        deleted_at: null,
+        updated_by: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+'./__tests__/queryParser.spec.js';
+
+/**
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+const pgp = require('pg-promise')({ capSQL: true });
+const Model = require('../db/Model');
+const QueryOptions = require('../db/QueryOptions');
+const QueryParser = require('../db/QueryParser');
+const { DBError, ValidationError } = require('../db/errors');
+
+const schema = {
+  tableName: 'users',
+  softDelete: true,
+  columns: {
+    id: { type: 'serial', primaryKey: true },
+    email: { type: 'varchar(255)', nullable: false },
+    age: { type: 'integer', nullable: true },
+  },
+};
+
+describe('QueryParser', () => {
+  let model;
+  let parser;
+
+  const errorsOf = (query) => {
+    try {
+      parser.parse(query);
+    } catch (error) {
+      expect(error).toBeInstanceOf(ValidationError);
+      return error.errors;
+    }
+    throw new Error('The query was accepted.');
+  };
+
+  beforeEach(() => {
+    model = new Model({}, pgp, schema);
+    parser = new QueryParser(model);
+  });
+
+  it('should throw an exception for an invalid model or page size', () => {
+    expect(() => new QueryParser()).toThrow('Invalid model.');
+    expect(() => new QueryParser(model, { maxPageSize: 0 })).toThrow(DBError);
+  });
+
+  it('should parse a raw query string into QueryOptions', () => {
+    const options = parser.parse(
+      '?filter[age][gte]=18&sort=-created_at&fields=id,email&page[size]=25'
+    );
+
+    expect(options).toBeInstanceOf(QueryOptions);
+    expect(options.Options).toEqual({
+      ...new QueryOptions().Options,
+      table: 'users',
+      fields: 'id, email',
+      conditions: [{ field: 'age', operator: '>=', value: '18' }],
+      orderBy: 'created_at DESC',
+      limit: 25,
+      exactLimit: true,
+    });
+  });
+
+  it('should accept the object parsed by Express', () => {
+    const options = parser.parse({
+      filter: { email: 'john@doe.com', age: { between: '18,30' } },
+      page: { size: '10', number: '3' },
+    });
+
+    expect(options.conditions).toEqual([
+      { field: 'email', operator: '=', value: 'john@doe.com' },
+      { field: 'age', operator: 'BETWEEN', value: ['18', '30'] },
+    ]);
+    expect(options.limit).toBe(10);
+    expect(options.offset).toBe(20);
+  });
+
+  it('should build conditions for every operator', () => {
+    const { conditions } = parser.parse(
+      'filter[age][ne]=1&filter[age][lt]=9&filter[email][ilike]=%25doe%25' +
+        '&filter[id][in]=1,2&filter[id][nin]=3&filter[deleted_at][null]=false'
+    );
+
+    expect(conditions).toEqual([
+      { field: 'age', operator: '<>', value: '1' },
+      { field: 'age', operator: '<', value: '9' },
+      { field: 'email', operator: 'ILIKE', value: '%doe%' },
+      { field: 'id', operator: 'IN', value: ['1', '2'] },
+      { field: 'id', operator: 'NOT IN', value: ['3'] },
+      { field: 'deleted_at', operator: 'IS NOT NULL' },
+    ]);
+  });
+
+  it('should use the default page size', () => {
+    expect(parser.parse('').limit).toBe(25);
+    expect(new QueryParser(model, { maxPageSize: 20 }).parse({}).limit).toBe(
+      20
+    );
+  });
+
+  it('should reject unknown columns', () => {
+    expect(
+      errorsOf('filter[password]=x&sort=name,-age&fields=id,secret')
+    ).toEqual({
+      'filter[password]': ['is not a column'],
+      sort: ['name is not a column'],
+      fields: ['secret is not a column'],
+    });
+  });
+
+  it('should reject invalid operators, values and parameters', () => {
+    expect(
+      errorsOf(
+        'filter[age][regex]=1&filter[age][between]=1&filter[age][null]=yes&q=1'
+      )
+    ).toEqual({
+      q: ['is not a query parameter'],
+      'filter[age][regex]': [
+        'is not an operator (eq, ne, gt, gte, lt, lte, like, ilike, in, nin, between, null)',
+      ],
+      'filter[age][between]': ['must be two values separated by a comma'],
+      'filter[age][null]': ['must be true or false'],
+    });
+  });
+
+  it('should keep page sizes below 10', () => {
+    const options = new QueryParser(model, { maxPageSize: 5 }).parse(
+      'page[size]=3&page[number]=2'
+    );
+
+    expect(options.limit).toBe(3);
+    expect(options.offset).toBe(3);
+  });
+
+  it('should keep page sizes below 10 in the query of findAll', async () => {
+    const db = { manyOrNone: jest.fn().mockResolvedValue([]) };
+    const users = new Model(db, pgp, schema);
+
+    await users.findAll(
+      new QueryParser(users, { maxPageSize: 5 }).parse(
+        'page[size]=3&page[number]=2'
+      ).Options
+    );
+
+    expect(db.manyOrNone).toHaveBeenCalledWith(
+      'SELECT * FROM users WHERE users.deleted_at IS NULL LIMIT 3 OFFSET 3',
+      []
+    );
+  });
+
+  it('should enforce the maximum page size', () => {
+    parser = new QueryParser(model, { maxPageSize: 50 });
+
+    expect(errorsOf('page[size]=51&page[number]=0')).toEqual({
+      'page[number]': ['must be a positive integer'],
+      'page[size]': ['must be at most 50'],
+    });
+  });
+
+  it('should ignore keys that would change Object.prototype', () => {
+    parser.parse('__proto__[polluted]=1&filter[age]=1');
+
+    expect({}.polluted).toBeUndefined();
+  });
+});
@@ -0,0 +1,256 @@
+'./__tests__/router.spec.js';
+
+/**
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+const express = require('express');
+const pgp = require('pg-promise')({ capSQL: true });
+const Model = require('../db/Model');
+const { createRouter, statusFor } = require('../db/router');
+const {
+  DBError,
+  NotFoundError,
+  StaleRecordError,
+  ValidationError,
+  UniqueViolationError,
+  InvalidTextRepresentationError,
+  DeadlockError,
+} = require('../db/errors');
+
+const schema = {
+  tableName: 'users',
+  columns: {
+    id: { type: 'serial', primaryKey: true },
+    name: { type: 'varchar(50)', nullable: false },
+    email: { type: 'varchar(255)', nullable: false },
+    age: { type: 'integer', nullable: true, default: 18 },
+  },
+};
+const john = { id: 1, name: 'John Doe', email: 'john@doe.com', age: 30 };
+
+describe('createRouter', () => {
+  let dbStub;
+  let model;
+  let server;
+  let baseUrl;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  const listen = async (router) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/users', router);
+    server = await new Promise((resolve) => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  beforeEach(async () => {
+    dbStub = {
+      none: jest.fn().mockResolvedValue(),
+      one: jest.fn().mockResolvedValue(john),
+      oneOrNone: jest.fn().mockResolvedValue(john),
+      manyOrNone: jest.fn().mockResolvedValue([]),
+      result: jest.fn().mockResolvedValue({ rowCount: 1 }),
+    };
+    model = new Model(dbStub, pgp, schema);
+    await listen(createRouter(model, { actor: () => 'api' }));
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('should throw an exception for a model without a single primary key', () => {
+    const keyless = new Model(dbStub, pgp, {
+      tableName: 'logs',
+      columns: { line: { type: 'text' } },
+    });
+
+    expect(() => createRouter(keyless, { express })).toThrow(DBError);
+  });
+
+  it('should list the records with filter, sort and paging', async () => {
+    dbStub.manyOrNone.mockResolvedValueOnce([{ ...john, total_count: '42' }]);
+
+    const { status, body } = await request(
+      'GET',
+      '/users?filter[name]=John%20Doe&filter[age][gte]=18&sort=-age,name&page[size]=20&page[number]=3'
+    );
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      data: [john],
+      meta: { total: 42, page: { size: 20, number: 3 } },
+    });
+    expect(dbStub.manyOrNone).toHaveBeenCalledWith(
+      'SELECT *, COUNT(*) OVER() AS total_count FROM users WHERE name = $1 AND age >= $2 ORDER BY age DESC, name ASC LIMIT 20 OFFSET 40',
+      ['John Doe', '18']
+    );
+  });
+
+  it('should keep a page size below 10', async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await listen(createRouter(model, { maxPageSize: 5 }));
+    dbStub.manyOrNone.mockResolvedValueOnce([{ ...john, total_count: '7' }]);
+
+    const { body } = await request('GET', '/users?page[size]=3&page[number]=2');
+
+    expect(body.meta).toEqual({ total: 7, page: { size: 3, number: 2 } });
+    expect(dbStub.manyOrNone).toHaveBeenCalledWith(
+      'SELECT *, COUNT(*) OVER() AS total_count FROM users LIMIT 3 OFFSET 3',
+      []
+    );
+  });
+
+  it('should reject unknown columns and oversized pages', async () => {
+    const { status, body } = await request(
+      'GET',
+      '/users?sort=password&page[size]=500'
+    );
+
+    expect(status).toBe(422);
+    expect(body.errors).toEqual({
+      sort: ['password is not a column'],
+      'page[size]': ['must be at most 100'],
+    });
+    expect(dbStub.manyOrNone).not.toHaveBeenCalled();
+  });
+
+  it('should count the records matching the filter', async () => {
+    dbStub.oneOrNone.mockResolvedValueOnce({ count: '7' });
+
+    const { body } = await request('GET', '/users/count?filter[age]=30');
+
+    expect(body).toEqual({ count: 7 });
+    expect(dbStub.oneOrNone).toHaveBeenCalledWith(
+      'SELECT COUNT(*) AS count FROM users WHERE age = $1',
+      ['30']
+    );
+  });
+
+  it('should return a record by primary key, or 404', async () => {
+    expect(await request('GET', '/users/1')).toEqual({
+      status: 200,
+      body: john,
+    });
+
+    dbStub.oneOrNone.mockResolvedValueOnce(null);
+    const { status } = await request('GET', '/users/2');
+    expect(status).toBe(404);
+  });
+
+  it('should answer 400 for a malformed primary key', async () => {
+    dbStub.oneOrNone.mockRejectedValueOnce(
+      Object.assign(new Error('invalid input syntax for type integer: "abc"'), {
+        code: '22P02',
+      })
+    );
+
+    const { status, body } = await request('GET', '/users/abc');
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('invalid input syntax for type integer: "abc"');
+  });
+
+  it('should insert the columns of the body and answer 201', async () => {
+    const { status, body } = await request('POST', '/users', {
+      name: 'John Doe',
+      email: 'john@doe.com',
+      age: 30,
+      returning: 'RETURNING password',
+    });
+
+    expect(status).toBe(201);
+    expect(body).toEqual(john);
+    expect(dbStub.one.mock.calls[0][0]).toBe(
+      `INSERT INTO "public"."users"("name","email","age","created_by") VALUES('John Doe','john@doe.com',30,'api') RETURNING *`
+    );
+  });
+
+  it('should update the record and return it', async () => {
+    const { status, body } = await request('PATCH', '/users/1', {
+      age: 31,
+      _condition: 'WHERE true',
+    });
+
+    expect(status).toBe(200);
+    expect(body).toEqual(john);
+    expect(dbStub.result.mock.calls[0][0]).toBe(
+      `UPDATE "public"."users" SET "age"=31,"updated_at"=CURRENT_TIMESTAMP,"updated_by"='api' WHERE "id" = '1';`
+    );
+  });
+
+  it('should answer 422 for a versioned update without version', async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await listen(
+      createRouter(new Model(dbStub, pgp, { ...schema, versioned: true }))
+    );
+
+    const { status, body } = await request('PATCH', '/users/1', { age: 31 });
+
+    expect(status).toBe(422);
+    expect(body.errors).toEqual({ version: ['is required'] });
+    expect(dbStub.result).not.toHaveBeenCalled();
+  });
+
+  it('should delete the record and answer 204', async () => {
+    const { status } = await request('DELETE', '/users/1');
+
+    expect(status).toBe(204);
+    expect(dbStub.result.mock.calls[0][0]).toBe(
+      `DELETE FROM users WHERE "id" = '1';`
+    );
+  });
+
+  it('should answer 404 when there is no record to delete', async () => {
+    dbStub.result.mockResolvedValueOnce({ rowCount: 0 });
+
+    const { status, body } = await request('DELETE', '/users/9');
+
+    expect(status).toBe(404);
+    expect(body).toEqual({ error: 'No records found to delete' });
+  });
+
+  it('should answer 422 with the errors of an invalid record', async () => {
+    const { status, body } = await request('POST', '/users', {
+      name: 'x'.repeat(60),
+      email: 'john@doe.com',
+    });
+
+    expect(status).toBe(422);
+    expect(body.errors).toEqual({ name: ['must be at most 50 characters'] });
+  });
+
+  describe('statusFor', () => {
+    it('should map the typed errors to HTTP status codes', () => {
+      const pgError = (code) => Object.assign(new Error('x'), { code });
+
+      expect(statusFor(new ValidationError({ a: ['is required'] }))).toBe(422);
+      expect(statusFor(new NotFoundError('x'))).toBe(404);
+      expect(statusFor(new StaleRecordError('users', 1))).toBe(409);
+      expect(statusFor(new UniqueViolationError(pgError('23505')))).toBe(409);
+      expect(
+        statusFor(new InvalidTextRepresentationError(pgError('22P02')))
+      ).toBe(400);
+      expect(statusFor(new DeadlockError(pgError('40P01')))).toBe(503);
+      expect(statusFor(new DBError('x'))).toBe(500);
+    });
+  });
+});
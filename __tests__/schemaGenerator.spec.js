@@ -0,0 +1,338 @@
+'./__tests__/schemaGenerator.spec.js';
+
+/**
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pgp = require('pg-promise')({ capSQL: true });
+const Model = require('../db/Model');
+const Migrator = require('../db/Migrator');
+const SchemaGenerator = require('../db/SchemaGenerator');
+const SchemaInspector = require('../db/SchemaInspector');
+const { DBError } = require('../db/errors');
+
+// The live structure of a legacy table as read by SchemaInspector
+const liveTable = () => ({
+  columns: {
+    id: {
+      type: 'integer',
+      nullable: false,
+      default: "nextval('vendor_addresses_id_seq'::regclass)",
+    },
+    vendor_id: { type: 'uuid', nullable: false, default: null },
+    address_id: { type: 'uuid', nullable: false, default: null },
+    label: {
+      type: 'character varying(50)',
+      nullable: true,
+      default: "'main'::character varying",
+    },
+    priority: { type: 'integer', nullable: false, default: '0' },
+    active: { type: 'boolean', nullable: false, default: 'true' },
+    created_at: {
+      type: 'timestamp with time zone',
+      nullable: false,
+      default: 'CURRENT_TIMESTAMP',
+    },
+    created_by: {
+      type: 'character varying(50)',
+      nullable: false,
+      default: null,
+    },
+    updated_at: {
+      type: 'timestamp with time zone',
+      nullable: true,
+      default: 'NULL::timestamp with time zone',
+    },
+    updated_by: {
+      type: 'character varying(50)',
+      nullable: true,
+      default: 'NULL::character varying',
+    },
+  },
+  constraints: {
+    vendor_addresses_pkey: {
+      type: 'p',
+      columns: ['id'],
+      definition: 'PRIMARY KEY (id)',
+    },
+    vendor_addresses_vendor_id_fkey: {
+      type: 'f',
+      columns: ['vendor_id'],
+      definition:
+        'FOREIGN KEY (vendor_id) REFERENCES vendors(id) ON DELETE CASCADE',
+    },
+    vendor_addresses_priority_check: {
+      type: 'c',
+      columns: ['priority'],
+      definition: 'CHECK ((priority >= 0))',
+    },
+    fk_address: {
+      type: 'f',
+      columns: ['address_id'],
+      definition: 'FOREIGN KEY (address_id) REFERENCES addresses(id)',
+    },
+    uq_vendor_address: {
+      type: 'u',
+      columns: ['vendor_id', 'address_id'],
+      definition: 'UNIQUE (vendor_id, address_id)',
+    },
+  },
+  indexes: {
+    idx_label: {
+      unique: false,
+      definition:
+        'CREATE INDEX idx_label ON public.vendor_addresses USING btree (label)',
+    },
+    idx_active_label: {
+      unique: true,
+      definition:
+        'CREATE UNIQUE INDEX idx_active_label ON public.vendor_addresses USING btree (lower((label)::text)) WHERE active',
+    },
+  },
+});
+
+describe('SchemaGenerator', () => {
+  let dbStub;
+  let generator;
+
+  beforeEach(() => {
+    dbStub = {
+      oneOrNone: jest.fn(),
+      manyOrNone: jest.fn(),
+    };
+    generator = new SchemaGenerator(dbStub);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should throw an exception if the database object is not defined', () => {
+    expect(() => new SchemaGenerator()).toThrow('Invalid database.');
+  });
+
+  describe('toSchema', () => {
+    it('should convert the live table to a Schema', () => {
+      const { schema } = generator.toSchema(
+        'public',
+        'vendor_addresses',
+        liveTable()
+      );
+
+      expect(schema).toEqual({
+        tableName: 'vendor_addresses',
+        dbSchema: 'public',
+        timeStamps: true,
+        columns: {
+          id: { type: 'serial', primaryKey: true },
+          vendor_id: {
+            type: 'uuid',
+            nullable: false,
+            references: 'vendors(id)',
+            onDelete: 'CASCADE',
+          },
+          address_id: { type: 'uuid', nullable: false },
+          label: {
+            type: 'character varying(50)',
+            nullable: true,
+            default: "'main'",
+          },
+          priority: {
+            type: 'integer',
+            nullable: false,
+            default: 0,
+            check: 'priority >= 0',
+          },
+          active: { type: 'boolean', nullable: false, default: true },
+        },
+        constraints: {
+          fk_address: 'FOREIGN KEY (address_id) REFERENCES addresses(id)',
+          uq_vendor_address: 'UNIQUE (vendor_id, address_id)',
+        },
+        indexes: {
+          idx_label: { unique: false, config: 'label' },
+          idx_active_label: { unique: true, config: 'lower((label)::text)' },
+        },
+      });
+    });
+
+    it('should report what the Schema can not express', () => {
+      const live = liveTable();
+      delete live.columns.updated_by;
+
+      const { notes } = generator.toSchema('public', 'vendor_addresses', live);
+
+      expect(notes).toEqual([
+        'Missing time stamp column(s) updated_by; the model adds them.',
+        'Index idx_active_label is generated as a plain btree index; the original is: CREATE UNIQUE INDEX idx_active_label ON public.vendor_addresses USING btree (lower((label)::text)) WHERE active',
+      ]);
+    });
+
+    it('should turn on softDelete when the table has deleted_at and deleted_by', () => {
+      const live = liveTable();
+      live.columns.deleted_at = {
+        type: 'timestamp with time zone',
+        nullable: true,
+        default: null,
+      };
+      live.columns.deleted_by = {
+        type: 'character varying(50)',
+        nullable: true,
+        default: null,
+      };
+
+      const { schema } = generator.toSchema('public', 'vendor_addresses', live);
+
+      expect(schema.softDelete).toBe(true);
+      expect(schema.columns.deleted_at).toBeUndefined();
+      expect(new Model(dbStub, pgp, schema).tableColumns()).toHaveProperty(
+        'deleted_by'
+      );
+    });
+
+    it('should turn on versioned for an integer version column defaulting to 1', () => {
+      const live = liveTable();
+      live.columns.version = { type: 'integer', nullable: false, default: '1' };
+
+      const { schema } = generator.toSchema('public', 'vendor_addresses', live);
+
+      expect(schema.versioned).toBe(true);
+      expect(schema.columns.version).toBeUndefined();
+    });
+
+    it('should produce a Schema the Migrator finds nothing to change in', () => {
+      const live = liveTable();
+      const { schema } = generator.toSchema('public', 'vendor_addresses', live);
+      const model = new Model(dbStub, pgp, schema);
+
+      expect(new Migrator(dbStub, pgp).diff(model, live)).toEqual([]);
+    });
+  });
+
+  describe('inspect', () => {
+    it('should throw an exception if the table does not exist', async () => {
+      jest
+        .spyOn(SchemaInspector.prototype, 'inspectTable')
+        .mockResolvedValue(null);
+
+      await expect(generator.inspect('public', 'missing')).rejects.toThrow(
+        'Table public.missing does not exist.'
+      );
+    });
+  });
+
+  describe('modelSource', () => {
+    it('should return a module defining a Model subclass', () => {
+      const { schema, notes } = generator.toSchema(
+        'public',
+        'vendor_addresses',
+        liveTable()
+      );
+
+      const code = generator.modelSource(schema, {
+        notes,
+        requirePath: '../index',
+      });
+
+      expect(code).toContain('class VendorAddresses extends Model {');
+      expect(code).toContain(
+        ' * - Index idx_active_label is generated as a plain btree index;'
+      );
+      expect(code).toContain("      id: { type: 'serial', primaryKey: true },");
+
+      // The generated module creates an equivalent model
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nap-db-'));
+      try {
+        const file = path.join(directory, 'VendorAddresses.js');
+        fs.writeFileSync(
+          file,
+          code.replace("'../index'", `'${path.resolve('index.js')}'`)
+        );
+        const VendorAddresses = require(file);
+        const model = new VendorAddresses(dbStub, pgp);
+
+        expect(model).toBeInstanceOf(Model);
+        expect(model.schema).toEqual(schema);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('generate', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nap-db-models-'));
+      jest
+        .spyOn(SchemaInspector.prototype, 'inspectTable')
+        .mockImplementation(async () => liveTable());
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should write a module per table and an index of repositories', async () => {
+      dbStub.manyOrNone.mockResolvedValue([
+        { table_name: 'nap_migrations' },
+        { table_name: 'order_items' },
+        { table_name: 'vendor_addresses' },
+        { table_name: 'zz_tmp' },
+      ]);
+
+      const models = await generator.generate({
+        dbSchema: 'legacy',
+        directory,
+        exclude: ['zz_tmp'],
+      });
+
+      expect(dbStub.manyOrNone.mock.calls[0][1]).toEqual(['legacy']);
+      expect(models.map((m) => [m.table, m.className])).toEqual([
+        ['order_items', 'OrderItems'],
+        ['vendor_addresses', 'VendorAddresses'],
+      ]);
+      expect(fs.readdirSync(directory).sort()).toEqual([
+        'OrderItems.js',
+        'VendorAddresses.js',
+        'index.js',
+      ]);
+      expect(fs.readFileSync(path.join(directory, 'index.js'), 'utf8')).toBe(
+        `'use strict';
+
+const OrderItems = require('./OrderItems');
+const VendorAddresses = require('./VendorAddresses');
+
+module.exports = {
+  order_items: OrderItems,
+  vendor_addresses: VendorAddresses,
+};
+`
+      );
+    });
+
+    it('should not overwrite existing modules', async () => {
+      await generator.generate({ tables: ['vendor_addresses'], directory });
+
+      await expect(
+        generator.generate({ tables: ['vendor_addresses'], directory })
+      ).rejects.toThrow(DBError);
+      await expect(
+        generator.generate({
+          tables: ['vendor_addresses'],
+          directory,
+          overwrite: true,
+        })
+      ).resolves.toHaveLength(1);
+    });
+  });
+});
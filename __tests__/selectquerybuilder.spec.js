@@ -365,4 +365,604 @@ describe('SelectQueryBuilder', () => {
       expect(query.values).toEqual([]);
     });
   });
+
+  describe('safe mode', () => {
+    const { raw } = SelectQueryBuilder;
+    let safe;
+
+    beforeEach(() => {
+      safe = new SelectQueryBuilder().useSafeMode({
+        users: ['id', 'name', 'email', 'age'],
+        orders: ['id', 'user_id', 'amount'],
+      });
+    });
+
+    it('should quote the identifiers of the query', () => {
+      safe
+        .setTable('users')
+        .setFields('users.id, name AS user_name, orders.*')
+        .addJoin('left', 'orders', 'orders.user_id = users.id')
+        .addCondition({ field: 'users.age', operator: '>=', value: 18 })
+        .addCondition({
+          conjunction: 'or',
+          field: 'name',
+          operator: 'ilike',
+          value: 'J%',
+        })
+        .setOrderBy('name desc nulls last, users.id')
+        .setLimit(10);
+
+      const { query, values } = safe.buildQuery();
+
+      expect(query).toBe(
+        'SELECT "users"."id", "name" AS "user_name", "orders".* FROM "users" LEFT JOIN "orders" ON "orders"."user_id" = "users"."id" WHERE "users"."age" >= $1 OR "name" ILIKE $2 ORDER BY "name" DESC NULLS LAST, "users"."id" LIMIT 10'
+      );
+      expect(values).toEqual([18, 'J%']);
+    });
+
+    it('should quote the identifiers of an aggregate query', () => {
+      safe
+        .setTable('orders')
+        .addAggregate('SUM', 'amount', 'total')
+        .setGroupBy('user_id');
+
+      expect(safe.buildQuery().query).toBe(
+        'SELECT SUM("amount") AS "total" FROM "orders" GROUP BY "user_id"'
+      );
+    });
+
+    it.each([
+      [
+        'an unknown table',
+        (q) => q.setTable('accounts'),
+        "Unknown table 'accounts'.",
+      ],
+      [
+        'an unknown column',
+        (q) => q.setTable('users').setFields('password'),
+        "Unknown column 'password'.",
+      ],
+      [
+        'a column of an unknown table',
+        (q) => q.setTable('users').setFields('accounts.id'),
+        "Unknown table 'accounts'.",
+      ],
+      [
+        'an injected ORDER BY',
+        (q) => q.setTable('users').setOrderBy('name; DROP TABLE users'),
+        "Invalid ORDER BY item 'name; DROP TABLE users'.",
+      ],
+      [
+        'an expression as field',
+        (q) => q.setTable('users').setFields('lower(email)'),
+        "Invalid identifier 'lower(email)'.",
+      ],
+      [
+        'an operator outside the allow-list',
+        (q) =>
+          q
+            .setTable('users')
+            .addCondition({ field: 'id', operator: '= 1 OR 1 =', value: 1 }),
+        "Invalid operator '= 1 OR 1 ='.",
+      ],
+      [
+        'a join condition that is not a column equality',
+        (q) =>
+          q.setTable('users').addJoin('INNER', 'orders', 'orders.amount > 10'),
+        "Invalid join condition 'orders.amount > 10'; use raw() for other conditions.",
+      ],
+      [
+        'a limit that is not an integer',
+        (q) => q.setTable('users').setOffset('1; DELETE FROM users'),
+        'Invalid offset value.',
+      ],
+    ])('should reject %s', (_, build, message) => {
+      build(safe);
+
+      expect(() => safe.buildQuery()).toThrow(new DBError(message));
+    });
+
+    it('should insert raw() fragments as is', () => {
+      safe
+        .setTable('users')
+        .setFields(['id', raw('lower(email) AS email')])
+        .addJoin(
+          'INNER',
+          'orders',
+          raw('orders.user_id = users.id AND orders.amount > 10')
+        )
+        .addCondition({
+          field: raw('lower(name)'),
+          operator: '=',
+          value: 'john',
+        })
+        .setOrderBy(raw('random()'));
+
+      expect(safe.buildQuery().query).toBe(
+        'SELECT "id", lower(email) AS email FROM "users" INNER JOIN "orders" ON orders.user_id = users.id AND orders.amount > 10 WHERE lower(name) = $1 ORDER BY random()'
+      );
+    });
+
+    it('should keep the safe mode across resets and turn it off with null', () => {
+      safe.reset();
+      safe.setTable('users').setFields('id');
+      expect(safe.buildQuery().query).toBe('SELECT "id" FROM "users"');
+
+      safe.useSafeMode(null).reset();
+      safe.setTable('users').setFields('id');
+      expect(safe.buildQuery().query).toBe('SELECT id FROM users');
+    });
+  });
+
+  describe('common table expressions', () => {
+    const { raw } = SelectQueryBuilder;
+
+    it('should prefix the query with a WITH clause and renumber its parameters', () => {
+      const recent = new SelectQueryBuilder()
+        .setTable('orders')
+        .setFields('user_id, amount')
+        .addCondition({ field: 'amount', operator: '>', value: 100 });
+
+      qb.setTable('users')
+        .addCte('big_orders', recent)
+        .addJoin('INNER', 'big_orders', 'big_orders.user_id = users.id')
+        .addCondition({ field: 'users.age', operator: '>=', value: 18 });
+
+      const { query, values } = qb.buildQuery();
+
+      expect(query).toBe(
+        'WITH big_orders AS (SELECT user_id, amount FROM orders WHERE amount > $1) SELECT * FROM users INNER JOIN big_orders ON big_orders.user_id = users.id WHERE users.age >= $2'
+      );
+      expect(values).toEqual([100, 18]);
+    });
+
+    it('should build recursive and materialized CTEs from SQL with values', () => {
+      qb.setTable('org')
+        .addCte(
+          'org',
+          'SELECT id, manager_id, 1 FROM employees WHERE id = $1 UNION ALL SELECT e.id, e.manager_id, org.depth + 1 FROM employees e JOIN org ON e.manager_id = org.id WHERE org.depth < $2',
+          {
+            recursive: true,
+            columns: ['id', 'manager_id', 'depth'],
+            values: [7, 5],
+          }
+        )
+        .addCte('totals', 'SELECT 1', { materialized: false })
+        .addAggregate('MAX', 'depth', 'depth')
+        .addCondition({ field: 'manager_id', operator: '<>', value: 7 });
+
+      const { query, values } = qb.buildQuery();
+
+      expect(query).toBe(
+        'WITH RECURSIVE org(id, manager_id, depth) AS (SELECT id, manager_id, 1 FROM employees WHERE id = $1 UNION ALL SELECT e.id, e.manager_id, org.depth + 1 FROM employees e JOIN org ON e.manager_id = org.id WHERE org.depth < $2), totals AS NOT MATERIALIZED (SELECT 1) SELECT MAX(depth) AS depth FROM org WHERE manager_id <> $3'
+      );
+      expect(values).toEqual([7, 5, 7]);
+    });
+
+    it('should quote CTEs in safe mode and require raw() for SQL', () => {
+      const safe = new SelectQueryBuilder().useSafeMode({
+        users: ['id', 'name'],
+        named: ['id'],
+      });
+      safe
+        .setTable('named')
+        .setFields('id')
+        .addCte('named', raw('SELECT id FROM users'), { materialized: true });
+
+      expect(safe.buildQuery().query).toBe(
+        'WITH "named" AS MATERIALIZED (SELECT id FROM users) SELECT "id" FROM "named"'
+      );
+
+      safe.reset();
+      safe.setTable('named').addCte('named', 'SELECT id FROM users');
+      expect(() => safe.buildQuery()).toThrow(
+        'Invalid subquery; use raw() or a query builder.'
+      );
+
+      safe.reset();
+      safe.setTable('named').addCte('na med', raw('SELECT 1'));
+      expect(() => safe.buildQuery()).toThrow("Invalid alias 'na med'.");
+    });
+
+    it('should throw a DBError when a nested builder has no table', () => {
+      qb.setTable('users').addCte('broken', new SelectQueryBuilder());
+
+      expect(() => qb.buildQuery()).toThrow(new DBError('No table set'));
+    });
+  });
+
+  describe('subqueries', () => {
+    const { raw } = SelectQueryBuilder;
+
+    it('should compare with a subquery and renumber its parameters', () => {
+      const buyers = new SelectQueryBuilder()
+        .setTable('orders')
+        .setFields('user_id')
+        .addCondition({ field: 'amount', operator: '>', value: 100 })
+        .addCondition({
+          field: 'status',
+          operator: 'IN',
+          value: ['paid', 'sent'],
+        });
+
+      qb.setTable('users')
+        .addCondition({ field: 'age', operator: '>=', value: 18 })
+        .addCondition({ field: 'id', operator: 'IN', value: buyers })
+        .addCondition({ field: 'name', operator: 'LIKE', value: 'J%' });
+
+      const { query, values } = qb.buildQuery();
+
+      expect(query).toBe(
+        'SELECT * FROM users WHERE age >= $1 AND id IN (SELECT user_id FROM orders WHERE amount > $2 AND status IN ($3, $4)) AND name LIKE $5'
+      );
+      expect(values).toEqual([18, 100, 'paid', 'sent', 'J%']);
+    });
+
+    it('should build correlated EXISTS and NOT EXISTS conditions', () => {
+      const orders = new SelectQueryBuilder()
+        .setTable('orders')
+        .setFields('1')
+        .addCondition({
+          field: 'orders.user_id',
+          operator: '=',
+          value: raw('users.id'),
+        })
+        .addCondition({ field: 'orders.amount', operator: '>', value: 100 });
+
+      qb.setTable('users')
+        .addCondition({ operator: 'EXISTS', value: orders })
+        .addCondition({
+          conjunction: 'OR',
+          operator: 'NOT EXISTS',
+          value: raw('SELECT 1 FROM bans WHERE bans.user_id = users.id'),
+        });
+
+      const { query, values } = qb.buildQuery();
+
+      expect(query).toBe(
+        'SELECT * FROM users WHERE EXISTS (SELECT 1 FROM orders WHERE orders.user_id = users.id AND orders.amount > $1) OR NOT EXISTS (SELECT 1 FROM bans WHERE bans.user_id = users.id)'
+      );
+      expect(values).toEqual([100]);
+    });
+
+    it('should build ANY and ALL comparisons with a subquery or an array', () => {
+      const limits = new SelectQueryBuilder()
+        .setTable('limits')
+        .setFields('amount')
+        .addCondition({ field: 'region', operator: '=', value: 'EU' });
+
+      qb.setTable('orders')
+        .addCondition({ field: 'amount', operator: '> ALL', value: limits })
+        .addCondition({
+          field: 'status',
+          operator: '= ANY',
+          value: ['paid', 'sent'],
+        });
+
+      const { query, values } = qb.buildQuery();
+
+      expect(query).toBe(
+        'SELECT * FROM orders WHERE amount > ALL (SELECT amount FROM limits WHERE region = $1) AND status = ANY($2)'
+      );
+      expect(values).toEqual(['EU', ['paid', 'sent']]);
+    });
+
+    it('should number the subqueries after the values of a CTE', () => {
+      const cte = new SelectQueryBuilder()
+        .setTable('orders')
+        .addCondition({ field: 'amount', operator: '>', value: 1 });
+      const sub = new SelectQueryBuilder()
+        .setTable('big')
+        .setFields('user_id')
+        .addCondition({ field: 'amount', operator: '<', value: 9 });
+
+      qb.setTable('users')
+        .addCte('big', cte)
+        .addCondition({ field: 'id', operator: '=', value: 5 })
+        .addCondition({ field: 'id', operator: 'IN', value: sub });
+
+      const { query, values } = qb.buildQuery();
+
+      expect(query).toBe(
+        'WITH big AS (SELECT * FROM orders WHERE amount > $1) SELECT * FROM users WHERE id = $2 AND id IN (SELECT user_id FROM big WHERE amount < $3)'
+      );
+      expect(values).toEqual([1, 5, 9]);
+    });
+
+    it('should hold a subquery to the safe mode of the outer query', () => {
+      const safe = new SelectQueryBuilder().useSafeMode({
+        users: ['id'],
+        orders: ['user_id'],
+      });
+      const orders = new SelectQueryBuilder()
+        .setTable('orders')
+        .setFields('user_id');
+      safe
+        .setTable('users')
+        .setFields('id')
+        .addCondition({ field: 'id', operator: 'in', value: orders })
+        .addCondition({ operator: 'exists', value: orders });
+
+      expect(safe.buildQuery().query).toBe(
+        'SELECT "id" FROM "users" WHERE "id" IN (SELECT "user_id" FROM "orders") AND EXISTS (SELECT "user_id" FROM "orders")'
+      );
+
+      orders.reset();
+      orders.setTable('orders').setFields('secret');
+      safe.reset();
+      safe
+        .setTable('users')
+        .addCondition({ field: 'id', operator: 'IN', value: orders });
+      expect(() => safe.buildQuery()).toThrow("Unknown column 'secret'.");
+    });
+
+    it('should throw an exception for EXISTS without a subquery', () => {
+      qb.setTable('users').addCondition({ operator: 'EXISTS', value: 1 });
+
+      expect(() => qb.buildQuery()).toThrow('EXISTS requires a subquery.');
+    });
+  });
+
+  describe('set operations', () => {
+    const { raw } = SelectQueryBuilder;
+    const archived = (userId) =>
+      new SelectQueryBuilder()
+        .setTable('archived_orders')
+        .setFields('id, amount')
+        .addCondition({ field: 'user_id', operator: '=', value: userId });
+
+    it('should combine builders and renumber their parameters', () => {
+      qb.setTable('orders')
+        .setFields('id, amount')
+        .addCondition({ field: 'user_id', operator: '=', value: 7 })
+        .unionAll(archived(7), archived(8))
+        .setOrderBy('amount DESC')
+        .setLimit(20)
+        .setOffset(40);
+
+      const { query, values } = qb.buildQuery();
+
+      expect(query).toBe(
+        'SELECT id, amount FROM orders WHERE user_id = $1 UNION ALL (SELECT id, amount FROM archived_orders WHERE user_id = $2) UNION ALL (SELECT id, amount FROM archived_orders WHERE user_id = $3) ORDER BY amount DESC LIMIT 20 OFFSET 40'
+      );
+      expect(values).toEqual([7, 7, 8]);
+    });
+
+    it('should build UNION, INTERSECT and EXCEPT with raw queries and CTEs', () => {
+      const limited = archived(3).setOrderBy('amount').setLimit(10);
+
+      qb.setTable('orders')
+        .setFields('id')
+        .addCte('recent', 'SELECT id FROM orders WHERE created_at > $1', {
+          values: ['2024-01-01'],
+        })
+        .union(raw('SELECT id FROM recent'))
+        .intersect(limited)
+        .except('SELECT id FROM refunds');
+
+      const { query, values } = qb.buildQuery();
+
+      expect(query).toBe(
+        'WITH recent AS (SELECT id FROM orders WHERE created_at > $1) SELECT id FROM orders UNION (SELECT id FROM recent) INTERSECT (SELECT id, amount FROM archived_orders WHERE user_id = $2 ORDER BY amount LIMIT 10) EXCEPT (SELECT id FROM refunds)'
+      );
+      expect(values).toEqual(['2024-01-01', 3]);
+    });
+
+    it('should apply ORDER BY and LIMIT to combined aggregates', () => {
+      const archivedTotal = new SelectQueryBuilder()
+        .setTable('archived_orders')
+        .addAggregate('SUM', 'amount', 'total');
+
+      qb.setTable('orders')
+        .addAggregate('SUM', 'amount', 'total')
+        .union(archivedTotal)
+        .setOrderBy('total');
+
+      expect(qb.buildQuery().query).toBe(
+        'SELECT SUM(amount) AS total FROM orders UNION (SELECT SUM(amount) AS total FROM archived_orders) ORDER BY total'
+      );
+    });
+
+    it('should throw an exception for an invalid set operation', () => {
+      expect(() => qb.addSetOperation('MERGE', archived(1))).toThrow(
+        'Invalid set operation.'
+      );
+      expect(() => qb.union(42)).toThrow('Invalid set operation query.');
+    });
+
+    it('should set the set operations from the options object', () => {
+      qb.Options = {
+        table: 'orders',
+        setOperations: [{ type: 'except all', query: archived(1) }],
+      };
+
+      expect(qb.buildQuery().query).toBe(
+        'SELECT * FROM orders EXCEPT ALL (SELECT id, amount FROM archived_orders WHERE user_id = $1)'
+      );
+    });
+  });
+
+  describe('window functions', () => {
+    const { raw } = SelectQueryBuilder;
+
+    it('should add window functions next to the fields', () => {
+      qb.setTable('orders')
+        .setFields('id, user_id, amount')
+        .addCondition({ field: 'amount', operator: '>', value: 0 })
+        .addWindow('ROW_NUMBER', null, 'position', {
+          partitionBy: 'user_id',
+          orderBy: 'created_at DESC',
+        })
+        .addWindow('LAG', ['amount', 1, 0], 'previous', { window: 'by_user' })
+        .addWindow('SUM', 'amount', 'running_total', {
+          window: 'by_user',
+          frame: 'ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW',
+        })
+        .defineWindow('by_user', { partitionBy: 'user_id', orderBy: 'id' })
+        .setOrderBy('id');
+
+      expect(qb.buildQuery().query).toBe(
+        'SELECT id, user_id, amount, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY created_at DESC) AS position, LAG(amount, 1, 0) OVER by_user AS previous, SUM(amount) OVER (by_user ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW) AS running_total FROM orders WHERE amount > $1 WINDOW by_user AS (PARTITION BY user_id ORDER BY id) ORDER BY id'
+      );
+    });
+
+    it('should rank the aggregates of groups', () => {
+      qb.setTable('orders')
+        .addAggregate('SUM', 'amount', 'total')
+        .addWindow('RANK', null, 'rank', { orderBy: raw('SUM(amount) DESC') })
+        .setGroupBy('user_id');
+
+      expect(qb.buildQuery().query).toBe(
+        'SELECT SUM(amount) AS total, RANK() OVER (ORDER BY SUM(amount) DESC) AS rank FROM orders GROUP BY user_id'
+      );
+    });
+
+    it('should give FIRST_VALUE and LAST_VALUE aggregates a window over the result', () => {
+      qb.setTable('users')
+        .addAggregate('FIRST_VALUE', 'name', 'first_name')
+        .addAggregate('LAST_VALUE', 'name', 'last_name')
+        .setOrderBy('created_at');
+
+      expect(qb.buildQuery().query).toBe(
+        'SELECT FIRST_VALUE(name) OVER (ORDER BY created_at ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING) AS first_name, LAST_VALUE(name) OVER (ORDER BY created_at ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING) AS last_name FROM users ORDER BY created_at'
+      );
+    });
+
+    it('should quote and check the windows in safe mode', () => {
+      const safe = new SelectQueryBuilder()
+        .useSafeMode({ orders: ['id', 'user_id', 'amount'] })
+        .setTable('orders')
+        .setFields('id')
+        .addWindow('NTILE', raw('4'), 'quartile', {
+          orderBy: 'amount desc',
+          frame: 'range  between 2 preceding and 2 following exclude ties',
+        })
+        .defineWindow('w', { partitionBy: 'user_id' });
+
+      expect(safe.buildQuery().query).toBe(
+        'SELECT "id", NTILE(4) OVER (ORDER BY "amount" DESC RANGE BETWEEN 2 PRECEDING AND 2 FOLLOWING EXCLUDE TIES) AS "quartile" FROM "orders" WINDOW "w" AS (PARTITION BY "user_id")'
+      );
+    });
+
+    it('should reject invalid frames, arguments and columns in safe mode', () => {
+      const build = (field, options) => {
+        const safe = new SelectQueryBuilder()
+          .useSafeMode({ orders: ['id', 'amount'] })
+          .setTable('orders')
+          .addWindow('LAG', field, 'previous', options);
+        return () => safe.buildQuery();
+      };
+
+      expect(build('amount', { frame: 'ROWS 1; DROP TABLE orders' })).toThrow(
+        "Invalid window frame 'ROWS 1; DROP TABLE orders'."
+      );
+      expect(build(['amount', '1; --'])).toThrow(
+        "Invalid window function argument '1; --'."
+      );
+      expect(build('amount', { partitionBy: 'secret' })).toThrow(
+        "Unknown column 'secret'."
+      );
+    });
+  });
+
+  describe('HAVING, DISTINCT, DISTINCT ON and FILTER', () => {
+    const { raw } = SelectQueryBuilder;
+
+    it('should select grouped fields with DISTINCT and filtered aggregates', () => {
+      qb.setTable('orders')
+        .setFields('country, status')
+        .addAggregate('COUNT', 'user_id', 'buyers', { distinct: true })
+        .addAggregate('SUM', 'amount', 'refunded', {
+          filter: { field: 'refunded_at', operator: 'IS NOT NULL' },
+        })
+        .addAggregate('COUNT', '*', 'large', {
+          filter: [
+            { field: 'amount', operator: '>', value: 100 },
+            { conjunction: 'OR', field: 'items', operator: '>=', value: 5 },
+          ],
+        })
+        .addCondition({
+          field: 'created_at',
+          operator: '>=',
+          value: '2024-01-01',
+        })
+        .setGroupBy('country, status')
+        .addHaving({ field: 'COUNT(*)', operator: '>', value: 10 })
+        .addHaving([
+          { field: 'SUM(amount)', operator: '>=', value: 1000 },
+          { conjunction: 'OR', field: 'country', operator: '=', value: 'NL' },
+        ])
+        .setOrderBy('buyers DESC');
+
+      const { query, values } = qb.buildQuery();
+
+      expect(query).toBe(
+        'SELECT country, status, COUNT(DISTINCT user_id) AS buyers, SUM(amount) FILTER (WHERE refunded_at IS NOT NULL) AS refunded, COUNT(*) FILTER (WHERE amount > $1 OR items >= $2) AS large FROM orders WHERE created_at >= $3 GROUP BY country, status HAVING COUNT(*) > $4 AND (SUM(amount) >= $5 OR country = $6) ORDER BY buyers DESC'
+      );
+      expect(values).toEqual([100, 5, '2024-01-01', 10, 1000, 'NL']);
+    });
+
+    it('should build SELECT DISTINCT ON with HAVING on a plain query', () => {
+      qb.setTable('events')
+        .setFields('user_id, type, created_at')
+        .setDistinctOn('user_id')
+        .setOrderBy('user_id, created_at DESC');
+
+      expect(qb.buildQuery().query).toBe(
+        'SELECT DISTINCT ON (user_id) user_id, type, created_at FROM events ORDER BY user_id, created_at DESC'
+      );
+
+      qb.reset();
+      qb.setTable('events')
+        .setFields('type, COUNT(*) AS n')
+        .setGroupBy('type')
+        .addHaving({ field: raw('COUNT(*)'), operator: '>', value: 2 });
+
+      expect(qb.buildQuery().query).toBe(
+        'SELECT type, COUNT(*) AS n FROM events GROUP BY type HAVING COUNT(*) > $1'
+      );
+    });
+
+    it('should quote the aggregates of HAVING and DISTINCT ON in safe mode', () => {
+      const safe = new SelectQueryBuilder()
+        .useSafeMode({ orders: ['user_id', 'amount', 'status'] })
+        .setTable('orders')
+        .setFields('user_id')
+        .setDistinctOn('user_id')
+        .addAggregate('COUNT', 'amount', 'paid', {
+          distinct: true,
+          filter: { field: 'status', operator: '=', value: 'paid' },
+        })
+        .setGroupBy('user_id')
+        .addHaving({
+          field: 'count( distinct amount )',
+          operator: '>',
+          value: 1,
+        })
+        .addHaving({ field: 'user_id', operator: 'IS NOT NULL' });
+
+      expect(safe.buildQuery().query).toBe(
+        'SELECT DISTINCT ON ("user_id") "user_id", COUNT(DISTINCT "amount") FILTER (WHERE "status" = $1) AS "paid" FROM "orders" GROUP BY "user_id" HAVING COUNT(DISTINCT "amount") > $2 AND "user_id" IS NOT NULL'
+      );
+    });
+
+    it('should reject unknown functions and columns in safe mode', () => {
+      const build = (field) => {
+        const safe = new SelectQueryBuilder()
+          .useSafeMode({ orders: ['amount'] })
+          .setTable('orders')
+          .addAggregate('SUM', 'amount', 'total')
+          .addHaving({ field, operator: '>', value: 1 });
+        return () => safe.buildQuery();
+      };
+
+      expect(build('pg_sleep(amount)')).toThrow(
+        "Invalid aggregate function 'pg_sleep'."
+      );
+      expect(build('SUM(secret)')).toThrow("Unknown column 'secret'.");
+      expect(build('SUM(amount) + 1')).toThrow(
+        "Invalid identifier 'SUM(amount) + 1'."
+      );
+    });
+  });
 });
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+'./bin/nap-db.js';
+
+/*
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const path = require('path');
+const DB = require('../db/DB');
+const MigrationRunner = require('../db/MigrationRunner');
+const SchemaGenerator = require('../db/SchemaGenerator');
+
+const usage = `Usage: nap-db <command> [options]
+
+Commands:
+  migrate:create <name>   Create a new migration module
+  migrate:up              Apply pending migrations
+  migrate:down            Revert applied migrations
+  migrate:status          List migrations and their state
+  introspect              Generate Model classes from the tables of a database
+
+Options:
+  --config <file>         Module exporting { connection, repositories, migrations }
+  --dir <directory>       Migrations directory (default: ./migrations)
+  --to <version>          migrate:up stops after this version
+  --steps <n>             Number of migrations migrate:down reverts (default: 1)
+  --schema <name>         introspect reads this database schema (default: public)
+  --tables <a,b,...>      introspect only generates these tables
+  --exclude <a,b,...>     introspect leaves these tables out
+  --out <directory>       Where introspect writes the models (default: ./models)
+  --force                 introspect overwrites existing files
+
+Without --config the connection is read from DB_HOST, DB_PORT, DB_NAME,
+DB_USER and DB_PASS (a .env file is loaded when dotenv is installed).
+`;
+
+/**
+ * Splits the command line into the command, positional arguments and
+ * `--name value` options. An option without a value is set to true.
+ * @param {string[]} argv - The arguments after the script name
+ * @returns {{command: string, args: string[], options: Object}} The parsed arguments
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = [];
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      const value = rest[i + 1];
+      const isFlag = value === undefined || value.startsWith('--');
+      options[rest[i].slice(2)] = isFlag ? true : value;
+      if (!isFlag) i++;
+    } else {
+      args.push(rest[i]);
+    }
+  }
+
+  return { command, args, options };
+}
+
+function loadConfig(options) {
+  if (options.config) {
+    return require(path.resolve(options.config));
+  }
+
+  try {
+    require('dotenv').config();
+  } catch (error) {
+    // dotenv is optional
+  }
+
+  return {
+    connection: {
+      host: process.env.DB_HOST,
+      port: process.env.DB_PORT,
+      database: process.env.DB_NAME,
+      user: process.env.DB_USER,
+      password: process.env.DB_PASS,
+    },
+  };
+}
+
+/**
+ * Runs a CLI command.
+ * @param {string[]} argv - The arguments after the script name
+ * @param {Object} [output=console] - Where messages are written
+ * @returns {Promise<number>} The exit code
+ */
+async function main(argv, output = console) {
+  const { command, args, options } = parseArgs(argv);
+  const commands = [
+    'migrate:create',
+    'migrate:up',
+    'migrate:down',
+    'migrate:status',
+    'introspect',
+  ];
+
+  if (!commands.includes(command)) {
+    output.log(usage);
+    return command ? 1 : 0;
+  }
+
+  const config = loadConfig(options);
+  const migrations = config.migrations || {};
+  const directory = options.dir || migrations.directory;
+
+  if (command === 'migrate:create') {
+    const file = MigrationRunner.createFile(directory, args.join('_'));
+    output.log(`Created ${file}`);
+    return 0;
+  }
+
+  const db = DB.init(config.connection, config.repositories || {});
+  const runner = new MigrationRunner(db, DB.pgp, { ...migrations, directory });
+  const names = (value) => (value ? String(value).split(',') : undefined);
+
+  try {
+    if (command === 'introspect') {
+      const models = await new SchemaGenerator(db).generate({
+        dbSchema: options.schema,
+        tables: names(options.tables),
+        exclude: names(options.exclude),
+        directory: options.out,
+        overwrite: options.force === true,
+      });
+      models.forEach((m) => {
+        output.log(`Generated ${m.file}`);
+        m.notes.forEach((note) => output.log(`  ${note}`));
+      });
+      output.log(`${models.length} model(s) generated.`);
+    } else if (command === 'migrate:up') {
+      const applied = await runner.up({ to: options.to });
+      applied.forEach((m) => output.log(`Applied ${m.version}_${m.name}`));
+      output.log(`${applied.length} migration(s) applied.`);
+    } else if (command === 'migrate:down') {
+      const steps = options.steps ? Number(options.steps) : 1;
+      const reverted = await runner.down({ steps });
+      reverted.forEach((m) => output.log(`Reverted ${m.version}_${m.name}`));
+      output.log(`${reverted.length} migration(s) reverted.`);
+    } else {
+      const list = await runner.status();
+      list.forEach((m) =>
+        output.log(`${m.state.padEnd(8)} ${m.version}_${m.name}`)
+      );
+      if (list.length === 0) output.log('No migrations found.');
+    }
+    return 0;
+  } finally {
+    DB.pgp.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(`${error.name}: ${error.message}`);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { main, parseArgs };
@@ -14,8 +14,10 @@
 'use strict';
 const pgPromise = require('pg-promise');
 const {
+  DBError,
   ConnectionParameterError,
   RepositoriesParameterError,
+  fromPgError,
 } = require('./errors'); // Import your custom error classes
 
 class DB {
@@ -45,6 +47,11 @@ class DB {
               // console.log('Counter:', ++counter);
               obj[repository] = new repositories[repository](obj, DB.pgp);
             }
+
+            // Every context (root, task or transaction) can open a nested
+            // transaction. Inside a transaction this becomes a SAVEPOINT.
+            obj.transaction = (callback, options) =>
+              DB.#runTransaction(obj, callback, options);
           },
         };
         DB.pgp = pgPromise(initOptions);
@@ -56,6 +63,62 @@ class DB {
 
     return DB.db;
   }
+
+  /**
+   * Runs the callback inside a database transaction.
+   *
+   * The callback receives the transaction context, which exposes a
+   * transaction-bound copy of every registered repository
+   * (e.g. `tx.users.insert(dto)`). Calling `tx.transaction(...)` from inside
+   * the callback opens a nested transaction backed by a SAVEPOINT.
+   *
+   * The transaction commits when the callback resolves and rolls back when it
+   * throws or rejects. PostgreSQL errors become the matching
+   * {@link QueryError} (e.g. a `SerializationFailureError` or
+   * `DeadlockError` the caller can retry); other errors that are not
+   * already a {@link DBError} are wrapped in one, with the original error
+   * kept as the cause.
+   *
+   * @param {Function} callback - async (tx) => result
+   * @param {Object} [options] - Transaction options
+   * @param {string} [options.tag] - Tag used by pg-promise for logging
+   * @param {Object} [options.mode] - A pg-promise `txMode.TransactionMode`
+   * @returns {Promise<*>} Resolves with the value returned by the callback
+   * @throws {DBError} If the database is not initialized or the transaction fails
+   *
+   * @example
+   *
+   * await DB.transaction(async (tx) => {
+   *   await tx.users.insert(user);
+   *   await tx.transaction(async (sp) => {
+   *     await sp.profiles.insert(profile); // rolled back alone on failure
+   *   });
+   * });
+   */
+  static async transaction(callback, options) {
+    if (!DB.db) {
+      throw new DBError('Database has not been initialized.');
+    }
+
+    return DB.#runTransaction(DB.db, callback, options);
+  }
+
+  static async #runTransaction(context, callback, options = {}) {
+    if (typeof callback !== 'function') {
+      throw new DBError('Transaction callback must be a function.');
+    }
+
+    const { tag, mode } = options;
+    const txOptions = {};
+    if (tag) txOptions.tag = tag;
+    if (mode) txOptions.mode = mode;
+
+    try {
+      return await context.tx(txOptions, (t) => callback(t));
+    } catch (error) {
+      throw fromPgError(error);
+    }
+  }
 }
 
 module.exports = DB;
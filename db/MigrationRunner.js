@@ -0,0 +1,372 @@
+'./db/MigrationRunner.js';
+
+/*
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DBError, MigrationError, MigrationLockError } = require('./errors');
+
+const migrationFile = /^(\d{14})_([\w-]+)\.js$/;
+
+const migrationTemplate = `'use strict';
+
+module.exports = {
+  // t is a transaction context: t.none(...), t.users.insert(...), ...
+  async up(t, pgp) {},
+
+  async down(t, pgp) {},
+};
+`;
+
+/**
+ * @typedef {Object} MigrationFile
+ * @property {string} version - The 14 digit UTC timestamp (YYYYMMDDHHmmss)
+ * @property {string} name - The migration name
+ * @property {string} file - The absolute path of the module
+ * @property {string} checksum - SHA-256 of the file contents
+ */
+
+/**
+ * Runs hand-written, versioned migrations.
+ *
+ * Migrations are modules named `<YYYYMMDDHHmmss>_<name>.js` that export
+ * `up(t, pgp)` and `down(t, pgp)`. Every migration runs in its own
+ * transaction and is recorded, with the checksum of its file, in the
+ * migrations table. A migration whose file changed after it was applied
+ * stops `up` and `down`. A PostgreSQL advisory lock prevents two processes
+ * from migrating at the same time.
+ *
+ * @class MigrationRunner
+ *
+ * @constructor
+ * @param {Object} db - The pg-promise database
+ * @param {Object} pgp - The pg-promise instance
+ * @param {Object} [options] - Runner options
+ * @param {string} [options.directory='migrations'] - The directory holding the migration modules
+ * @param {string} [options.table='nap_migrations'] - The table recording applied migrations
+ * @param {string} [options.schema='public'] - The schema of the migrations table
+ */
+class MigrationRunner {
+  constructor(db, pgp, options = {}) {
+    if (!db || !pgp) {
+      const message = !db
+        ? 'Invalid database.'
+        : 'Invalid pg-promise instance.';
+
+      throw new DBError(message);
+    }
+
+    this.db = db;
+    this.pgp = pgp;
+    this.directory = path.resolve(options.directory || 'migrations');
+    this.table = options.table || 'nap_migrations';
+    this.schema = options.schema || 'public';
+  }
+
+  get #tableName() {
+    return `${this.pgp.as.name(this.schema)}.${this.pgp.as.name(this.table)}`;
+  }
+
+  /**
+   * Returns the CREATE TABLE statement of the migrations table.
+   * @returns {string} The query
+   */
+  createTableQuery() {
+    return `CREATE TABLE IF NOT EXISTS ${this.#tableName} (
+    version VARCHAR(14) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum CHAR(64) NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    execution_ms INTEGER NOT NULL
+  );`;
+  }
+
+  /**
+   * Creates an empty migration module in the runner's directory.
+   * @param {string} name - The migration name (letters, digits, - and _)
+   * @param {Date} [date=new Date()] - The date used for the version
+   * @returns {string} The path of the new file
+   * @throws {MigrationError} If the name is invalid
+   */
+  create(name, date = new Date()) {
+    return MigrationRunner.createFile(this.directory, name, date);
+  }
+
+  /**
+   * Creates an empty migration module. Does not need a database.
+   * @param {string} directory - The migrations directory
+   * @param {string} name - The migration name (letters, digits, - and _)
+   * @param {Date} [date=new Date()] - The date used for the version
+   * @returns {string} The path of the new file
+   * @throws {MigrationError} If the name is invalid
+   */
+  static createFile(directory, name, date = new Date()) {
+    const slug = String(name || '')
+      .trim()
+      .replace(/\s+/g, '_')
+      .toLowerCase();
+    if (!/^[\w-]+$/.test(slug)) {
+      throw new MigrationError('Invalid migration name.');
+    }
+
+    const version = date.toISOString().replace(/\D/g, '').slice(0, 14);
+    const file = path.join(
+      path.resolve(directory || 'migrations'),
+      `${version}_${slug}.js`
+    );
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, migrationTemplate, { flag: 'wx' });
+    return file;
+  }
+
+  /**
+   * Reads the migration modules of the directory, oldest first.
+   * @returns {MigrationFile[]} The migrations
+   * @throws {MigrationError} If two files share a version
+   */
+  load() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    const migrations = fs
+      .readdirSync(this.directory)
+      .map((entry) => migrationFile.exec(entry))
+      .filter(Boolean)
+      .map(([entry, version, name]) => {
+        const file = path.join(this.directory, entry);
+        const checksum = crypto
+          .createHash('sha256')
+          .update(fs.readFileSync(file))
+          .digest('hex');
+        return { version, name, file, checksum };
+      })
+      .sort((a, b) => a.version.localeCompare(b.version));
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new MigrationError(
+          `Duplicate migration version ${migration.version}.`
+        );
+      }
+    });
+
+    return migrations;
+  }
+
+  async #applied(t) {
+    const rows = await t.manyOrNone(
+      `SELECT version, name, checksum, applied_at FROM ${
+        this.#tableName
+      } ORDER BY version`
+    );
+    return new Map(rows.map((row) => [row.version, row]));
+  }
+
+  #verify(migrations, applied) {
+    const changed = migrations.find(
+      (m) =>
+        applied.has(m.version) && applied.get(m.version).checksum !== m.checksum
+    );
+    if (changed) {
+      throw new MigrationError(
+        `Migration ${changed.version}_${changed.name} was modified after it was applied.`
+      );
+    }
+  }
+
+  #module(migration, direction) {
+    let module;
+    try {
+      module = require(migration.file);
+    } catch (error) {
+      throw new MigrationError(
+        `Unable to load migration ${migration.version}_${migration.name}: ${error.message}`,
+        error
+      );
+    }
+
+    if (typeof module[direction] !== 'function') {
+      throw new MigrationError(
+        `Migration ${migration.version}_${migration.name} does not export ${direction}().`
+      );
+    }
+    return module[direction];
+  }
+
+  // Runs the callback on one connection while holding the advisory lock
+  async #withLock(callback) {
+    try {
+      return await this.db.task('migrate-lock', async (t) => {
+        const { locked } = await t.one(
+          'SELECT pg_try_advisory_lock(hashtext($1)) AS locked',
+          [this.#tableName]
+        );
+        if (!locked) throw new MigrationLockError();
+
+        try {
+          await t.none(this.createTableQuery());
+          return await callback(t);
+        } finally {
+          await t.none('SELECT pg_advisory_unlock(hashtext($1))', [
+            this.#tableName,
+          ]);
+        }
+      });
+    } catch (error) {
+      if (error instanceof DBError) throw error;
+      throw new MigrationError(error.message, error);
+    }
+  }
+
+  /**
+   * Applies the pending migrations, oldest first.
+   * @param {Object} [options] - Options
+   * @param {string} [options.to] - Stop after this version
+   * @returns {Promise<MigrationFile[]>} The applied migrations
+   * @throws {MigrationLockError} If another process is migrating
+   * @throws {MigrationError} If a migration fails or an applied one changed
+   */
+  async up(options = {}) {
+    const { to } = options;
+
+    return await this.#withLock(async (t) => {
+      const migrations = this.load();
+      const applied = await this.#applied(t);
+      this.#verify(migrations, applied);
+
+      const pending = migrations.filter(
+        (m) => !applied.has(m.version) && (!to || m.version <= to)
+      );
+
+      for (const migration of pending) {
+        const up = this.#module(migration, 'up');
+        const start = Date.now();
+
+        await t.tx(`migrate:up:${migration.version}`, async (tx) => {
+          await up(tx, this.pgp);
+          await tx.none(
+            `INSERT INTO ${
+              this.#tableName
+            } (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)`,
+            [
+              migration.version,
+              migration.name,
+              migration.checksum,
+              Date.now() - start,
+            ]
+          );
+        });
+      }
+
+      return pending;
+    });
+  }
+
+  /**
+   * Reverts applied migrations, newest first.
+   * @param {Object} [options] - Options
+   * @param {number} [options.steps=1] - How many migrations to revert
+   * @returns {Promise<MigrationFile[]>} The reverted migrations
+   * @throws {MigrationLockError} If another process is migrating
+   * @throws {MigrationError} If a migration fails, changed or is missing
+   */
+  async down(options = {}) {
+    const { steps = 1 } = options;
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new MigrationError('Invalid number of steps.');
+    }
+
+    return await this.#withLock(async (t) => {
+      const migrations = this.load();
+      const applied = await this.#applied(t);
+      this.#verify(migrations, applied);
+
+      const reverted = [...applied.keys()]
+        .reverse()
+        .slice(0, steps)
+        .map((version) => {
+          const migration = migrations.find((m) => m.version === version);
+          if (!migration) {
+            throw new MigrationError(
+              `Migration file for version ${version} is missing.`
+            );
+          }
+          return migration;
+        });
+
+      for (const migration of reverted) {
+        const down = this.#module(migration, 'down');
+
+        await t.tx(`migrate:down:${migration.version}`, async (tx) => {
+          await down(tx, this.pgp);
+          await tx.none(`DELETE FROM ${this.#tableName} WHERE version = $1`, [
+            migration.version,
+          ]);
+        });
+      }
+
+      return reverted;
+    });
+  }
+
+  /**
+   * Lists every known migration with its state: `applied`, `pending`,
+   * `changed` (file modified after it was applied) or `missing` (applied
+   * but the file is gone).
+   * @returns {Promise<Object[]>} `{ version, name, state, appliedAt }` ordered by version
+   * @throws {MigrationError} If the migrations table can not be read
+   */
+  async status() {
+    try {
+      const migrations = this.load();
+      const { exists } = await this.db.one(
+        'SELECT to_regclass($1) IS NOT NULL AS exists',
+        [this.#tableName]
+      );
+      const applied = exists ? await this.#applied(this.db) : new Map();
+
+      const list = migrations.map((m) => {
+        const row = applied.get(m.version);
+        return {
+          version: m.version,
+          name: m.name,
+          state: !row
+            ? 'pending'
+            : row.checksum !== m.checksum
+            ? 'changed'
+            : 'applied',
+          appliedAt: row ? row.applied_at : null,
+        };
+      });
+
+      applied.forEach((row, version) => {
+        if (!migrations.some((m) => m.version === version)) {
+          list.push({
+            version,
+            name: row.name,
+            state: 'missing',
+            appliedAt: row.applied_at,
+          });
+        }
+      });
+
+      return list.sort((a, b) => a.version.localeCompare(b.version));
+    } catch (error) {
+      if (error instanceof DBError) throw error;
+      throw new MigrationError(error.message, error);
+    }
+  }
+}
+
+module.exports = MigrationRunner;
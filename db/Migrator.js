@@ -0,0 +1,468 @@
+'./db/Migrator.js';
+
+/*
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const { DBError, fromPgError } = require('./errors');
+const SchemaInspector = require('./SchemaInspector');
+const {
+  normalizeType,
+  isSerialType,
+  normalizeDefault,
+  normalizeDefinition,
+  indexKeys,
+} = require('./pgTypes');
+
+/**
+ * @typedef {Object} MigrationStep
+ * @property {string} action - The kind of change (createTable, addColumn, dropColumn, alterColumnType, setDefault, dropDefault, setNotNull, dropNotNull, addConstraint, dropConstraint, createIndex, dropIndex)
+ * @property {string} object - The column, constraint or index affected
+ * @property {string} sql - The statement that applies the change
+ * @property {boolean} destructive - True if the step can lose data
+ */
+
+/**
+ * @typedef {Object} MigrationPlan
+ * @property {string} table - The qualified table name
+ * @property {MigrationStep[]} steps - The steps to apply, in order
+ * @property {MigrationStep[]} skipped - Destructive steps left out because `allowDrop` was not set
+ */
+
+/**
+ * Brings live tables in line with the Schema of their models.
+ *
+ * The live table is read with a {@link SchemaInspector} and compared with
+ * the model's Schema (columns, types, nullability, defaults, constraints and
+ * indexes). The differences become an ordered list of ALTER TABLE, CREATE
+ * INDEX and DROP statements that can be previewed, or applied in one
+ * transaction and recorded in a history table.
+ *
+ * Constraints and indexes are matched by name. Column level constraints
+ * (`unique`, `references`, `check`, `primaryKey`) use the names PostgreSQL
+ * gives them (`<table>_<column>_key`, `_fkey`, `_check` and `<table>_pkey`).
+ * A constraint whose definition, or an index whose uniqueness or key
+ * columns differ from the live one (as reported by pg_get_constraintdef and
+ * pg_get_indexdef) is dropped and created again.
+ *
+ * @class Migrator
+ *
+ * @constructor
+ * @param {Object} db - The pg-promise database
+ * @param {Object} pgp - The pg-promise instance
+ * @param {Object} [options] - Migrator options
+ * @param {string} [options.historyTable='nap_schema_history'] - The table recording applied migrations
+ * @param {string} [options.historySchema='public'] - The schema of the history table
+ *
+ * @example
+ *
+ * const migrator = new Migrator(db, DB.pgp);
+ * console.log(await migrator.preview([db.users, db.orders]));
+ * await migrator.apply([db.users, db.orders], { appliedBy: 'deploy' });
+ */
+class Migrator {
+  constructor(db, pgp, options = {}) {
+    if (!db || !pgp) {
+      const message = !db
+        ? 'Invalid database.'
+        : 'Invalid pg-promise instance.';
+
+      throw new DBError(message);
+    }
+
+    this.db = db;
+    this.pgp = pgp;
+    this.historyTable = options.historyTable || 'nap_schema_history';
+    this.historySchema = options.historySchema || 'public';
+  }
+
+  #name(...parts) {
+    return parts.map((part) => this.pgp.as.name(part)).join('.');
+  }
+
+  #step(action, object, sql, destructive = false) {
+    return { action, object, sql, destructive };
+  }
+
+  // Constraints PostgreSQL creates for column level options, by the names
+  // it gives them.
+  #columnConstraints(model) {
+    const { tableName } = model.schema;
+    const constraints = {};
+
+    Object.entries(model.schema.columns).forEach(([column, config]) => {
+      if (config.primaryKey) {
+        constraints[`${tableName}_pkey`] = {
+          type: 'p',
+          column,
+          definition: `PRIMARY KEY (${this.pgp.as.name(column)})`,
+        };
+      }
+      if (config.unique && !config.primaryKey) {
+        constraints[`${tableName}_${column}_key`] = {
+          type: 'u',
+          column,
+          definition: `UNIQUE (${this.pgp.as.name(column)})`,
+        };
+      }
+      if (config.references) {
+        const actions = [
+          config.onDelete ? `ON DELETE ${config.onDelete}` : '',
+          config.onUpdate ? `ON UPDATE ${config.onUpdate}` : '',
+        ].filter(Boolean);
+        constraints[`${tableName}_${column}_fkey`] = {
+          type: 'f',
+          column,
+          definition: [
+            `FOREIGN KEY (${this.pgp.as.name(column)}) REFERENCES ${
+              config.references
+            }`,
+            ...actions,
+          ].join(' '),
+        };
+      }
+      if (config.check) {
+        constraints[`${tableName}_${column}_check`] = {
+          type: 'c',
+          column,
+          definition: `CHECK (${config.check})`,
+        };
+      }
+    });
+
+    return constraints;
+  }
+
+  #diffColumns(model, live, table) {
+    const expected = model.tableColumns();
+    const primaryKey = model.primaryKeyColumns();
+    const steps = {
+      add: [],
+      type: [],
+      defaults: [],
+      nullability: [],
+      drop: [],
+    };
+
+    Object.entries(expected).forEach(([name, config]) => {
+      const column = this.#name(name);
+      const current = live.columns[name];
+
+      if (!current) {
+        steps.add.push(
+          this.#step(
+            'addColumn',
+            name,
+            `ALTER TABLE ${table} ADD COLUMN ${model.columnDefinition(name)}`
+          )
+        );
+        return;
+      }
+
+      const type = normalizeType(config.type);
+      if (type !== normalizeType(current.type)) {
+        steps.type.push(
+          this.#step(
+            'alterColumnType',
+            name,
+            `ALTER TABLE ${table} ALTER COLUMN ${column} TYPE ${type} USING ${column}::${type}`
+          )
+        );
+      }
+
+      if (!isSerialType(config.type) && !config.generated) {
+        const wanted = normalizeDefault(config.default);
+        if (wanted !== normalizeDefault(current.default)) {
+          steps.defaults.push(
+            wanted === null
+              ? this.#step(
+                  'dropDefault',
+                  name,
+                  `ALTER TABLE ${table} ALTER COLUMN ${column} DROP DEFAULT`
+                )
+              : this.#step(
+                  'setDefault',
+                  name,
+                  `ALTER TABLE ${table} ALTER COLUMN ${column} SET DEFAULT ${config.default}`
+                )
+          );
+        }
+      }
+
+      const nullable = !!config.nullable && !primaryKey.includes(name);
+      if (nullable !== current.nullable) {
+        steps.nullability.push(
+          nullable
+            ? this.#step(
+                'dropNotNull',
+                name,
+                `ALTER TABLE ${table} ALTER COLUMN ${column} DROP NOT NULL`
+              )
+            : this.#step(
+                'setNotNull',
+                name,
+                `ALTER TABLE ${table} ALTER COLUMN ${column} SET NOT NULL`
+              )
+        );
+      }
+    });
+
+    Object.keys(live.columns)
+      .filter((name) => !expected[name])
+      .forEach((name) =>
+        steps.drop.push(
+          this.#step(
+            'dropColumn',
+            name,
+            `ALTER TABLE ${table} DROP COLUMN ${this.#name(name)}`,
+            true
+          )
+        )
+      );
+
+    return steps;
+  }
+
+  #diffConstraints(model, live, table) {
+    const added = Object.keys(model.tableColumns()).filter(
+      (name) => !live.columns[name]
+    );
+    const expected = {};
+
+    // Column level constraints of new columns come with ADD COLUMN
+    Object.entries(this.#columnConstraints(model)).forEach(([name, config]) => {
+      if (!added.includes(config.column)) expected[name] = config.definition;
+    });
+    Object.assign(expected, model.schema.constraints || {});
+
+    const dropConstraint = (name, destructive) =>
+      this.#step(
+        'dropConstraint',
+        name,
+        `ALTER TABLE ${table} DROP CONSTRAINT ${this.#name(name)}`,
+        destructive
+      );
+    const addConstraint = (name, definition) =>
+      this.#step(
+        'addConstraint',
+        name,
+        `ALTER TABLE ${table} ADD CONSTRAINT ${this.#name(name)} ${definition}`
+      );
+
+    const drop = Object.keys(live.constraints)
+      .filter((name) => !expected.hasOwnProperty(name))
+      .map((name) => dropConstraint(name, true));
+    const add = [];
+
+    Object.entries(expected).forEach(([name, definition]) => {
+      const current = live.constraints[name];
+      if (!current) {
+        add.push(addConstraint(name, definition));
+      } else if (
+        normalizeDefinition(definition) !==
+        normalizeDefinition(current.definition)
+      ) {
+        // A changed constraint is replaced, no data is dropped with it
+        drop.push(dropConstraint(name, false));
+        add.push(addConstraint(name, definition));
+      }
+    });
+
+    return { drop, add };
+  }
+
+  #diffIndexes(model, live, table) {
+    const { dbSchema } = model.schema;
+    const expected = model.schema.indexes || {};
+    const drop = [];
+    const create = [];
+
+    const createIndex = (name, { unique, config }) =>
+      this.#step(
+        'createIndex',
+        name,
+        `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${this.#name(
+          name
+        )} ON ${table} (${config})`
+      );
+    const dropIndex = (name, destructive) =>
+      this.#step(
+        'dropIndex',
+        name,
+        `DROP INDEX ${this.#name(dbSchema, name)}`,
+        destructive
+      );
+
+    Object.keys(live.indexes)
+      .filter((name) => !expected[name])
+      .forEach((name) => drop.push(dropIndex(name, true)));
+
+    Object.entries(expected).forEach(([name, config]) => {
+      const current = live.indexes[name];
+      if (!current) {
+        create.push(createIndex(name, config));
+      } else if (
+        !!current.unique !== !!config.unique ||
+        normalizeDefinition(config.config) !==
+          normalizeDefinition(indexKeys(current.definition))
+      ) {
+        // Rebuilding an index does not lose data
+        drop.push(dropIndex(name, false));
+        create.push(createIndex(name, config));
+      }
+    });
+
+    return { drop, create };
+  }
+
+  /**
+   * Compares a model's Schema with the structure of its live table.
+   * @param {Model} model - The model
+   * @param {Object|null} live - The table structure from {@link SchemaInspector#inspectTable}, or null if the table does not exist
+   * @returns {MigrationStep[]} Every step needed, in the order they must run
+   */
+  diff(model, live) {
+    const { dbSchema, tableName } = model.schema;
+
+    if (!live) {
+      return [
+        this.#step('createTable', tableName, model.createTableQuery().trim()),
+      ];
+    }
+
+    const table = this.#name(dbSchema, tableName);
+    const columns = this.#diffColumns(model, live, table);
+    const constraints = this.#diffConstraints(model, live, table);
+    const indexes = this.#diffIndexes(model, live, table);
+
+    return [
+      ...constraints.drop,
+      ...indexes.drop,
+      ...columns.add,
+      ...columns.type,
+      ...columns.defaults,
+      ...columns.nullability,
+      ...columns.drop,
+      ...constraints.add,
+      ...indexes.create,
+    ];
+  }
+
+  async #plan(model, options, inspector) {
+    const { dbSchema, tableName } = model.schema;
+    const live = await inspector.inspectTable(dbSchema, tableName);
+    const steps = this.diff(model, live);
+
+    return {
+      table: `${dbSchema}.${tableName}`,
+      steps: steps.filter((step) => options.allowDrop || !step.destructive),
+      skipped: steps.filter((step) => !options.allowDrop && step.destructive),
+    };
+  }
+
+  /**
+   * Builds the migration plan of a model.
+   * @param {Model} model - The model
+   * @param {Object} [options] - Plan options
+   * @param {boolean} [options.allowDrop=false] - Include steps that drop columns, constraints or indexes
+   * @returns {Promise<MigrationPlan>} The plan
+   * @throws {DBError} If the table can not be inspected
+   */
+  async plan(model, options = {}) {
+    return await this.#plan(model, options, new SchemaInspector(this.db));
+  }
+
+  /**
+   * Returns the statements that {@link Migrator#apply} would run.
+   * @param {Model|Model[]} models - The models to migrate
+   * @param {Object} [options] - See {@link Migrator#plan}
+   * @returns {Promise<string[]>} The SQL statements, in order
+   * @throws {DBError} If a table can not be inspected
+   */
+  async preview(models, options = {}) {
+    const statements = [];
+    for (const model of [].concat(models)) {
+      const { steps } = await this.plan(model, options);
+      statements.push(...steps.map((step) => step.sql));
+    }
+    return statements;
+  }
+
+  /**
+   * Plans and applies the migrations of the models in a single transaction,
+   * and records every migrated table in the history table.
+   * @param {Model|Model[]} models - The models to migrate
+   * @param {Object} [options] - Apply options
+   * @param {boolean} [options.allowDrop=false] - Also apply destructive steps
+   * @param {string} [options.appliedBy='nap-db'] - Recorded in the history table
+   * @returns {Promise<MigrationPlan[]>} The applied plans
+   * @throws {DBError} If a step fails; nothing is applied in that case
+   */
+  async apply(models, options = {}) {
+    const { appliedBy = 'nap-db' } = options;
+
+    try {
+      return await this.db.tx('schema-migration', async (t) => {
+        await t.none(this.createHistoryTableQuery());
+
+        const inspector = new SchemaInspector(t);
+        const plans = [];
+
+        for (const model of [].concat(models)) {
+          const plan = await this.#plan(model, options, inspector);
+
+          for (const step of plan.steps) {
+            await t.none(step.sql);
+          }
+
+          if (plan.steps.length > 0) {
+            await t.none(
+              `INSERT INTO ${this.#name(
+                this.historySchema,
+                this.historyTable
+              )} (table_name, statements, applied_by) VALUES ($1, $2, $3)`,
+              [
+                plan.table,
+                plan.steps.map((step) => `${step.sql};`).join('\n'),
+                appliedBy,
+              ]
+            );
+          }
+
+          plans.push(plan);
+        }
+
+        return plans;
+      });
+    } catch (error) {
+      throw fromPgError(error);
+    }
+  }
+
+  /**
+   * Returns the CREATE TABLE statement of the history table.
+   * @returns {string} The query
+   */
+  createHistoryTableQuery() {
+    return `CREATE TABLE IF NOT EXISTS ${this.#name(
+      this.historySchema,
+      this.historyTable
+    )} (
+    id SERIAL PRIMARY KEY,
+    table_name VARCHAR(255) NOT NULL,
+    statements TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    applied_by VARCHAR(50) NOT NULL
+  );`;
+  }
+}
+
+module.exports = Migrator;
@@ -10,8 +10,40 @@
  * Removal or modification of this copyright notice is prohibited.
  */
 
-const { DBError } = require('./errors');
+const {
+  DBError,
+  StaleRecordError,
+  NotFoundError,
+  ValidationError,
+  fromPgError,
+} = require('./errors');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { from: copyFrom, to: copyTo } = require('pg-copy-streams');
 const SelectQueryBuilder = require('./SelectQueryBuilder');
+const Validator = require('./Validator');
+const {
+  readCsv,
+  readJsonLines,
+  parseArrayLiteral,
+  csvLine,
+} = require('./copyFormats');
+const { parseType } = require('./pgTypes');
+
+// Numbers the server-side cursors opened by findIterator
+let cursorCounter = 0;
+
+// Deep copies a schema. Unlike a JSON round trip it keeps functions, such
+// as the `validate` function of a column.
+function cloneSchema(value) {
+  if (Array.isArray(value)) return value.map(cloneSchema);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, cloneSchema(item)])
+    );
+  }
+  return value;
+}
 
 class Model extends SelectQueryBuilder {
   constructor(db, pgp, schema) {
@@ -38,7 +70,9 @@ class Model extends SelectQueryBuilder {
     this.pgp = pgp;
     if (!schema.dbSchema) schema.dbSchema = 'public';
     if (!schema.timeStamps) schema.timeStamps = true;
-    this.schema = JSON.parse(JSON.stringify(schema));
+    this.schema = cloneSchema(schema);
+    this.#validateRelations();
+    this.validator = new Validator(this.schema.columns);
     this.cs = this.createColumnSet();
   }
 
@@ -54,9 +88,10 @@ class Model extends SelectQueryBuilder {
     if (!this.cs) {
       // console.log('Creating column set', ++Model.csCounter);
 
+      const primaryKey = this.primaryKeyColumns();
       const columns = Object.keys(this.schema.columns)
         .map((column) => {
-          const isPrimaryKey = this.schema.columns[column].primaryKey || false;
+          const isPrimaryKey = primaryKey.includes(column);
           const hasDefault =
             this.schema.columns[column].hasOwnProperty('default');
           if (
@@ -140,47 +175,684 @@ class Model extends SelectQueryBuilder {
       .join('\n');
   }
 
+  // Inserts the records in chunks inside one transaction. `onConflict` is
+  // appended to every INSERT statement (used by the upsert methods).
+  async #insertChunks(tag, dtos, options, onConflict = '') {
+    const { chunkSize = 1000, returning = false, onProgress } = options;
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new DBError('Invalid chunk size.');
+    }
+
+    const returningClause = this.#returningClause(returning);
+    const chunks = Math.ceil(dtos.length / chunkSize);
+
+    return await this.db.tx(tag, async (t) => {
+      const rows = [];
+      let inserted = 0;
+
+      for (let chunk = 0; chunk < chunks; chunk++) {
+        const data = dtos.slice(chunk * chunkSize, (chunk + 1) * chunkSize);
+        await this.#runHooks('beforeInsert', data, { db: t });
+        for (const [offset, dto] of data.entries()) {
+          await this.validate(dto, { index: chunk * chunkSize + offset });
+        }
+        const qInsert = [
+          this.pgp.helpers.insert(data, this.cs.insert),
+          onConflict,
+          returningClause,
+        ]
+          .filter(Boolean)
+          .join(' ');
+
+        if (returningClause) {
+          const returned = await t.manyOrNone(qInsert);
+          await this.#runHooks('afterInsert', returned, { db: t });
+          rows.push(...returned);
+        } else {
+          await t.none(qInsert);
+          await this.#runHooks('afterInsert', data, { db: t });
+        }
+
+        inserted += data.length;
+        if (onProgress) {
+          await onProgress({
+            chunk: chunk + 1,
+            chunks,
+            inserted,
+            total: dtos.length,
+          });
+        }
+      }
+
+      return returningClause ? rows : inserted;
+    });
+  }
+
+  /**
+   * Returns the primary key columns, declared per column
+   * (`primaryKey: true`) or through a `PRIMARY KEY (...)` table constraint.
+   * @param {Schema} [schema=this.schema] - The table schema
+   * @returns {string[]} The key column names, empty if there is no key
+   */
+  primaryKeyColumns(schema = this.schema) {
+    const columns = Object.keys(schema.columns).filter(
+      (column) => schema.columns[column].primaryKey
+    );
+    if (columns.length > 0) return columns;
+
+    const constraint = Object.values(schema.constraints || {})
+      .map((definition) => /^\s*PRIMARY\s+KEY\s*\(([^)]+)\)/i.exec(definition))
+      .find(Boolean);
+
+    return constraint ? constraint[1].split(',').map((c) => c.trim()) : [];
+  }
+
+  // `updatedBy` is the updated_by the records give, if any
+  #conflictClause(options, updatedBy) {
+    const { conflictTarget, updateColumns } = options;
+    const { as } = this.pgp;
+    const constraints = this.schema.constraints || {};
+    const insertColumns = this.cs.insert.columns.map((c) => c.name);
+    let target;
+    let targetColumns = [];
+
+    if (typeof conflictTarget === 'string' && constraints[conflictTarget]) {
+      target = `ON CONSTRAINT ${as.name(conflictTarget)}`;
+    } else if (conflictTarget) {
+      targetColumns = Array.isArray(conflictTarget)
+        ? conflictTarget
+        : conflictTarget.split(',').map((c) => c.trim());
+    } else {
+      const primaryKey = this.primaryKeyColumns();
+      const uniqueColumn = Object.keys(this.schema.columns).find(
+        (column) => this.schema.columns[column].unique
+      );
+      const uniqueConstraint = Object.keys(constraints).find((name) =>
+        /^\s*UNIQUE\s*\(/i.test(constraints[name])
+      );
+
+      // A key generated by the database (serial or uuid default) is never
+      // part of the INSERT, so it can not be the source of a conflict.
+      if (
+        primaryKey.length > 0 &&
+        primaryKey.every((c) => insertColumns.includes(c))
+      ) {
+        targetColumns = primaryKey;
+      } else if (uniqueColumn) {
+        targetColumns = [uniqueColumn];
+      } else if (uniqueConstraint) {
+        target = `ON CONSTRAINT ${as.name(uniqueConstraint)}`;
+      } else {
+        throw new DBError('Unable to determine a conflict target for upsert.');
+      }
+    }
+
+    if (!target) {
+      if (targetColumns.length === 0) {
+        throw new DBError('Invalid conflict target.');
+      }
+      target = `(${targetColumns.map((c) => as.name(c)).join(', ')})`;
+    }
+
+    const columns = (
+      updateColumns ||
+      insertColumns.filter(
+        (c) => c !== 'created_by' && !targetColumns.includes(c)
+      )
+    ).filter((c) => c !== 'updated_at' && c !== 'updated_by');
+
+    const unknown = columns.find((c) => !this.schema.columns[c]);
+    if (unknown) {
+      throw new DBError(`Invalid update column '${unknown}'.`);
+    }
+
+    if (columns.length === 0) {
+      return `ON CONFLICT ${target} DO NOTHING`;
+    }
+
+    // Stamp the row the same way cs.update does. The actor performing the
+    // upsert is the record's updated_by, else its created_by. The version is
+    // qualified with the table, a bare "version" is ambiguous next to EXCLUDED.
+    const assignments = columns
+      .map((c) => `${as.name(c)}=EXCLUDED.${as.name(c)}`)
+      .concat([
+        '"updated_at"=CURRENT_TIMESTAMP',
+        updatedBy === undefined
+          ? '"updated_by"=EXCLUDED."created_by"'
+          : as.format('"updated_by"=$1', [updatedBy]),
+      ])
+      .concat(
+        this.schema.versioned
+          ? [`"version"=${this.#tableName()}."version"+1`]
+          : []
+      )
+      .join(',');
+
+    return `ON CONFLICT ${target} DO UPDATE SET ${assignments}`;
+  }
+
+  #returningClause(returning) {
+    if (!returning) return '';
+    if (returning === true) return 'RETURNING *';
+
+    const columns = Array.isArray(returning) ? returning.join(', ') : returning;
+    return /^\s*RETURNING\s/i.test(columns) ? columns : `RETURNING ${columns}`;
+  }
+
+  // ***********************************Hooks***********************************
+
+  static #hookEvents = [
+    'beforeInsert',
+    'afterInsert',
+    'beforeUpdate',
+    'afterUpdate',
+    'beforeDelete',
+    'afterDelete',
+    'afterFind',
+  ];
+
+  // Hooks by model class. They are registered on the class, not on an
+  // instance, because DB creates a new instance of every repository for
+  // each task and transaction.
+  static #hooks = new Map();
+
+  /**
+   * Registers a lifecycle hook for every instance of the model class.
+   *
+   * Hooks are async functions called with the record and a context
+   * `{ model, db, event, result }` where `db` is the database context of the
+   * operation, i.e. the transaction when one is active. They run in the
+   * order they were registered, hooks of a parent class first. A hook may
+   * change the record; throwing aborts the operation (and rolls back the
+   * transaction it runs in).
+   *
+   * - `beforeInsert` / `afterInsert`: insert, insertReturning, bulkInsert and
+   *   the upserts, once per record. The after hook gets the returned row
+   *   when there is one, else the DTO.
+   * - `beforeUpdate` / `afterUpdate`: update, with the DTO.
+   * - `beforeDelete` / `afterDelete`: delete and forceDelete, with the DTO.
+   * - `afterFind`: every row read by the find methods, including rows
+   *   loaded through `include`.
+   *
+   * @param {string} event - The hook name
+   * @param {Function} hook - async (record, context) => void
+   * @returns {Function} The model class, for chaining
+   * @throws {DBError} If the event or the hook is invalid
+   *
+   * @example
+   *
+   * Users.addHook('beforeInsert', async (user) => {
+   *   user.password = await hash(user.password);
+   * });
+   */
+  static addHook(event, hook) {
+    if (!Model.#hookEvents.includes(event)) {
+      throw new DBError(`Invalid hook '${event}'.`);
+    }
+    if (typeof hook !== 'function') {
+      throw new DBError('Hook must be a function.');
+    }
+
+    if (!Model.#hooks.has(this)) Model.#hooks.set(this, {});
+    const hooks = Model.#hooks.get(this);
+    hooks[event] = [...(hooks[event] || []), hook];
+    return this;
+  }
+
+  /**
+   * Removes a hook registered with {@link Model.addHook}, or every hook of
+   * the event when no hook is given.
+   * @param {string} event - The hook name
+   * @param {Function} [hook] - The hook to remove
+   * @returns {Function} The model class, for chaining
+   */
+  static removeHook(event, hook) {
+    const hooks = Model.#hooks.get(this);
+    if (hooks && hooks[event]) {
+      hooks[event] = hook ? hooks[event].filter((h) => h !== hook) : [];
+    }
+    return this;
+  }
+
+  #hooksFor(event) {
+    const classes = [];
+    for (
+      let type = this.constructor;
+      type && type !== Function.prototype;
+      type = Object.getPrototypeOf(type)
+    ) {
+      classes.unshift(type);
+    }
+
+    return classes.flatMap(
+      (type) => (Model.#hooks.get(type) || {})[event] || []
+    );
+  }
+
+  async #runHooks(event, records, context = {}) {
+    const hooks = this.#hooksFor(event);
+    if (hooks.length === 0 || !records) return;
+
+    for (const record of Array.isArray(records) ? records : [records]) {
+      for (const hook of hooks) {
+        await hook(record, { model: this, db: this.db, event, ...context });
+      }
+    }
+  }
+
+  // ***********************************Validation***********************************
+
+  /**
+   * Validates a record against the schema columns: types, lengths, ranges,
+   * NOT NULL columns without a default, `enum` lists and the `validate`
+   * function of each column. The write methods call it after the before
+   * hooks and before any SQL is sent.
+   * @param {Object} dto - The record
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial=false] - Only check the columns present in the record
+   * @param {number} [options.index] - The position of the record in a bulk operation
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the record is invalid
+   *
+   * @example
+   *
+   * await db.users.validate({ email: 'a'.repeat(300) });
+   * // ValidationError: Validation failed: email must be at most 255 characters, ...
+   */
+  async validate(dto, options = {}) {
+    const { partial = false, index } = options;
+    const errors = await this.validator.validate(dto, { partial });
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors, index);
+    }
+  }
+
+  // ***********************************Soft Delete***********************************
+
+  // Set while a method runs through withDeleted()
+  #includeDeleted = false;
+
+  // Loads the query options for the table. Soft deleted rows are hidden by
+  // putting `deleted_at IS NULL` in front of the caller's conditions, which
+  // are grouped so that an OR among them can not bypass the filter.
+  #prepare(options) {
+    this.reset();
+    if (this.schema.safeMode) this.useSafeMode(this.#safeTables());
+    options.table = this.schema.tableName;
+    this.Options = options;
+
+    if (this.schema.softDelete && !this.#includeDeleted) {
+      this.conditions = [
+        { field: `${this.schema.tableName}.deleted_at`, operator: 'IS NULL' },
+        ...(this.conditions.length > 0 ? [this.conditions] : []),
+      ];
+    }
+  }
+
+  // The tables and columns a query may use in safe mode: the table of the
+  // model and the tables of the models it has relations with.
+  #safeTables() {
+    const tables = {
+      [this.schema.tableName]: Object.keys(this.tableColumns()),
+    };
+    Object.values(this.schema.relations || {}).forEach((config) => {
+      const model = this.db[config.model];
+      if (model instanceof Model) {
+        tables[model.schema.tableName] = Object.keys(model.tableColumns());
+      }
+    });
+    return tables;
+  }
+
+  // Puts a predicate in front of a `WHERE ...` condition
+  #restrictCondition(condition, predicate) {
+    const match = /^\s*WHERE\s+([\s\S]*?)\s*;?\s*$/i.exec(condition);
+    if (!match) {
+      throw new DBError('Condition must start with WHERE.');
+    }
+    return `WHERE ${predicate} AND (${match[1]})`;
+  }
+
+  #requireSoftDelete() {
+    if (!this.schema.softDelete) {
+      throw new DBError('Soft delete is not enabled for this model.');
+    }
+  }
+
+  /**
+   * Returns a view of the model whose reads include soft deleted rows.
+   * Every other method behaves as on the model itself.
+   * @returns {Model} The model, including soft deleted rows
+   *
+   * @example
+   *
+   * const all = await db.users.withDeleted().findAll({ fields: '*' });
+   */
+  withDeleted() {
+    return new Proxy(this, {
+      get: (target, property) => {
+        const value = target[property];
+        if (typeof value !== 'function') return value;
+
+        // Queries are built before the method's first await, so the flag
+        // only has to be set while the method is called.
+        return (...args) => {
+          target.#includeDeleted = true;
+          try {
+            return value.apply(target, args);
+          } finally {
+            target.#includeDeleted = false;
+          }
+        };
+      },
+    });
+  }
+
+  // ***********************************Relations***********************************
+
+  static #relationTypes = ['belongsTo', 'hasOne', 'hasMany', 'manyToMany'];
+
+  #validateRelations() {
+    Object.entries(this.schema.relations || {}).forEach(([name, config]) => {
+      const valid =
+        config &&
+        Model.#relationTypes.includes(config.type) &&
+        typeof config.model === 'string' &&
+        typeof config.foreignKey === 'string' &&
+        (config.type !== 'manyToMany' ||
+          (typeof config.through === 'string' &&
+            typeof config.otherKey === 'string'));
+
+      if (!valid) {
+        throw new DBError(`Invalid relation '${name}'.`);
+      }
+    });
+  }
+
+  #tableName(table = this.schema.tableName, dbSchema = this.schema.dbSchema) {
+    const parts = table.includes('.') ? table.split('.') : [dbSchema, table];
+    return parts.map((part) => this.pgp.as.name(part)).join('.');
+  }
+
+  // Resolves a relation of the schema: the related repository (found by
+  // name on the current database context, so that it shares an open
+  // transaction), the column of our rows (`local`) and the column of the
+  // related rows (`remote`) that hold the same key.
+  #relation(name) {
+    const config = (this.schema.relations || {})[name];
+    if (!config) {
+      throw new DBError(`Unknown relation '${name}'.`);
+    }
+
+    const model = this.db[config.model];
+    if (!(model instanceof Model)) {
+      throw new DBError(
+        `Unknown model '${config.model}' for relation '${name}'.`
+      );
+    }
+
+    const ownKey = config.sourceKey || this.primaryKeyColumns()[0] || 'id';
+    const relatedKey = config.targetKey || model.primaryKeyColumns()[0] || 'id';
+
+    return config.type === 'belongsTo'
+      ? { ...config, model, local: config.foreignKey, remote: relatedKey }
+      : {
+          ...config,
+          model,
+          local: ownKey,
+          remote: config.foreignKey,
+          relatedKey,
+        };
+  }
+
+  // Loads the related rows of every relation in `include` with one query
+  // per relation and nests them in `rows`.
+  async #include(rows, include) {
+    const includes = (Array.isArray(include) ? include : [include]).map(
+      (item) => (typeof item === 'string' ? { relation: item } : item)
+    );
+    const { as } = this.pgp;
+
+    for (const { relation: name, include: nested } of includes) {
+      const relation = this.#relation(name);
+      const { type, model, local, remote } = relation;
+      const single = type === 'belongsTo' || type === 'hasOne';
+
+      if (rows.length > 0 && !(local in rows[0])) {
+        throw new DBError(
+          `Relation '${name}' requires the column '${local}' in the selected fields.`
+        );
+      }
+
+      const keys = [
+        ...new Set(
+          rows
+            .map((row) => row[local])
+            .filter((key) => key !== null && key !== undefined)
+        ),
+      ];
+
+      let related = [];
+      if (keys.length > 0) {
+        const table = model.#tableName();
+        const query =
+          type === 'manyToMany'
+            ? `SELECT t.*, j.${as.name(remote)} AS "__relation_key"
+               FROM ${table} t
+               JOIN ${this.#tableName(relation.through)} j
+                 ON j.${as.name(relation.otherKey)} = t.${as.name(
+                relation.relatedKey
+              )}
+               WHERE j.${as.name(remote)} IN ($1:csv)`
+            : `SELECT * FROM ${table} WHERE ${as.name(remote)} IN ($1:csv)`;
+        const live = model.schema.softDelete
+          ? ` AND ${type === 'manyToMany' ? 't.' : ''}deleted_at IS NULL`
+          : '';
+
+        related = await this.db.manyOrNone(as.format(query + live, [keys]));
+        if (nested) await model.#include(related, nested);
+        await model.#runHooks('afterFind', related);
+      }
+
+      const groups = new Map();
+      related.forEach((row) => {
+        const key = type === 'manyToMany' ? row.__relation_key : row[remote];
+        if (type === 'manyToMany') delete row.__relation_key;
+        if (!groups.has(String(key))) groups.set(String(key), []);
+        groups.get(String(key)).push(row);
+      });
+
+      rows.forEach((row) => {
+        const group = groups.get(String(row[local])) || [];
+        row[name] = single ? group[0] || null : group;
+      });
+    }
+
+    return rows;
+  }
+
+  static #timeStampColumns = {
+    created_at: {
+      type: 'TIMESTAMPTZ',
+      nullable: false,
+      default: 'CURRENT_TIMESTAMP',
+    },
+    created_by: { type: 'VARCHAR(50)', nullable: false },
+    updated_at: { type: 'TIMESTAMPTZ', nullable: true, default: 'NULL' },
+    updated_by: { type: 'VARCHAR(50)', nullable: true, default: 'NULL' },
+  };
+
+  static #versionColumns = {
+    version: { type: 'INTEGER', nullable: false, default: 1 },
+  };
+
+  static #softDeleteColumns = {
+    deleted_at: { type: 'TIMESTAMPTZ', nullable: true, default: 'NULL' },
+    deleted_by: { type: 'VARCHAR(50)', nullable: true, default: 'NULL' },
+  };
+
   // **************************CREATE TABLE*******************************************
+
+  /**
+   * Returns the configuration of every column in the table: the schema
+   * columns followed by the columns nap-db manages itself (time stamps, the
+   * soft delete columns and the version).
+   * @param {Schema} [schema=this.schema] - The table schema
+   * @returns {Object.<string, ColumnConfig>} The column configurations by name
+   */
+  tableColumns(schema = this.schema) {
+    const columns = { ...schema.columns };
+    if (schema.timeStamps) Object.assign(columns, Model.#timeStampColumns);
+    if (schema.softDelete) Object.assign(columns, Model.#softDeleteColumns);
+    if (schema.versioned) Object.assign(columns, Model.#versionColumns);
+    return columns;
+  }
+
+  /**
+   * Returns the DDL fragment (as used in CREATE TABLE and ADD COLUMN) for a
+   * column of the table.
+   * @param {string} name - The column name
+   * @param {Schema} [schema=this.schema] - The table schema
+   * @returns {string} The column definition
+   * @throws {DBError} If the column is not part of the table
+   */
+  columnDefinition(name, schema = this.schema) {
+    const config = this.tableColumns(schema)[name];
+    if (!config) {
+      throw new DBError(`Unknown column '${name}'.`);
+    }
+    return this.#generateColumnDefinition(name, config);
+  }
+
   async createTable() {
     try {
       return await this.db.none(this.createTableQuery());
-    } catch (err) {
-      throw new DBError('Failed to create table.', err.message);
+    } catch (error) {
+      throw fromPgError(error);
     }
   }
 
   createTableQuery(schema = this.schema) {
-    const columns = Object.entries(schema.columns)
+    const columns = Object.entries(this.tableColumns(schema))
       .map(([name, config]) => this.#generateColumnDefinition(name, config))
       .join(',\n');
 
-    const timeStampColumns = schema.timeStamps
-      ? `, created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP, 
-       created_by VARCHAR(50) NOT NULL, 
-       updated_at TIMESTAMPTZ DEFAULT NULL, 
-       updated_by VARCHAR(50) DEFAULT NULL`
-      : '';
-
     const constraints = schema.constraints
       ? this.#generateConstraints(schema.constraints)
       : '';
+    // Qualified like the audit trail, the table is created in its dbSchema
+    const table = this.#tableName(
+      schema.tableName,
+      schema.dbSchema || 'public'
+    );
     const indexes = schema.indexes
-      ? this.#generateIndexes(schema.tableName, schema.indexes)
+      ? this.#generateIndexes(table, schema.indexes)
       : '';
 
-    return `CREATE TABLE IF NOT EXISTS ${schema.tableName} (
-    ${columns}${timeStampColumns}${constraints ? ',\n' + constraints : ''}
-  );\n${indexes}`;
+    const audit = schema.audit ? `\n${this.auditTableQuery(schema)}` : '';
+
+    return `CREATE TABLE IF NOT EXISTS ${table} (
+    ${columns}${constraints ? ',\n' + constraints : ''}
+  );\n${indexes}${audit}`;
+  }
+
+  /**
+   * Returns the DDL of the audit trail of a table: the `<table>_history`
+   * table and the trigger that records every insert, update and delete in
+   * it. {@link Model#createTableQuery} includes it when `schema.audit` is
+   * set; migrations can run it on their own to audit an existing table.
+   *
+   * A history row holds the operation, the primary key (`record_key`, the
+   * key values as text), the row before and after the change, the columns
+   * an update changed (`diff`, with their new values), the actor, the time
+   * and the transaction id. The actor is the `nap_db.actor` setting when a
+   * transaction sets it (`SET LOCAL nap_db.actor = 'jane'`), else
+   * `created_by` for inserts, `deleted_by` for soft deletes and
+   * `updated_by` for other updates, else the database user.
+   *
+   * @param {Schema} [schema=this.schema] - The table schema
+   * @returns {string} The statements
+   * @throws {DBError} If the table has no primary key
+   */
+  auditTableQuery(schema = this.schema) {
+    const primaryKey = this.primaryKeyColumns(schema);
+    if (primaryKey.length === 0) {
+      throw new DBError(`Auditing ${schema.tableName} requires a primary key.`);
+    }
+
+    const { as } = this.pgp;
+    const table = schema.tableName;
+    // The trigger function runs with the search_path of the session, so
+    // every object is qualified with the schema of the table
+    const qualified = (name) =>
+      this.#tableName(name, schema.dbSchema || 'public');
+    const audited = qualified(table);
+    const history = qualified(`${table}_history`);
+    const audit = qualified(`${table}_audit`);
+    const trigger = as.name(`${table}_audit`);
+    const index = as.name(`${table}_history_record_key`);
+    const recordKey = primaryKey
+      .map((column) => `COALESCE(new_data, old_data) ->> '${column}'`)
+      .join(', ');
+
+    return `CREATE TABLE IF NOT EXISTS ${history} (
+    history_id BIGSERIAL PRIMARY KEY,
+    operation VARCHAR(6) NOT NULL,
+    record_key TEXT[] NOT NULL,
+    old_row JSONB,
+    new_row JSONB,
+    diff JSONB,
+    changed_by TEXT,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    transaction_id BIGINT NOT NULL DEFAULT txid_current()
+  );
+  CREATE INDEX IF NOT EXISTS ${index} ON ${history} (record_key);
+  CREATE OR REPLACE FUNCTION ${audit}() RETURNS trigger AS $$
+  DECLARE
+    old_data JSONB;
+    new_data JSONB;
+    actor TEXT;
+  BEGIN
+    IF TG_OP <> 'INSERT' THEN old_data := to_jsonb(OLD); END IF;
+    IF TG_OP <> 'DELETE' THEN new_data := to_jsonb(NEW); END IF;
+    actor := CASE
+      WHEN TG_OP = 'INSERT' THEN new_data ->> 'created_by'
+      WHEN TG_OP = 'DELETE' THEN NULL
+      WHEN old_data ->> 'deleted_at' IS NULL AND new_data ->> 'deleted_at' IS NOT NULL THEN new_data ->> 'deleted_by'
+      ELSE new_data ->> 'updated_by'
+    END;
+    INSERT INTO ${history} (operation, record_key, old_row, new_row, diff, changed_by)
+    VALUES (
+      TG_OP,
+      ARRAY[${recordKey}],
+      old_data,
+      new_data,
+      CASE WHEN TG_OP = 'UPDATE' THEN (
+        SELECT jsonb_object_agg(key, value) FROM jsonb_each(new_data)
+        WHERE value IS DISTINCT FROM old_data -> key
+      ) END,
+      COALESCE(NULLIF(current_setting('nap_db.actor', true), ''), actor, session_user)
+    );
+    RETURN NULL;
+  END;
+  $$ LANGUAGE plpgsql;
+  DROP TRIGGER IF EXISTS ${trigger} ON ${audited};
+  CREATE TRIGGER ${trigger} AFTER INSERT OR UPDATE OR DELETE ON ${audited}
+    FOR EACH ROW EXECUTE FUNCTION ${audit}();`;
   }
 
   // **************************CRUD Operations*******************************************
 
   async insert(dto) {
     try {
+      await this.#runHooks('beforeInsert', dto);
+      await this.validate(dto);
       const qInsert = this.pgp.helpers.insert(dto, this.cs.insert);
-      return await this.db.none(qInsert, dto);
+      const result = await this.db.none(qInsert, dto);
+      await this.#runHooks('afterInsert', dto);
+      return result;
     } catch (error) {
-      throw new DBError(error.message);
+      throw fromPgError(error);
     }
   }
 
@@ -188,26 +860,359 @@ class Model extends SelectQueryBuilder {
     try {
       const returning = dto.returning || 'RETURNING *';
       delete dto.returning;
+      await this.#runHooks('beforeInsert', dto);
+      await this.validate(dto);
       const qInsert =
         this.pgp.helpers.insert(dto, this.cs.insert) + ' ' + returning;
 
       const result = await this.db.one(qInsert, dto);
+      await this.#runHooks('afterInsert', result);
       return result;
     } catch (error) {
       // console.log('Error:', error);
 
-      throw new DBError(error.message);
+      throw fromPgError(error);
+    }
+  }
+
+  /**
+   * Inserts many records using multi-row INSERT statements.
+   *
+   * The records are split into chunks of `chunkSize` rows and every chunk is
+   * inserted with a single statement built from the `cs.insert` ColumnSet.
+   * All chunks run in one transaction, so either every row is inserted or
+   * none is. Every record must provide the same columns (including
+   * `created_by`); columns with a schema default may be omitted.
+   *
+   * @param {Object[]} dtos - The records to insert
+   * @param {Object} [options] - Bulk insert options
+   * @param {number} [options.chunkSize=1000] - Maximum rows per INSERT statement
+   * @param {boolean|string|string[]} [options.returning=false] - `true` for `RETURNING *`, or the columns to return
+   * @param {Function} [options.onProgress] - Called after each chunk with `{ chunk, chunks, inserted, total }`
+   * @returns {Promise<number|Object[]>} The number of inserted rows, or the inserted rows when `returning` is set
+   * @throws {DBError} If the records are invalid or the insert fails
+   *
+   * @example
+   *
+   * await db.users.bulkInsert(users, {
+   *   chunkSize: 500,
+   *   onProgress: ({ inserted, total }) => console.log(`${inserted}/${total}`),
+   * });
+   */
+  async bulkInsert(dtos, options = {}) {
+    try {
+      if (!Array.isArray(dtos) || dtos.length === 0) {
+        throw new DBError('Bulk insert requires a non-empty array of records.');
+      }
+
+      return await this.#insertChunks('bulk-insert', dtos, options);
+    } catch (error) {
+      throw fromPgError(error);
     }
   }
+
+  /**
+   * Same as {@link Model#bulkInsert} but returns the inserted rows.
+   * @param {Object[]} dtos - The records to insert
+   * @param {Object} [options] - See {@link Model#bulkInsert}; `returning` defaults to `*`
+   * @returns {Promise<Object[]>} The inserted rows
+   * @throws {DBError} If the records are invalid or the insert fails
+   */
+  async bulkInsertReturning(dtos, options = {}) {
+    return await this.bulkInsert(dtos, {
+      ...options,
+      returning: options.returning || true,
+    });
+  }
+
+  /**
+   * Inserts a record, or updates it when it conflicts with an existing row
+   * (INSERT ... ON CONFLICT ... DO UPDATE).
+   *
+   * When `conflictTarget` is omitted it is derived from the schema: the
+   * primary key (column flags or a `PRIMARY KEY (...)` constraint) when it
+   * is part of the insert, else the first `unique` column, else the first
+   * `UNIQUE (...)` constraint. On update `updated_at` is set to
+   * CURRENT_TIMESTAMP and `updated_by` to the record's `updated_by`, or its
+   * `created_by` when it has none.
+   *
+   * @param {Object} dto - The record to insert or update
+   * @param {Object} [options] - Upsert options
+   * @param {string|string[]} [options.conflictTarget] - Conflict columns, or the name of a constraint in `schema.constraints`
+   * @param {string[]} [options.updateColumns] - Columns to update on conflict (default: all inserted columns except the conflict target)
+   * @param {boolean|string|string[]} [options.returning=false] - `true` for `RETURNING *`, or the columns to return
+   * @returns {Promise<Object|null|undefined>} The returned row when `returning` is set
+   * @throws {DBError} If no conflict target can be determined or the query fails
+   *
+   * @example
+   *
+   * await db.users.upsert(user, { conflictTarget: ['email'], returning: true });
+   */
+  async upsert(dto, options = {}) {
+    try {
+      await this.#runHooks('beforeInsert', dto);
+      await this.validate(dto);
+      const returningClause = this.#returningClause(options.returning);
+      const qUpsert = [
+        this.pgp.helpers.insert(dto, this.cs.insert),
+        this.#conflictClause(options, dto.updated_by),
+        returningClause,
+      ]
+        .filter(Boolean)
+        .join(' ');
+
+      const result = returningClause
+        ? await this.db.oneOrNone(qUpsert)
+        : await this.db.none(qUpsert);
+      await this.#runHooks('afterInsert', returningClause ? result : dto);
+      return result;
+    } catch (error) {
+      throw fromPgError(error);
+    }
+  }
+
+  /**
+   * Bulk variant of {@link Model#upsert}, chunked the same way as
+   * {@link Model#bulkInsert}. A chunk must not contain the same conflict key
+   * twice, PostgreSQL rejects a statement that updates a row more than once.
+   * Updated rows get the `updated_by` of the records when they all give the
+   * same one, else their `created_by`.
+   *
+   * @param {Object[]} dtos - The records to insert or update
+   * @param {Object} [options] - Options of {@link Model#upsert} and {@link Model#bulkInsert}
+   * @returns {Promise<number|Object[]>} The number of processed rows, or the returned rows when `returning` is set
+   * @throws {DBError} If the records are invalid or the query fails
+   */
+  async bulkUpsert(dtos, options = {}) {
+    try {
+      if (!Array.isArray(dtos) || dtos.length === 0) {
+        throw new DBError('Bulk upsert requires a non-empty array of records.');
+      }
+
+      const updatedBy = dtos.every(
+        (dto) => dto.updated_by === dtos[0].updated_by
+      )
+        ? dtos[0].updated_by
+        : undefined;
+      return await this.#insertChunks(
+        'bulk-upsert',
+        dtos,
+        options,
+        this.#conflictClause(options, updatedBy)
+      );
+    } catch (error) {
+      throw fromPgError(error);
+    }
+  }
+
+  /**
+   * Fetches the records matching the query options.
+   *
+   * `include` loads rows of the relations declared in `schema.relations`
+   * and nests them in every record: an object (or null) for `belongsTo` and
+   * `hasOne`, an array for `hasMany` and `manyToMany`. Each relation is
+   * loaded with one additional query for all records, never one per record.
+   *
+   * @param {Object} options - {@link QueryOptions}, plus `include`
+   * @param {string|Array<string|{relation: string, include: *}>} [options.include] - The relations to load; `include` nests further relations
+   * @returns {Promise<Object[]>} The records
+   * @throws {DBError} If the query fails or a relation is unknown
+   *
+   * @example
+   *
+   * const vendors = await db.vendors.findAll({
+   *   conditions: [{ field: 'active', operator: '=', value: true }],
+   *   include: ['addresses', { relation: 'orders', include: 'items' }],
+   * });
+   */
   async findAll(options) {
     try {
-      this.reset();
-      options.table = this.schema.tableName;
-      this.Options = options;
+      this.#prepare(options);
       const { query, values } = this.buildQuery();
-      return await this.db.manyOrNone(query, values);
+      const rows = await this.db.manyOrNone(query, values);
+      await this.#runHooks('afterFind', rows);
+      return options.include
+        ? await this.#include(rows, options.include)
+        : rows;
     } catch (error) {
-      throw new DBError(error.message);
+      throw fromPgError(error);
+    }
+  }
+
+  // Parses the ORDER BY of findPage into the keyset: the sort columns
+  // followed by the primary key columns that are not sorted on already.
+  #keyset(orderBy) {
+    const columns = Object.keys(this.tableColumns());
+    const primaryKey = this.primaryKeyColumns();
+    if (primaryKey.length === 0) {
+      throw new DBError('Keyset pagination requires a primary key.');
+    }
+
+    const keys = (orderBy ? String(orderBy).split(',') : [])
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        const match = /^(\w+)(?:\s+(ASC|DESC))?$/i.exec(item);
+        if (!match || !columns.includes(match[1])) {
+          throw new DBError(`Invalid keyset ORDER BY item '${item}'.`);
+        }
+        return {
+          column: match[1],
+          descending: (match[2] || '').toUpperCase() === 'DESC',
+        };
+      });
+
+    primaryKey
+      .filter((column) => !keys.some((key) => key.column === column))
+      .forEach((column) => keys.push({ column, descending: false }));
+    return keys;
+  }
+
+  #encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+  }
+
+  #decodeCursor(cursor, length) {
+    let values;
+    try {
+      values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (error) {
+      values = null;
+    }
+    if (!Array.isArray(values) || values.length !== length) {
+      throw new DBError('Invalid cursor.');
+    }
+    return values;
+  }
+
+  /**
+   * Fetches a page of records with keyset (cursor) pagination.
+   *
+   * Rows are sorted on `orderBy` followed by the primary key, which makes
+   * the order total. A page starts right after (or ends right before) the
+   * row a cursor points at, with a WHERE clause on the sort columns instead
+   * of an OFFSET, so pages stay fast on large tables and rows inserted
+   * meanwhile do not shift them. Cursors are opaque strings; sort columns
+   * should be NOT NULL.
+   *
+   * `hasNextPage` (forward) and `hasPreviousPage` (backward) tell if
+   * another page follows in the direction of the request; in the other
+   * direction they are true when a cursor was given.
+   *
+   * @param {Object} options - {@link QueryOptions} (`fields`, `conditions`, `joins`) and the paging options below; `include` as in {@link Model#findAll}
+   * @param {number} [options.first=25] - The page size
+   * @param {string} [options.after] - Return the rows after this cursor
+   * @param {string} [options.before] - Return the rows before this cursor
+   * @param {string} [options.orderBy] - Sort columns, e.g. 'created_at DESC, name'
+   * @returns {Promise<{rows: Object[], pageInfo: {startCursor: ?string, endCursor: ?string, hasNextPage: boolean, hasPreviousPage: boolean}}>} The page
+   * @throws {DBError} If a cursor or sort column is invalid, or the query fails
+   *
+   * @example
+   *
+   * const page = await db.users.findPage({ first: 50, orderBy: 'created_at DESC' });
+   * const next = await db.users.findPage({
+   *   first: 50,
+   *   orderBy: 'created_at DESC',
+   *   after: page.pageInfo.endCursor,
+   * });
+   */
+  async findPage(options = {}) {
+    try {
+      const {
+        first = 25,
+        after,
+        before,
+        orderBy,
+        include,
+        ...queryOptions
+      } = options;
+      if (!Number.isInteger(first) || first < 1) {
+        throw new DBError('Invalid page size.');
+      }
+      if (after && before) {
+        throw new DBError('findPage accepts either after or before, not both.');
+      }
+
+      const keys = this.#keyset(orderBy);
+      const backward = !!before;
+      const cursor = after || before;
+      const { as } = this.pgp;
+
+      // Going backward reverses the order; the page is reversed back below
+      const ascending = (key) => key.descending === backward;
+      const conditions = [];
+      if (cursor) {
+        // (a > $1) OR (a = $1 AND b > $2) OR ..., AND binds tighter than OR
+        const values = this.#decodeCursor(cursor, keys.length);
+        keys.forEach((key, i) => {
+          const term = [
+            ...keys.slice(0, i).map((previous, j) => ({
+              field: previous.column,
+              operator: '=',
+              value: values[j],
+            })),
+            {
+              field: key.column,
+              operator: ascending(key) ? '>' : '<',
+              value: values[i],
+            },
+          ];
+          if (i > 0) term[0].conjunction = 'OR';
+          conditions.push(...term);
+        });
+      }
+
+      // The sort keys are also selected as text, so that the cursors keep
+      // the full precision of timestamps and numerics.
+      const fields = [
+        ...[].concat(queryOptions.fields || '*'),
+        ...keys.map((key, i) =>
+          SelectQueryBuilder.raw(
+            `${as.name(key.column)}::text AS ${as.name(`__cursor_${i}`)}`
+          )
+        ),
+      ];
+
+      this.#prepare({
+        ...queryOptions,
+        fields,
+        conditions: [
+          ...(queryOptions.conditions && queryOptions.conditions.length > 0
+            ? [queryOptions.conditions]
+            : []),
+          ...(conditions.length > 0 ? [conditions] : []),
+        ],
+        orderBy: keys
+          .map((key) => `${key.column} ${ascending(key) ? 'ASC' : 'DESC'}`)
+          .join(', '),
+        limit: first + 1,
+      });
+      const { query, values } = this.buildQuery();
+      const fetched = await this.db.manyOrNone(query, values);
+
+      const hasMore = fetched.length > first;
+      const rows = fetched.slice(0, first);
+      if (backward) rows.reverse();
+      const cursors = rows.map((row) => {
+        const cursorValues = keys.map((key, i) => row[`__cursor_${i}`]);
+        keys.forEach((key, i) => delete row[`__cursor_${i}`]);
+        return this.#encodeCursor(cursorValues);
+      });
+
+      await this.#runHooks('afterFind', rows);
+      if (include) await this.#include(rows, include);
+
+      return {
+        rows,
+        pageInfo: {
+          startCursor: cursors[0] || null,
+          endCursor: cursors[cursors.length - 1] || null,
+          hasNextPage: backward ? true : hasMore,
+          hasPreviousPage: backward ? hasMore : !!after,
+        },
+      };
+    } catch (error) {
+      throw fromPgError(error);
     }
   }
 
@@ -218,7 +1223,17 @@ class Model extends SelectQueryBuilder {
       return query;
     }
 
-    const fromIndex = query.toUpperCase().indexOf('FROM');
+    // The FROM of the main query: not one inside parentheses (WITH clause,
+    // subqueries)
+    let depth = 0;
+    let fromIndex = -1;
+    for (let i = 0; i < query.length && fromIndex === -1; i++) {
+      if (query[i] === '(') depth++;
+      if (query[i] === ')') depth--;
+      if (depth === 0 && /^\WFROM\b/i.test(query.substring(i - 1, i + 5))) {
+        fromIndex = i;
+      }
+    }
     if (fromIndex !== -1) {
       // Insert the total count string before the FROM clause
       const beforeFrom = query.substring(0, fromIndex);
@@ -232,7 +1247,7 @@ class Model extends SelectQueryBuilder {
 
   /**
    * Fetches all records from the database table and returns the total count of records
-   * @param {Object} options - {@link QueryOptions}
+   * @param {Object} options - {@link QueryOptions}, plus `include` as in {@link Model#findAll}
    * @returns {Promise} - Returns a promise that resolves with the records and total count
    * @throws {DBError} - Failed to fetch records
    *
@@ -251,26 +1266,42 @@ class Model extends SelectQueryBuilder {
    */
   async findAndCountAll(options) {
     try {
-      this.reset();
-      options.table = this.schema.tableName;
-      this.Options = options;
+      this.#prepare(options);
       const { query, values } = this.buildQuery();
 
       if (!query.includes(' FROM ')) {
-        throw new Error('FROM clause not found in query.');
+        throw new DBError('FROM clause not found in query.');
       }
 
       const totalCountQuery = this._addTotalCountToQuery(query);
-      return await this.db.manyOrNone(totalCountQuery, values);
+      const rows = await this.db.manyOrNone(totalCountQuery, values);
+      await this.#runHooks('afterFind', rows);
+      return options.include
+        ? await this.#include(rows, options.include)
+        : rows;
     } catch (error) {
-      throw new DBError(error.message);
+      throw fromPgError(error);
     }
   }
 
-  findByPK(pkValue, options = {}) {
+  /**
+   * Finds a record by primary key. The key columns are the columns flagged
+   * `primaryKey` or those of a `PRIMARY KEY (...)` constraint, and the
+   * table is qualified with `schema.dbSchema`.
+   * @param {*|Array|Object} pk - The primary key: the value, or for a composite key an object by column (or an array of values in key order)
+   * @param {Object} [options] - Query options
+   * @param {boolean} [options.includeTimestamps=false] - Also select the time stamp columns
+   * @returns {Promise<Object|null>} The record, or null if there is none
+   * @throws {DBError} If the key is invalid or the query fails
+   *
+   * @example
+   *
+   * const item = await db.orderItems.findByPK({ order_id: 7, line: 2 });
+   */
+  async findByPK(pk, options = {}) {
     try {
-      if (pkValue === undefined || pkValue === null) {
-        throw new Error('Primary key is required.');
+      if (pk === undefined || pk === null) {
+        throw new DBError('Primary key is required.');
       }
 
       const { includeTimestamps = false } = options;
@@ -281,39 +1312,245 @@ class Model extends SelectQueryBuilder {
         'updated_at',
         'updated_by',
       ];
+      // The version is always returned, updateByPK needs it back
       const columns = includeTimestamps
         ? '*'
         : Object.keys(this.schema.columns)
             .filter((column) => !timestampFields.includes(column))
+            .concat(
+              this.schema.versioned && !this.schema.columns.version
+                ? ['version']
+                : []
+            )
             .join(', ');
 
-      const query = `SELECT ${columns} FROM ${this.schema.tableName} WHERE ${this.schema.primaryKey} = $1;`;
-      return this.db.oneOrNone(query, pkValue);
+      const values = this.#keyValues(pk);
+      const condition = this.primaryKeyColumns()
+        .map((column, i) => `${this.pgp.as.name(column)} = $${i + 1}`)
+        .join(' AND ');
+      const live =
+        this.schema.softDelete && !this.#includeDeleted
+          ? ' AND deleted_at IS NULL'
+          : '';
+      const query = `SELECT ${columns} FROM ${this.#tableName()} WHERE ${condition}${live};`;
+      const row = await this.db.oneOrNone(query, values);
+      await this.#runHooks('afterFind', row);
+      return row;
+    } catch (error) {
+      throw fromPgError(error);
+    }
+  }
+
+  // The values of a primary key in the order of primaryKeyColumns(),
+  // given as a single value, an array or an object by column.
+  #keyValues(pk) {
+    const primaryKey = this.primaryKeyColumns();
+    if (primaryKey.length === 0) {
+      throw new DBError(`${this.schema.tableName} has no primary key.`);
+    }
+
+    let values = [pk];
+    if (Array.isArray(pk)) {
+      values = pk;
+    } else if (pk !== null && typeof pk === 'object' && !(pk instanceof Date)) {
+      values = primaryKey.map((column) => pk[column]);
+    }
+    if (
+      values.length !== primaryKey.length ||
+      values.some((value) => value === undefined || value === null)
+    ) {
+      throw new DBError(
+        `Invalid primary key for ${
+          this.schema.tableName
+        }; expected ${primaryKey.join(', ')}.`
+      );
+    }
+    return values;
+  }
+
+  // The properties and the `_condition` that select a record by primary
+  // key in update and delete.
+  #keyCondition(pk) {
+    const values = this.#keyValues(pk);
+    const primaryKey = this.primaryKeyColumns();
+    return {
+      key: Object.fromEntries(
+        primaryKey.map((column, i) => [column, values[i]])
+      ),
+      condition: `WHERE ${primaryKey
+        .map((column) => `${this.pgp.as.name(column)} = \${${column}}`)
+        .join(' AND ')}`,
+    };
+  }
+
+  /**
+   * Returns the audit trail of a record, oldest change first. Requires
+   * `schema.audit`; see {@link Model#auditTableQuery} for the columns.
+   * @param {*|Array|Object} pk - The primary key: the value, or for a composite key an array of values in key order or an object by column
+   * @returns {Promise<Object[]>} The history rows
+   * @throws {DBError} If the table is not audited, the key is invalid or the query fails
+   *
+   * @example
+   *
+   * const changes = await db.users.history(42);
+   * // [{ operation: 'INSERT', new_row: {...}, changed_by: 'jane', ... }, { operation: 'UPDATE', diff: { email: 'j@doe.com' }, ... }]
+   */
+  async history(pk) {
+    try {
+      if (!this.schema.audit) {
+        throw new DBError(`${this.schema.tableName} is not audited.`);
+      }
+
+      const key = this.#keyValues(pk).map(String);
+      return await this.db.manyOrNone(
+        `SELECT * FROM ${this.#tableName(
+          `${this.schema.tableName}_history`
+        )} WHERE record_key = $1::text[] ORDER BY history_id;`,
+        [key]
+      );
     } catch (error) {
-      throw new DBError(error.message);
+      throw fromPgError(error);
     }
   }
 
+  /**
+   * Iterates over the records matching the query options without loading
+   * them all in memory.
+   *
+   * The query runs through a server-side cursor (DECLARE ... CURSOR) that
+   * is read `batchSize` rows at a time; the next batch is only fetched when
+   * the consumer asks for more rows. The cursor lives in a transaction: the
+   * current one when the model is bound to a transaction, else one opened
+   * on a dedicated connection. Leaving the loop early closes the cursor and
+   * releases the connection.
+   *
+   * @param {Object} options - {@link QueryOptions}, plus `include` as in {@link Model#findAll} (loaded per batch)
+   * @param {number} [options.batchSize=1000] - The rows fetched per round trip
+   * @returns {AsyncIterableIterator<Object>} The records
+   * @throws {DBError} If the query fails (when iterating)
+   *
+   * @example
+   *
+   * for await (const user of db.users.findIterator({ fields: 'id, email' })) {
+   *   await writeLine(user);
+   * }
+   */
+  findIterator(options = {}) {
+    const { batchSize = 1000, include, ...queryOptions } = options;
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new DBError('Invalid batch size.');
+    }
+
+    // Built now rather than when iteration starts, so that withDeleted()
+    // and later queries on this model do not change it.
+    this.#prepare({ fields: '*', ...queryOptions });
+    const { query, values } = this.buildQuery();
+    return this.#iterateCursor(query, [...values], batchSize, include);
+  }
+
+  async *#iterateCursor(query, values, batchSize, include) {
+    const { ctx } = this.db;
+    const inTransaction = !!(ctx && ctx.inTransaction);
+    const connection = ctx ? this.db : await this.db.connect();
+    const cursor = `nap_cursor_${++cursorCounter}`;
+    let done = false;
+
+    try {
+      if (!inTransaction) await connection.none('BEGIN');
+      await connection.none(
+        `DECLARE ${cursor} NO SCROLL CURSOR FOR ${query}`,
+        values
+      );
+
+      while (!done) {
+        const rows = await connection.manyOrNone(
+          `FETCH ${batchSize} FROM ${cursor}`
+        );
+        done = rows.length < batchSize;
+        await this.#runHooks('afterFind', rows);
+        if (include && rows.length > 0) await this.#include(rows, include);
+        yield* rows;
+      }
+    } catch (error) {
+      throw fromPgError(error);
+    } finally {
+      // Also reached when the consumer stops early or a query failed
+      try {
+        if (inTransaction) {
+          await connection.none(`CLOSE ${cursor}`);
+        } else {
+          await connection.none(done ? 'COMMIT' : 'ROLLBACK');
+        }
+      } catch (error) {
+        // The transaction is already aborted, nothing left to close
+      } finally {
+        if (!ctx) connection.done();
+      }
+    }
+  }
+
+  /**
+   * Same as {@link Model#findIterator}, as an object mode Readable stream
+   * that can be piped into files or HTTP responses. The stream only reads
+   * from the cursor while its consumer keeps up (backpressure); destroying
+   * it closes the cursor.
+   * @param {Object} options - See {@link Model#findIterator}
+   * @param {Object} [streamOptions] - Options of the Readable, e.g. `highWaterMark` (rows buffered, default 16)
+   * @returns {Readable} The stream of records
+   *
+   * @example
+   *
+   * const { pipeline } = require('stream/promises');
+   * await pipeline(
+   *   db.users.findStream({ fields: 'id, email', batchSize: 5000 }),
+   *   toCsv(),
+   *   fs.createWriteStream('users.csv')
+   * );
+   */
+  findStream(options = {}, streamOptions = {}) {
+    return Readable.from(this.findIterator(options), {
+      objectMode: true,
+      ...streamOptions,
+    });
+  }
+
   /**
    * Finds a single record in the database based on the provided options.
-   * @param {Object} options - The options for the query.
+   * @param {Object} options - The options for the query. `include` loads relations as in {@link Model#findAll}.
    * @returns {Promise<Object|null>} - A promise that resolves to the found record or null if not found.
    * @throws {DBError} - If an error occurs during the database operation.
    */
   async findOne(options) {
     try {
-      this.reset();
-      options.table = this.schema.tableName;
-      this.Options = options;
+      this.#prepare(options);
       const { query, values } = this.buildQuery();
-      return await this.db.oneOrNone(query, values);
+      const row = await this.db.oneOrNone(query, values);
+      await this.#runHooks('afterFind', row);
+      if (row && options.include) await this.#include([row], options.include);
+      return row;
     } catch (error) {
-      throw new DBError(error.message);
+      throw fromPgError(error);
     }
   }
 
+  /**
+   * Updates the records matching `dto._condition`.
+   *
+   * When the schema is `versioned`, `dto.version` must hold the version the
+   * record had when it was read. The update only applies to that version
+   * and increments it; if the record was changed in the meantime nothing is
+   * updated and a {@link StaleRecordError} is thrown.
+   *
+   * @param {Object} dto - The new values, `_condition` (e.g. 'WHERE id = ${id}') and `updated_by`
+   * @returns {Promise<Object>} The query result (`rowCount`)
+   * @throws {StaleRecordError} If the expected version no longer matches
+   * @throws {ValidationError} If the record is invalid or a versioned update lacks `dto.version`
+   * @throws {DBError} If there is no condition or no record matches it
+   */
   async update(dto) {
     try {
+      await this.#runHooks('beforeUpdate', dto);
+      await this.validate(dto, { partial: true });
       let condition = '';
       if (dto._condition) {
         condition = this.pgp.as.format(dto._condition, dto);
@@ -321,24 +1558,169 @@ class Model extends SelectQueryBuilder {
         throw new DBError('UPDATE requires a condition');
       }
 
-      const qUpdate = `${this.pgp.helpers.update(
-        dto,
-        this.cs.update
-      )} ${condition};`;
+      let qUpdate = this.pgp.helpers.update(dto, this.cs.update);
+      if (this.schema.versioned) {
+        if (!Number.isInteger(dto.version)) {
+          throw new ValidationError({
+            version: [
+              dto.version === undefined ? 'is required' : 'must be an integer',
+            ],
+          });
+        }
+        qUpdate += ',"version"="version"+1';
+        condition = this.#restrictCondition(
+          condition,
+          this.pgp.as.format('version = $1', [dto.version])
+        );
+      }
+      qUpdate += ` ${condition};`;
 
       const result = await this.db.result(qUpdate, (a) => a.rowCount);
 
       if (result.rowCount === 0) {
-        throw new DBError('No records found to update.');
+        if (this.schema.versioned) {
+          throw new StaleRecordError(this.schema.tableName, dto.version);
+        }
+        throw new NotFoundError('No records found to update.');
       }
 
+      await this.#runHooks('afterUpdate', dto, { result });
       return result;
     } catch (error) {
-      throw new DBError(error.message);
+      throw fromPgError(error);
+    }
+  }
+  /**
+   * Updates a record by primary key, as {@link Model#update} with the key
+   * as condition (including the version check of versioned tables).
+   * @param {*|Array|Object} pk - The primary key, as in {@link Model#findByPK}
+   * @param {Object} dto - The new values and `updated_by`
+   * @returns {Promise<Object>} The query result (`rowCount`)
+   * @throws {NotFoundError} If there is no record with the key
+   * @throws {DBError} If the key or the values are invalid, or the query fails
+   */
+  async updateByPK(pk, dto) {
+    try {
+      const { key, condition } = this.#keyCondition(pk);
+      return await this.update({ ...dto, ...key, _condition: condition });
+    } catch (error) {
+      throw fromPgError(error);
+    }
+  }
+
+  /**
+   * Deletes a record by primary key, as {@link Model#delete}: a soft delete
+   * when the schema enables it. The table is qualified with its schema.
+   * @param {*|Array|Object} pk - The primary key, as in {@link Model#findByPK}
+   * @param {Object} [dto] - `deleted_by` for soft deletes
+   * @returns {Promise<Object>} The query result (`rowCount`)
+   * @throws {NotFoundError} If there is no record with the key
+   * @throws {DBError} If the key is invalid or the query fails
+   */
+  async deleteByPK(pk, dto = {}) {
+    try {
+      const { key, condition } = this.#keyCondition(pk);
+      return await this.#delete(
+        { ...dto, ...key, _condition: condition },
+        this.#tableName()
+      );
+    } catch (error) {
+      throw fromPgError(error);
     }
   }
+
+  /**
+   * Deletes the records matching `dto._condition`. When the schema enables
+   * `softDelete` the records are only marked as deleted: `deleted_at` is set
+   * to CURRENT_TIMESTAMP and `deleted_by` to `dto.deleted_by`.
+   * @param {Object} dto - `_condition` (e.g. 'WHERE id = ${id}') and its values
+   * @returns {Promise<Object>} The query result (`rowCount`)
+   * @throws {DBError} If there is no condition or no record matches it
+   */
   async delete(dto) {
+    return await this.#delete(dto, this.schema.tableName);
+  }
+
+  async #delete(dto, table) {
+    if (!this.schema.softDelete) return await this.#forceDelete(dto, table);
+
     try {
+      await this.#runHooks('beforeDelete', dto);
+      if (!dto._condition) {
+        throw new DBError('DELETE requires a condition');
+      }
+
+      const condition = this.pgp.as.format(dto._condition, dto);
+      const qDelete = this.pgp.as.format(
+        `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1 ${this.#restrictCondition(
+          condition,
+          'deleted_at IS NULL'
+        )};`,
+        [dto.deleted_by === undefined ? null : dto.deleted_by]
+      );
+
+      const result = await this.db.result(qDelete, (a) => a.rowCount);
+      if (result.rowCount === 0) {
+        throw new NotFoundError('No records found to delete');
+      }
+
+      await this.#runHooks('afterDelete', dto, { result });
+      return result;
+    } catch (error) {
+      throw fromPgError(error);
+    }
+  }
+
+  /**
+   * Restores soft deleted records matching `dto._condition`.
+   * @param {Object} dto - `_condition` and its values; `updated_by` is stamped, or cleared when not given
+   * @returns {Promise<Object>} The query result (`rowCount`)
+   * @throws {DBError} If soft delete is not enabled, there is no condition or no deleted record matches it
+   */
+  async restore(dto) {
+    try {
+      this.#requireSoftDelete();
+      if (!dto._condition) {
+        throw new DBError('RESTORE requires a condition');
+      }
+
+      const condition = this.pgp.as.format(dto._condition, dto);
+      // Cleared when not given, the audit trail would credit the last editor
+      const updatedBy = this.pgp.as.format(', updated_by = $1', [
+        dto.updated_by === undefined ? null : dto.updated_by,
+      ]);
+      const qRestore = `UPDATE ${
+        this.schema.tableName
+      } SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP${updatedBy} ${this.#restrictCondition(
+        condition,
+        'deleted_at IS NOT NULL'
+      )};`;
+
+      const result = await this.db.result(qRestore, (a) => a.rowCount);
+      if (result.rowCount === 0) {
+        throw new NotFoundError('No records found to restore');
+      }
+
+      return result;
+    } catch (error) {
+      throw fromPgError(error);
+    }
+  }
+
+  /**
+   * Permanently deletes the records matching `dto._condition`, also when
+   * the schema enables `softDelete`.
+   * @param {Object} dto - `_condition` (e.g. 'WHERE id = ${id}') and its values
+   * @returns {Promise<Object>} The query result (`rowCount`)
+   * @throws {DBError} If there is no condition or no record matches it
+   */
+  async forceDelete(dto) {
+    return await this.#forceDelete(dto, this.schema.tableName);
+  }
+
+  async #forceDelete(dto, table) {
+    try {
+      await this.#runHooks('beforeDelete', dto);
       let condition = '';
       if (dto._condition) {
         condition = this.pgp.as.format(dto._condition, dto);
@@ -347,19 +1729,272 @@ class Model extends SelectQueryBuilder {
         throw new DBError('DELETE requires a condition');
       }
 
-      const qDelete = this.pgp.as.format(
-        `DELETE FROM ${this.schema.tableName} ${condition};`,
-        [dto]
-      );
+      const qDelete = this.pgp.as.format(`DELETE FROM ${table} ${condition};`, [
+        dto,
+      ]);
 
       const result = await this.db.result(qDelete, (a) => a.rowCount);
       if (result.rowCount === 0) {
-        throw new DBError('No records found to delete');
+        throw new NotFoundError('No records found to delete');
       }
 
+      await this.#runHooks('afterDelete', dto, { result });
       return result;
     } catch (error) {
-      throw new DBError(error.message);
+      throw fromPgError(error);
+    }
+  }
+
+  // **************************Import / Export*******************************************
+
+  // COPY streams over the pg client of a dedicated connection, which a
+  // task or transaction does not expose.
+  async #copyConnection(method) {
+    if (this.db.ctx) {
+      throw new DBError(`${method} can not run in a task or transaction.`);
+    }
+    return await this.db.connect();
+  }
+
+  // Reads the file up to the first record that names the imported fields:
+  // the CSV header, or the first JSON object. The reader is advanced by
+  // hand, leaving a for await loop early would close it.
+  async #importSources(reader, options, badLines) {
+    const { format, header, columns } = options;
+    const sources = Array.isArray(columns) ? columns : null;
+
+    if (format === 'csv') {
+      if (!header && !sources) {
+        throw new DBError(
+          'Importing a CSV file without header requires columns.'
+        );
+      }
+      const first = header ? (await reader.next()).value : undefined;
+      if (first && first.error) {
+        throw new DBError(`Invalid CSV header: ${first.error}`);
+      }
+      return { sources: sources || (first && first.values.map(String)) };
+    }
+
+    if (sources) return { sources };
+    for (;;) {
+      const { value: item, done } = await reader.next();
+      if (done) return { sources: null };
+      if (!item.error)
+        return { sources: Object.keys(item.record), first: item };
+      badLines.push({ line: item.line, error: new DBError(item.error) });
+    }
+  }
+
+  // Yields the rows sent to COPY ... FROM STDIN as CSV lines and collects
+  // the lines that can not be read or fail validation.
+  async *#importRows(records, sources, columns, options, badLines) {
+    const { format, createdBy } = options;
+    const fail = (line, error) => badLines.push({ line, error });
+    // Also checks the columns nap-db manages, a file may contain them
+    const validator = new Validator(this.tableColumns());
+    const types = columns.map((column) => this.tableColumns()[column].type);
+    const arrays = types.map((type) => parseType(type).isArray);
+
+    for await (const item of records) {
+      if (item.error) {
+        fail(item.line, new DBError(item.error));
+        continue;
+      }
+      if (format === 'csv' && item.values.length !== sources.length) {
+        fail(
+          item.line,
+          new DBError(
+            `Expected ${sources.length} fields, found ${item.values.length}.`
+          )
+        );
+        continue;
+      }
+
+      const dto = {};
+      sources.forEach((source, i) => {
+        let value = format === 'csv' ? item.values[i] : item.record[source];
+        // A CSV field holds an array as its literal, {a,b}; anything else
+        // is left to fail validation
+        if (format === 'csv' && arrays[i] && typeof value === 'string') {
+          value = parseArrayLiteral(value) || value;
+        }
+        dto[columns[i]] = value === undefined ? null : value;
+      });
+      // created_by is the column appended after the fields of the file
+      if (columns.length > sources.length) dto.created_by = createdBy;
+
+      const errors = await validator.validate(dto);
+      if (Object.keys(errors).length > 0) {
+        fail(item.line, new ValidationError(errors));
+        continue;
+      }
+      yield csvLine(
+        columns.map((column) => dto[column]),
+        types
+      );
+    }
+  }
+
+  /**
+   * Imports a CSV or JSON lines file into the table with
+   * `COPY ... FROM STDIN`.
+   *
+   * The file is read and checked in Node before it reaches PostgreSQL:
+   * every record is mapped onto the table columns and validated against
+   * the schema (see {@link Model#validate}). Lines that can not be read or
+   * fail validation are skipped and reported, instead of aborting the COPY;
+   * the other rows are copied in a single statement. `created_by` is
+   * filled with `options.createdBy` when the table has time stamps and the
+   * file does not contain it. Hooks are not run.
+   *
+   * The imported fields are the CSV header, or the keys of the first JSON
+   * object, unless `columns` lists them. The table column of a field is
+   * its name, or the one given in a `columns` object.
+   *
+   * @param {Readable} stream - The file contents
+   * @param {Object} [options] - Import options
+   * @param {string} [options.format='csv'] - `csv` or `jsonl` (one JSON object per line)
+   * @param {string[]|Object.<string, string>} [options.columns] - The table columns of the CSV fields (in file order) or of the JSON keys; or an object mapping header names or keys to table columns
+   * @param {boolean} [options.header=true] - Whether the first line of a CSV file is a header; skipped when `columns` lists the columns
+   * @param {string} [options.delimiter=','] - The CSV field delimiter
+   * @param {string} [options.createdBy] - The user stamped in `created_by`
+   * @returns {Promise<{rowCount: number, badLines: Array<{line: number, error: DBError}>}>} The rows copied, and the lines skipped with the reason (a {@link ValidationError} for invalid records)
+   * @throws {DBError} If the options or the columns are invalid, or the COPY fails
+   *
+   * @example
+   *
+   * const { rowCount, badLines } = await db.users.importFrom(
+   *   fs.createReadStream('users.csv'),
+   *   { columns: { 'E-mail': 'email' }, createdBy: 'import' }
+   * );
+   * badLines.forEach(({ line, error }) => console.log(line, error.message));
+   */
+  async importFrom(stream, options = {}) {
+    const { format = 'csv', header = true, columns, delimiter = ',' } = options;
+    let connection;
+
+    try {
+      if (!['csv', 'jsonl'].includes(format)) {
+        throw new DBError(`Invalid import format '${format}'.`);
+      }
+      connection = await this.#copyConnection('importFrom');
+
+      const badLines = [];
+      const reader =
+        format === 'csv' ? readCsv(stream, delimiter) : readJsonLines(stream);
+      const { sources, first } = await this.#importSources(
+        reader,
+        { format, header, columns },
+        badLines
+      );
+      if (!sources) return { rowCount: 0, badLines };
+
+      const tableColumns = Object.keys(this.tableColumns());
+      const renamed =
+        columns && !Array.isArray(columns)
+          ? new Map(Object.entries(columns))
+          : new Map();
+      const targets = sources.map((source) => renamed.get(source) || source);
+      const unknown = targets.find((column) => !tableColumns.includes(column));
+      if (unknown) throw new DBError(`Unknown column '${unknown}'.`);
+      if (
+        tableColumns.includes('created_by') &&
+        !targets.includes('created_by')
+      ) {
+        if (!options.createdBy) {
+          throw new DBError(
+            'importFrom requires createdBy to fill created_by.'
+          );
+        }
+        targets.push('created_by');
+      }
+
+      const copy = connection.client.query(
+        copyFrom(
+          `COPY ${this.schema.tableName} (${targets
+            .map((column) => this.pgp.as.name(column))
+            .join(', ')}) FROM STDIN WITH (FORMAT csv)`
+        )
+      );
+      const records = (async function* () {
+        if (first) yield first;
+        yield* reader;
+      })();
+      await pipeline(
+        Readable.from(
+          this.#importRows(
+            records,
+            sources,
+            targets,
+            { format, createdBy: options.createdBy },
+            badLines
+          )
+        ),
+        copy
+      );
+      return { rowCount: copy.rowCount, badLines };
+    } catch (error) {
+      throw fromPgError(error);
+    } finally {
+      if (connection) connection.done();
+    }
+  }
+
+  /**
+   * Writes the records matching the query options to a stream with
+   * `COPY ... TO STDOUT`, as CSV or JSON lines. The stream is ended when
+   * the export is complete.
+   *
+   * @param {Writable} stream - The destination, e.g. a file or an HTTP response
+   * @param {Object} [options] - {@link QueryOptions}, plus the export options
+   * @param {string} [options.format='csv'] - `csv` or `jsonl` (one JSON object per line)
+   * @param {boolean} [options.header=true] - Whether a CSV file starts with a header
+   * @param {string} [options.delimiter=','] - The CSV field delimiter
+   * @returns {Promise<{rowCount: number}>} The rows exported
+   * @throws {DBError} If the options are invalid or the COPY fails
+   *
+   * @example
+   *
+   * await db.users.exportTo(fs.createWriteStream('users.csv'), {
+   *   fields: 'id, email',
+   *   conditions: [{ field: 'active', operator: '=', value: true }],
+   * });
+   */
+  async exportTo(stream, options = {}) {
+    const {
+      format = 'csv',
+      header = true,
+      delimiter = ',',
+      ...queryOptions
+    } = options;
+    let connection;
+
+    try {
+      if (!['csv', 'jsonl'].includes(format)) {
+        throw new DBError(`Invalid export format '${format}'.`);
+      }
+      this.#prepare({ fields: '*', ...queryOptions });
+      const { query, values } = this.buildQuery();
+      const select = this.pgp.as.format(query, values);
+
+      // The text format would escape the backslashes of the JSON; csv with
+      // quote and delimiter characters JSON never contains writes it as is.
+      const sql =
+        format === 'csv'
+          ? `COPY (${select}) TO STDOUT WITH (FORMAT csv, HEADER ${!!header}, DELIMITER ${this.pgp.as.text(
+              delimiter
+            )})`
+          : `COPY (SELECT row_to_json(r) FROM (${select}) r) TO STDOUT WITH (FORMAT csv, QUOTE E'\\x01', DELIMITER E'\\x02')`;
+
+      connection = await this.#copyConnection('exportTo');
+      const copy = connection.client.query(copyTo(sql));
+      await pipeline(copy, stream);
+      return { rowCount: copy.rowCount };
+    } catch (error) {
+      throw fromPgError(error);
+    } finally {
+      if (connection) connection.done();
     }
   }
 
@@ -368,7 +2003,7 @@ class Model extends SelectQueryBuilder {
     try {
       return await this.db.none(`DROP TABLE ${this.schema.tableName};`);
     } catch (error) {
-      throw new DBError(error.message);
+      throw fromPgError(error);
     }
   }
 
@@ -376,22 +2011,20 @@ class Model extends SelectQueryBuilder {
     try {
       return await this.db.none(`TRUNCATE TABLE ${this.schema.tableName};`);
     } catch (error) {
-      throw new DBError(error.message);
+      throw fromPgError(error);
     }
   }
   // *******************************Aggregates********************************************
 
   async aggregate(options) {
     try {
-      this.reset();
-      options.table = this.schema.tableName;
-      this.Options = options;
+      this.#prepare(options);
       const { query, values } = this.buildQuery();
 
       return await this.db.oneOrNone(query, values);
     } catch (error) {
       // console.log('Error:', error);
-      throw new DBError(error.message);
+      throw fromPgError(error);
     }
   }
 
@@ -432,11 +2065,25 @@ class Model extends SelectQueryBuilder {
   }
   å;
   async firstValue(options) {
-    return await this.aggregate(options);
+    return await this.#windowValue(options);
   }
 
   async lastValue(options) {
-    return await this.aggregate(options);
+    return await this.#windowValue(options);
+  }
+
+  // FIRST_VALUE and LAST_VALUE are window functions: every row of the
+  // result holds the value, so only one is read
+  async #windowValue(options) {
+    try {
+      this.#prepare(options);
+      this.limit = 1;
+      const { query, values } = this.buildQuery();
+
+      return await this.db.oneOrNone(query, values);
+    } catch (error) {
+      throw fromPgError(error);
+    }
   }
 }
 
@@ -11,6 +11,7 @@
  */
 
 const { DBError } = require('./errors');
+const RawSQL = require('./RawSQL');
 
 class QueryOptions {
   constructor() {
@@ -24,12 +25,19 @@ class QueryOptions {
       conditions: this.conditions,
       orderBy: this.orderBy,
       limit: this.limit,
+      exactLimit: this.exactLimit,
       offset: this.offset,
       joins: this.joins,
       aggregates: this.aggregates,
       groupBy: this.groupBy,
       values: this.values,
       includeTimestamps: this.includeTimestamps,
+      ctes: this.ctes,
+      setOperations: this.setOperations,
+      windows: this.windows,
+      namedWindows: this.namedWindows,
+      having: this.having,
+      distinctOn: this.distinctOn,
     };
 
     return options;
@@ -52,12 +60,19 @@ class QueryOptions {
         conditions,
         orderBy,
         limit,
+        exactLimit,
         offset,
         joins,
         aggregates,
         groupBy,
         values,
         includeTimestamps,
+        ctes,
+        setOperations,
+        windows,
+        namedWindows,
+        having,
+        distinctOn,
       } = options;
 
       if (table) this.setTable(table);
@@ -65,7 +80,7 @@ class QueryOptions {
       if (conditions && conditions.length > 0)
         conditions.forEach((condition) => this.addCondition(condition));
       if (orderBy) this.setOrderBy(orderBy);
-      if (limit) this.setLimit(limit);
+      if (limit) this.setLimit(limit, { exact: exactLimit });
       if (offset) this.setOffset(offset);
       if (joins && joins.length > 0)
         joins.forEach((join) =>
@@ -73,11 +88,33 @@ class QueryOptions {
         );
       if (aggregates && aggregates.length > 0)
         aggregates.forEach((aggregate) =>
-          this.addAggregate(aggregate.func, aggregate.field, aggregate.alias)
+          this.addAggregate(
+            aggregate.func,
+            aggregate.field,
+            aggregate.alias,
+            aggregate
+          )
         );
       if (groupBy) this.setGroupBy(groupBy);
+      if (having && having.length > 0)
+        having.forEach((condition) => this.addHaving(condition));
+      if (distinctOn) this.setDistinctOn(distinctOn);
       if (values) this.addValue(values);
       if (includeTimestamps) this.includeTimestamps = includeTimestamps;
+      if (ctes && ctes.length > 0)
+        ctes.forEach((cte) => this.addCte(cte.name, cte.query, cte));
+      if (setOperations && setOperations.length > 0)
+        setOperations.forEach(({ type, query }) =>
+          this.addSetOperation(type, query)
+        );
+      if (windows && windows.length > 0)
+        windows.forEach((window) =>
+          this.addWindow(window.func, window.field, window.alias, window)
+        );
+      if (namedWindows && namedWindows.length > 0)
+        namedWindows.forEach((window) =>
+          this.defineWindow(window.name, window)
+        );
 
       return this;
     } catch (error) {
@@ -106,18 +143,48 @@ class QueryOptions {
     return QueryOptions.validAggregateFunctions.has(upperCaseFunc);
   }
 
+  static validWindowFunctions = new Set([
+    'ROW_NUMBER',
+    'RANK',
+    'DENSE_RANK',
+    'PERCENT_RANK',
+    'CUME_DIST',
+    'NTILE',
+    'LAG',
+    'LEAD',
+    'FIRST_VALUE',
+    'LAST_VALUE',
+    'NTH_VALUE',
+  ]);
+
+  // Window functions, and the aggregate functions used with OVER
+  static isValidWindowFunction(func) {
+    const upperCaseFunc = func.toUpperCase();
+    return (
+      QueryOptions.validWindowFunctions.has(upperCaseFunc) ||
+      QueryOptions.validAggregateFunctions.has(upperCaseFunc)
+    );
+  }
+
   reset() {
     this.table = ''; // The table name for the query
     this.fields = '*'; // The fields to select (default is all fields)
     this.conditions = []; // Array to store query conditions
     this.orderBy = ''; // The ORDER BY clause
     this.limit = undefined; // The LIMIT clause
+    this.exactLimit = false; // Flag to keep a LIMIT below the minimum of 10
     this.offset = undefined; // The OFFSET clause
     this.joins = []; // Array to store JOIN clauses
     this.aggregates = []; // Array to store aggregate functions
     this.groupBy = ''; // The GROUP BY clause
     this.values = []; // Array to store parameterized values for prepared statements
     this.includeTimestamps = false; // Flag to include timestamps in the query
+    this.ctes = []; // Array to store common table expressions (WITH)
+    this.setOperations = []; // Array to store UNION, INTERSECT and EXCEPT queries
+    this.windows = []; // Array to store window functions (OVER)
+    this.namedWindows = []; // Array to store the definitions of the WINDOW clause
+    this.having = []; // Array to store HAVING conditions
+    this.distinctOn = ''; // The DISTINCT ON expressions
   }
 
   setTable(table) {
@@ -136,10 +203,19 @@ class QueryOptions {
 
   setFields(fields) {
     try {
-      if (!fields || (typeof fields !== 'string' && !Array.isArray(fields))) {
+      if (
+        !fields ||
+        (typeof fields !== 'string' &&
+          !Array.isArray(fields) &&
+          !(fields instanceof RawSQL))
+      ) {
         throw new Error('Invalid field(s).');
       } else {
-        this.fields = Array.isArray(fields) ? fields.join(', ') : fields;
+        // A list with raw() fragments is kept as a list for the safe mode
+        this.fields =
+          Array.isArray(fields) && !fields.some((f) => f instanceof RawSQL)
+            ? fields.join(', ')
+            : fields;
         return this;
       }
     } catch (error) {
@@ -167,7 +243,10 @@ class QueryOptions {
 
   setOrderBy(orderBy) {
     try {
-      if (!orderBy || typeof orderBy !== 'string') {
+      if (
+        !orderBy ||
+        (typeof orderBy !== 'string' && !(orderBy instanceof RawSQL))
+      ) {
         throw new Error('Invalid ORDER BY clause.');
       }
       this.orderBy = orderBy;
@@ -177,17 +256,20 @@ class QueryOptions {
     }
   }
 
-  setLimit(limit) {
+  // Limits below 10 are raised to 10 unless `exact` is set, as it is for
+  // the page sizes of a QueryParser
+  setLimit(limit, { exact = false } = {}) {
     try {
       if (typeof limit !== 'number') {
         throw new Error('Invalid limit value.');
       }
 
-      if (limit < 10) {
+      if (limit < 10 && !exact) {
         limit = 10;
       }
 
       this.limit = limit;
+      this.exactLimit = exact;
       return this;
     } catch (error) {
       // console.error(error);
@@ -208,7 +290,7 @@ class QueryOptions {
         !condition ||
         typeof type !== 'string' ||
         typeof table !== 'string' ||
-        typeof condition !== 'string'
+        (typeof condition !== 'string' && !(condition instanceof RawSQL))
       ) {
         const missing =
           !type || typeof type !== 'string'
@@ -227,38 +309,349 @@ class QueryOptions {
     }
   }
 
-  addAggregate(func, field, alias) {
+  /**
+   * Adds an aggregate function to the selected fields.
+   * @param {string} func - The aggregate function
+   * @param {string|RawSQL} field - The column, or `*`
+   * @param {string} alias - The name of the result column
+   * @param {Object} [options] - Aggregate options
+   * @param {boolean} [options.distinct=false] - Aggregates the distinct values only, e.g. `COUNT(DISTINCT user_id)`
+   * @param {Object|Array} [options.filter] - Conditions, as for {@link QueryOptions#addCondition}, of the rows to aggregate (`FILTER (WHERE ...)`)
+   * @returns {QueryOptions} The options, for chaining
+   */
+  addAggregate(func, field, alias, options = {}) {
     try {
       if (
         !func ||
         typeof func !== 'string' ||
         !field ||
-        typeof field !== 'string' ||
+        (typeof field !== 'string' && !(field instanceof RawSQL)) ||
         !alias ||
         typeof alias !== 'string'
       ) {
         const missing =
           !func || typeof func !== 'string'
             ? 'function'
-            : !field || typeof field !== 'string'
+            : !field ||
+              (typeof field !== 'string' && !(field instanceof RawSQL))
             ? 'field'
             : 'alias';
         throw new Error(`Invalid ${missing}.`);
       } else if (!QueryOptions.isValidAggregateFunction(func)) {
         throw new Error('Invalid aggregate function name.');
-      } else {
-        this.aggregates.push({ func, field, alias });
-        return this;
       }
+
+      const { distinct = false, filter } = options || {};
+      if (typeof distinct !== 'boolean') {
+        throw new Error('Invalid DISTINCT option.');
+      }
+      if (filter !== undefined && (!filter || typeof filter !== 'object')) {
+        throw new Error('Invalid aggregate filter.');
+      }
+
+      this.aggregates.push({
+        func,
+        field,
+        alias,
+        ...(distinct && { distinct }),
+        ...(filter && { filter }),
+      });
+      return this;
     } catch (error) {
       // console.error(error);
       throw new DBError(error.message);
     }
   }
 
+  /**
+   * Adds a common table expression to the WITH clause of the query.
+   * @param {string} name - The name the query refers to it by
+   * @param {SelectQueryBuilder|RawSQL|string} query - The query; the parameters of a builder are renumbered after those before it
+   * @param {Object} [options] - CTE options
+   * @param {boolean} [options.recursive=false] - Makes the clause `WITH RECURSIVE`
+   * @param {boolean} [options.materialized] - Adds `MATERIALIZED` (true) or `NOT MATERIALIZED` (false)
+   * @param {string[]} [options.columns] - The column names of the CTE
+   * @param {Array} [options.values] - The values of the `$n` parameters of an SQL query
+   * @returns {QueryOptions} The options, for chaining
+   */
+  addCte(name, query, options = {}) {
+    try {
+      if (!name || typeof name !== 'string') {
+        throw new Error('Invalid CTE name.');
+      }
+      if (
+        !query ||
+        (typeof query !== 'string' &&
+          !(query instanceof RawSQL) &&
+          typeof query.buildQuery !== 'function')
+      ) {
+        throw new Error('Invalid CTE query.');
+      }
+
+      const { recursive = false, materialized, columns, values = [] } = options;
+      if (materialized !== undefined && typeof materialized !== 'boolean') {
+        throw new Error('Invalid CTE materialization.');
+      }
+      if (columns !== undefined && !Array.isArray(columns)) {
+        throw new Error('Invalid CTE columns.');
+      }
+      if (!Array.isArray(values)) {
+        throw new Error('Invalid CTE values.');
+      }
+
+      this.ctes.push({
+        name,
+        query,
+        recursive: !!recursive,
+        materialized,
+        columns,
+        values,
+      });
+      return this;
+    } catch (error) {
+      throw new DBError(error.message);
+    }
+  }
+
+  // Checks the PARTITION BY, ORDER BY and frame of a window
+  #windowSpec(options) {
+    const { window, partitionBy, orderBy, frame } = options || {};
+    const isClause = (clause) =>
+      clause === undefined ||
+      (typeof clause === 'string' && clause !== '') ||
+      clause instanceof RawSQL;
+
+    if (window !== undefined && (!window || typeof window !== 'string')) {
+      throw new Error('Invalid window name.');
+    }
+    if (!isClause(partitionBy)) {
+      throw new Error('Invalid PARTITION BY clause.');
+    }
+    if (window && partitionBy) {
+      throw new Error('A window based on another can not set partitionBy.');
+    }
+    if (!isClause(orderBy)) {
+      throw new Error('Invalid window ORDER BY clause.');
+    }
+    if (!isClause(frame)) {
+      throw new Error('Invalid window frame.');
+    }
+    return { window, partitionBy, orderBy, frame };
+  }
+
+  /**
+   * Adds a window function to the selected fields, next to `fields` or the
+   * aggregates.
+   * @param {string} func - A window function (ROW_NUMBER, RANK, LAG, ...) or an aggregate function
+   * @param {string|RawSQL|Array|null} field - The column, or the column and the constant arguments (`['amount', 1, 0]` for `LAG(amount, 1, 0)`); null for none
+   * @param {string} alias - The name of the result column
+   * @param {Object} [options] - The window
+   * @param {string|RawSQL} [options.partitionBy] - The PARTITION BY list
+   * @param {string|RawSQL} [options.orderBy] - The ORDER BY list of the window
+   * @param {string|RawSQL} [options.frame] - The frame, e.g. `ROWS BETWEEN 6 PRECEDING AND CURRENT ROW`
+   * @param {string} [options.window] - A window of {@link QueryOptions#defineWindow} to use or extend
+   * @returns {QueryOptions} The options, for chaining
+   *
+   * @example
+   *
+   * qb.setTable('orders')
+   *   .setFields('id, user_id, amount')
+   *   .addWindow('ROW_NUMBER', null, 'position', {
+   *     partitionBy: 'user_id',
+   *     orderBy: 'created_at',
+   *   })
+   *   .addWindow('SUM', 'amount', 'running_total', { window: 'by_user' })
+   *   .defineWindow('by_user', { partitionBy: 'user_id', orderBy: 'created_at' });
+   * // SELECT id, user_id, amount, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY created_at) AS position,
+   * //   SUM(amount) OVER by_user AS running_total FROM orders WINDOW by_user AS (PARTITION BY user_id ORDER BY created_at)
+   */
+  addWindow(func, field, alias, options = {}) {
+    try {
+      if (!func || typeof func !== 'string') {
+        throw new Error('Invalid window function.');
+      }
+      if (!QueryOptions.isValidWindowFunction(func)) {
+        throw new Error('Invalid window function name.');
+      }
+      if (
+        field !== undefined &&
+        field !== null &&
+        typeof field !== 'string' &&
+        !(field instanceof RawSQL) &&
+        !(Array.isArray(field) && field.length > 0)
+      ) {
+        throw new Error('Invalid window function arguments.');
+      }
+      if (!alias || typeof alias !== 'string') {
+        throw new Error('Invalid alias.');
+      }
+
+      this.windows.push({ func, field, alias, ...this.#windowSpec(options) });
+      return this;
+    } catch (error) {
+      throw new DBError(error.message);
+    }
+  }
+
+  /**
+   * Defines a named window in the WINDOW clause, for the window functions
+   * that share it.
+   * @param {string} name - The window name
+   * @param {Object} [options] - The PARTITION BY, ORDER BY and frame, as for {@link QueryOptions#addWindow}; `window` bases it on another named window
+   * @returns {QueryOptions} The options, for chaining
+   */
+  defineWindow(name, options = {}) {
+    try {
+      if (!name || typeof name !== 'string') {
+        throw new Error('Invalid window name.');
+      }
+
+      this.namedWindows.push({ name, ...this.#windowSpec(options) });
+      return this;
+    } catch (error) {
+      throw new DBError(error.message);
+    }
+  }
+
+  static validSetOperations = new Set([
+    'UNION',
+    'UNION ALL',
+    'INTERSECT',
+    'INTERSECT ALL',
+    'EXCEPT',
+    'EXCEPT ALL',
+  ]);
+
+  /**
+   * Combines the query with another one. ORDER BY, LIMIT and OFFSET then
+   * apply to the combined result.
+   * @param {string} type - UNION, UNION ALL, INTERSECT, INTERSECT ALL, EXCEPT or EXCEPT ALL
+   * @param {SelectQueryBuilder|RawSQL|string} query - The other query; the parameters of a builder are renumbered after those before it
+   * @returns {QueryOptions} The options, for chaining
+   */
+  addSetOperation(type, query) {
+    try {
+      const normalized =
+        typeof type === 'string' ? type.trim().replace(/\s+/g, ' ') : '';
+      if (!QueryOptions.validSetOperations.has(normalized.toUpperCase())) {
+        throw new Error('Invalid set operation.');
+      }
+      if (
+        !query ||
+        (typeof query !== 'string' &&
+          !(query instanceof RawSQL) &&
+          typeof query.buildQuery !== 'function')
+      ) {
+        throw new Error('Invalid set operation query.');
+      }
+
+      this.setOperations.push({ type: normalized.toUpperCase(), query });
+      return this;
+    } catch (error) {
+      throw new DBError(error.message);
+    }
+  }
+
+  /**
+   * Adds queries with UNION (without duplicate rows). The parameters of the
+   * queries are renumbered after those of this one, and ORDER BY, LIMIT
+   * and OFFSET apply to the combined result.
+   * @param {...(SelectQueryBuilder|RawSQL|string)} queries - The other queries
+   * @returns {QueryOptions} The options, for chaining
+   *
+   * @example
+   *
+   * qb.setTable('orders')
+   *   .addCondition({ field: 'user_id', operator: '=', value: 7 })
+   *   .unionAll(archived) // a builder on archived_orders with its own conditions
+   *   .setOrderBy('created_at DESC')
+   *   .setLimit(20);
+   * // SELECT * FROM orders WHERE user_id = $1 UNION ALL (SELECT * FROM archived_orders WHERE user_id = $2) ORDER BY created_at DESC LIMIT 20
+   */
+  union(...queries) {
+    queries.forEach((query) => this.addSetOperation('UNION', query));
+    return this;
+  }
+
+  /** Same as {@link QueryOptions#union}, keeping duplicate rows. */
+  unionAll(...queries) {
+    queries.forEach((query) => this.addSetOperation('UNION ALL', query));
+    return this;
+  }
+
+  /** Keeps the rows also returned by the queries (INTERSECT). */
+  intersect(...queries) {
+    queries.forEach((query) => this.addSetOperation('INTERSECT', query));
+    return this;
+  }
+
+  /** Removes the rows returned by the queries (EXCEPT). */
+  except(...queries) {
+    queries.forEach((query) => this.addSetOperation('EXCEPT', query));
+    return this;
+  }
+
+  /**
+   * Adds a condition to the HAVING clause. Conditions are given as for
+   * {@link QueryOptions#addCondition}; the field may be an aggregate such as
+   * `COUNT(*)` or `SUM(amount)`.
+   * @param {Object|Array} condition - The condition, or a group of conditions
+   * @returns {QueryOptions} The options, for chaining
+   *
+   * @example
+   *
+   * qb.setTable('orders')
+   *   .setFields('user_id')
+   *   .addAggregate('SUM', 'amount', 'total')
+   *   .setGroupBy('user_id')
+   *   .addHaving({ field: 'SUM(amount)', operator: '>', value: 1000 });
+   * // SELECT user_id, SUM(amount) AS total FROM orders GROUP BY user_id HAVING SUM(amount) > $1
+   */
+  addHaving(condition) {
+    try {
+      if (!condition || typeof condition !== 'object') {
+        throw new Error('Invalid HAVING condition(s).');
+      }
+
+      this.having.push(condition);
+      return this;
+    } catch (error) {
+      throw new DBError(error.message);
+    }
+  }
+
+  /**
+   * Keeps only the first row of each set of rows with the same values of
+   * the expressions (`SELECT DISTINCT ON (...)`); the ORDER BY of the query
+   * decides which row is first and must start with them.
+   * @param {string|string[]|RawSQL} distinctOn - The expressions
+   * @returns {QueryOptions} The options, for chaining
+   */
+  setDistinctOn(distinctOn) {
+    try {
+      if (
+        !distinctOn ||
+        (typeof distinctOn !== 'string' &&
+          !Array.isArray(distinctOn) &&
+          !(distinctOn instanceof RawSQL))
+      ) {
+        throw new Error('Invalid DISTINCT ON clause.');
+      }
+      this.distinctOn = Array.isArray(distinctOn)
+        ? distinctOn.join(', ')
+        : distinctOn;
+      return this;
+    } catch (error) {
+      throw new DBError(error.message);
+    }
+  }
+
   setGroupBy(groupBy) {
     try {
-      if (!groupBy || typeof groupBy !== 'string') {
+      if (
+        !groupBy ||
+        (typeof groupBy !== 'string' && !(groupBy instanceof RawSQL))
+      ) {
         throw new Error('Invalid GROUP BY clause.');
       }
       this.groupBy = groupBy;
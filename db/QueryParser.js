@@ -0,0 +1,265 @@
+'./db/QueryParser.js';
+
+/*
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const { DBError, ValidationError } = require('./errors');
+const QueryOptions = require('./QueryOptions');
+
+// Filter operators of the query string and their SQL counterpart
+const operators = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE',
+  in: 'IN',
+  nin: 'NOT IN',
+  between: 'BETWEEN',
+  null: 'IS NULL',
+};
+
+const parameters = ['filter', 'sort', 'fields', 'page'];
+
+// Keys that would write into Object.prototype
+const unsafeKeys = ['__proto__', 'constructor', 'prototype'];
+
+// Turns a raw query string into the nested object Express (qs) produces:
+// `filter[age][gte]=18` becomes `{ filter: { age: { gte: '18' } } }`.
+function parseQueryString(queryString) {
+  const query = {};
+  new URLSearchParams(queryString.replace(/^\?/, '')).forEach((value, key) => {
+    const match = /^([^[\]]+)((?:\[[^[\]]*\])*)$/.exec(key);
+    const path = match
+      ? [match[1], ...(match[2].match(/[^[\]]+/g) || [])]
+      : [key];
+    if (path.some((part) => unsafeKeys.includes(part))) return;
+
+    let target = query;
+    path.slice(0, -1).forEach((part) => {
+      if (typeof target[part] !== 'object') target[part] = {};
+      target = target[part];
+    });
+    target[path[path.length - 1]] = value;
+  });
+  return query;
+}
+
+/**
+ * Converts URL query strings into validated {@link QueryOptions} for a
+ * model.
+ *
+ * - `filter[column]=value` or `filter[column][op]=value`, where `op` is one
+ *   of eq, ne, gt, gte, lt, lte, like, ilike, in and nin (comma separated
+ *   lists), between (`a,b`) and null (`true` or `false`).
+ * - `sort=column,-column`: ascending, or descending with a leading `-`.
+ * - `fields=column,column`: the selected columns.
+ * - `page[size]` and `page[number]` (from 1): LIMIT and OFFSET. The page
+ *   size defaults to `defaultPageSize` and may not exceed `maxPageSize`.
+ *
+ * Columns are checked against the columns of the table (the schema
+ * columns and the time stamp, soft delete and version columns); anything
+ * else raises a {@link ValidationError} keyed by the offending parameter.
+ *
+ * @class QueryParser
+ *
+ * @constructor
+ * @param {Model} model - The model whose table is queried
+ * @param {Object} [options] - Parser options
+ * @param {number} [options.maxPageSize=100] - The largest page size accepted
+ * @param {number} [options.defaultPageSize=25] - The page size when `page[size]` is missing
+ *
+ * @example
+ *
+ * const parser = new QueryParser(db.users, { maxPageSize: 50 });
+ * const options = parser.parse(req.query);
+ * // or parser.parse('filter[age][gte]=18&sort=-created_at&fields=id,email&page[size]=25')
+ * const users = await db.users.findAll(options.Options);
+ */
+class QueryParser {
+  constructor(model, options = {}) {
+    if (!model || !model.schema) {
+      throw new DBError('Invalid model.');
+    }
+
+    const { maxPageSize = 100, defaultPageSize = 25 } = options;
+    if (!Number.isInteger(maxPageSize) || maxPageSize < 1) {
+      throw new DBError('Invalid maximum page size.');
+    }
+
+    this.model = model;
+    this.maxPageSize = maxPageSize;
+    this.defaultPageSize = Math.min(defaultPageSize, maxPageSize);
+    this.columns = Object.keys(model.tableColumns());
+  }
+
+  /**
+   * Parses a query string.
+   * @param {string|Object} query - The raw query string, or the object parsed by Express (`req.query`)
+   * @returns {QueryOptions} The query options
+   * @throws {ValidationError} If a parameter, column, operator or value is invalid
+   */
+  parse(query = {}) {
+    const params =
+      typeof query === 'string' ? parseQueryString(query) : query || {};
+    const errors = {};
+    const fail = (parameter, message) => {
+      errors[parameter] = [...(errors[parameter] || []), message];
+    };
+    const options = new QueryOptions();
+    options.setTable(this.model.schema.tableName);
+
+    Object.keys(params)
+      .filter((parameter) => !parameters.includes(parameter))
+      .forEach((parameter) => fail(parameter, 'is not a query parameter'));
+
+    this.#parseFilter(params.filter, options, fail);
+    this.#parseSort(params.sort, options, fail);
+    this.#parseFields(params.fields, options, fail);
+    this.#parsePage(params.page, options, fail);
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+    return options;
+  }
+
+  #isColumn(column) {
+    return this.columns.includes(column);
+  }
+
+  // A comma separated list of columns
+  #columnList(value, parameter, fail) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      fail(parameter, 'must be a list of columns');
+      return [];
+    }
+    return value.split(',').map((item) => item.trim());
+  }
+
+  #parseFilter(filter, options, fail) {
+    if (filter === undefined) return;
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      fail('filter', 'must be filter[column]=value');
+      return;
+    }
+
+    Object.entries(filter).forEach(([column, spec]) => {
+      const parameter = `filter[${column}]`;
+      if (!this.#isColumn(column)) {
+        fail(parameter, 'is not a column');
+        return;
+      }
+
+      // filter[column]=value is short for filter[column][eq]=value
+      const shorthand =
+        !spec || typeof spec !== 'object' || Array.isArray(spec);
+      const tests = shorthand ? [['eq', spec]] : Object.entries(spec);
+      tests.forEach(([op, value]) =>
+        this.#addCondition(column, op, value, options, (message) =>
+          fail(shorthand ? parameter : `${parameter}[${op}]`, message)
+        )
+      );
+    });
+  }
+
+  #addCondition(field, op, value, options, fail) {
+    const operator = operators[op];
+    if (!operator) {
+      fail(`is not an operator (${Object.keys(operators).join(', ')})`);
+      return;
+    }
+    if (typeof value !== 'string') {
+      fail('must be a single value');
+      return;
+    }
+
+    if (op === 'null') {
+      if (!['true', 'false'].includes(value)) {
+        fail('must be true or false');
+        return;
+      }
+      options.addCondition({
+        field,
+        operator: value === 'true' ? 'IS NULL' : 'IS NOT NULL',
+      });
+      return;
+    }
+
+    if (op === 'in' || op === 'nin' || op === 'between') {
+      const list = value.split(',');
+      if (op === 'between' && list.length !== 2) {
+        fail('must be two values separated by a comma');
+        return;
+      }
+      options.addCondition({ field, operator, value: list });
+      return;
+    }
+
+    options.addCondition({ field, operator, value });
+  }
+
+  #parseSort(sort, options, fail) {
+    if (sort === undefined) return;
+
+    const orderBy = this.#columnList(sort, 'sort', fail).map((item) => {
+      const descending = item.startsWith('-');
+      const column = descending ? item.slice(1) : item;
+      if (!this.#isColumn(column)) fail('sort', `${column} is not a column`);
+      return `${column} ${descending ? 'DESC' : 'ASC'}`;
+    });
+    if (orderBy.length > 0) options.setOrderBy(orderBy.join(', '));
+  }
+
+  #parseFields(fields, options, fail) {
+    if (fields === undefined) return;
+
+    const columns = this.#columnList(fields, 'fields', fail);
+    columns
+      .filter((column) => !this.#isColumn(column))
+      .forEach((column) => fail('fields', `${column} is not a column`));
+    if (columns.length > 0) options.setFields(columns);
+  }
+
+  #parsePage(page = {}, options, fail) {
+    if (typeof page !== 'object' || Array.isArray(page)) {
+      fail('page', 'must be page[size] and page[number]');
+      return;
+    }
+
+    const integer = (name, fallback) => {
+      if (page[name] === undefined) return fallback;
+      const value = Number(page[name]);
+      if (!/^\d+$/.test(page[name]) || value < 1) {
+        fail(`page[${name}]`, 'must be a positive integer');
+        return fallback;
+      }
+      return value;
+    };
+
+    const size = integer('size', this.defaultPageSize);
+    const number = integer('number', 1);
+    if (size > this.maxPageSize) {
+      fail('page[size]', `must be at most ${this.maxPageSize}`);
+      return;
+    }
+
+    // The size is already checked against maxPageSize and kept as given
+    options.setLimit(size, { exact: true });
+    if (number > 1) options.setOffset((number - 1) * size);
+  }
+}
+
+module.exports = QueryParser;
@@ -0,0 +1,39 @@
+'./db/RawSQL.js';
+
+/*
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const { DBError } = require('./errors');
+
+/**
+ * A fragment of SQL that the query builder inserts as is, also in safe
+ * mode. Create it with {@link SelectQueryBuilder.raw}; never build one from
+ * user input.
+ * @class RawSQL
+ *
+ * @constructor
+ * @param {string} sql - The SQL fragment
+ */
+class RawSQL {
+  constructor(sql) {
+    if (typeof sql !== 'string' || sql.trim() === '') {
+      throw new DBError('Raw SQL must be a non-empty string.');
+    }
+    this.sql = sql;
+  }
+
+  toString() {
+    return this.sql;
+  }
+}
+
+module.exports = RawSQL;
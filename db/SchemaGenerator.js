@@ -0,0 +1,430 @@
+'./db/SchemaGenerator.js';
+
+/*
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DBError } = require('./errors');
+const SchemaInspector = require('./SchemaInspector');
+
+// Columns every Model adds itself (see Model#tableColumns)
+const timeStampColumns = [
+  'created_at',
+  'created_by',
+  'updated_at',
+  'updated_by',
+];
+
+// Columns a Model adds when the schema enables softDelete
+const softDeleteColumns = ['deleted_at', 'deleted_by'];
+
+// Tables nap-db uses for its own bookkeeping
+const systemTables = ['nap_schema_history', 'nap_migrations'];
+
+const serialTypes = {
+  integer: 'serial',
+  bigint: 'bigserial',
+  smallint: 'smallserial',
+};
+
+const referentialAction = 'CASCADE|RESTRICT|SET NULL|SET DEFAULT|NO ACTION';
+const foreignKey = new RegExp(
+  `^FOREIGN KEY \\((.+?)\\) REFERENCES (.+?\\(.+?\\))` +
+    `(?: ON UPDATE (${referentialAction}))?` +
+    `(?: ON DELETE (${referentialAction}))?$`
+);
+
+// Quotes an identifier the way pg_get_constraintdef does for simple names
+function quoteIdentifier(name) {
+  return /^[a-z_][a-z0-9_$]*$/.test(name)
+    ? name
+    : `"${name.replace(/"/g, '""')}"`;
+}
+
+// Returns the index of the parenthesis closing the one at `start`
+function closingParenthesis(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// Removes parentheses that wrap the whole expression: '((a > 0))' -> 'a > 0'
+function unwrap(expression) {
+  let text = expression.trim();
+  while (
+    text.startsWith('(') &&
+    closingParenthesis(text, 0) === text.length - 1
+  ) {
+    text = text.slice(1, -1).trim();
+  }
+  return text;
+}
+
+// Converts an information_schema column default to a Schema default
+function schemaDefault(value) {
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+
+  // 'active'::character varying -> 'active'
+  const literal = /^('(?:[^']|'')*')::[\w\s]+(\(\d+(,\d+)?\))?$/.exec(value);
+  return literal ? literal[1] : value;
+}
+
+// Converts a table name to a class name: vendor_addresses -> VendorAddresses
+function className(tableName) {
+  const name = tableName
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  return /^[A-Za-z]/.test(name) ? name : `T${name}`;
+}
+
+function literal(value) {
+  if (typeof value !== 'string') return String(value);
+  return `'${value
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')}'`;
+}
+
+function key(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : literal(name);
+}
+
+// Prints a value as a JavaScript object literal, formatted like the rest
+// of the code base (two space indentation, short objects on one line).
+function source(value, indent = '') {
+  if (value === null || typeof value !== 'object') return literal(value);
+
+  const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+  if (entries.length === 0) return '{}';
+
+  const flat = entries.every(([, v]) => v === null || typeof v !== 'object');
+  if (flat) {
+    const line = `{ ${entries
+      .map(([k, v]) => `${key(k)}: ${literal(v)}`)
+      .join(', ')} }`;
+    if (indent.length + line.length <= 72) return line;
+  }
+
+  const inner = `${indent}  `;
+  return `{\n${entries
+    .map(([k, v]) => `${inner}${key(k)}: ${source(v, inner)},`)
+    .join('\n')}\n${indent}}`;
+}
+
+/**
+ * @typedef {Object} GeneratedModel
+ * @property {string} table - The table name
+ * @property {string} className - The name of the generated class
+ * @property {string} file - The path of the generated module
+ * @property {string[]} notes - Parts of the table the Schema can not express
+ */
+
+/**
+ * Reverse-engineers {@link Schema} definitions and `Model` subclasses from
+ * the tables of a live database.
+ *
+ * Column level options (`primaryKey`, `unique`, `references`, `check`) are
+ * only used for constraints that carry the name PostgreSQL would give them;
+ * every other constraint is kept, by name, in `constraints`. A {@link
+ * Migrator} therefore finds nothing to change in a table whose model was
+ * generated from it. The time stamp columns are left out because every
+ * model adds them, and so are `deleted_at` and `deleted_by`, which turn on
+ * `softDelete`, and an `integer NOT NULL DEFAULT 1` `version` column, which
+ * turns on `versioned`. Anything the Schema can not express (e.g. index methods
+ * other than btree, partial indexes) is reported in the notes of the table.
+ *
+ * @class SchemaGenerator
+ *
+ * @constructor
+ * @param {Object} db - A pg-promise database, task or transaction context
+ *
+ * @example
+ *
+ * const generator = new SchemaGenerator(db);
+ * await generator.generate({ dbSchema: 'legacy', directory: 'models' });
+ */
+class SchemaGenerator {
+  constructor(db) {
+    if (!db) {
+      throw new DBError('Invalid database.');
+    }
+    this.db = db;
+    this.inspector = new SchemaInspector(db);
+  }
+
+  /**
+   * Converts the structure returned by {@link SchemaInspector#inspectTable}
+   * into a Schema.
+   * @param {string} dbSchema - The schema of the table
+   * @param {string} tableName - The table name
+   * @param {Object} live - The live table (`{ columns, constraints, indexes }`)
+   * @returns {{schema: Schema, notes: string[]}} The Schema and the parts of the table it does not describe
+   */
+  toSchema(dbSchema, tableName, live) {
+    const notes = [];
+    const columns = {};
+    const constraints = {};
+    const indexes = {};
+
+    const softDelete = softDeleteColumns.every((name) => live.columns[name]);
+    const version = live.columns.version;
+    const versioned =
+      !!version &&
+      version.type === 'integer' &&
+      !version.nullable &&
+      version.default === '1';
+
+    Object.entries(live.columns).forEach(([name, column]) => {
+      if (timeStampColumns.includes(name)) return;
+      if (softDelete && softDeleteColumns.includes(name)) return;
+      if (versioned && name === 'version') return;
+
+      const config = { type: column.type };
+      const isSerial =
+        serialTypes[column.type] && /^nextval\(/i.test(column.default || '');
+
+      if (isSerial) config.type = serialTypes[column.type];
+      if (column.nullable) config.nullable = true;
+      else if (!isSerial) config.nullable = false;
+      if (
+        column.default !== null &&
+        column.default !== undefined &&
+        !isSerial
+      ) {
+        config.default = schemaDefault(column.default);
+      }
+      columns[name] = config;
+    });
+
+    const missing = timeStampColumns.filter((name) => !live.columns[name]);
+    if (missing.length > 0) {
+      notes.push(
+        `Missing time stamp column(s) ${missing.join(
+          ', '
+        )}; the model adds them.`
+      );
+    }
+
+    Object.entries(live.constraints).forEach(([name, constraint]) => {
+      const { type, definition } = constraint;
+      const column = constraint.columns.length === 1 && constraint.columns[0];
+      const config = column && columns[column];
+      const quoted = column && quoteIdentifier(column);
+
+      if (config && type === 'p' && name === `${tableName}_pkey`) {
+        if (definition === `PRIMARY KEY (${quoted})`) {
+          config.primaryKey = true;
+          delete config.nullable;
+          return;
+        }
+      }
+      if (config && type === 'u' && name === `${tableName}_${column}_key`) {
+        if (definition === `UNIQUE (${quoted})`) {
+          config.unique = true;
+          return;
+        }
+      }
+      if (config && type === 'f' && name === `${tableName}_${column}_fkey`) {
+        const match = foreignKey.exec(definition);
+        if (match && match[1] === quoted) {
+          config.references = match[2];
+          if (match[4]) config.onDelete = match[4];
+          if (match[3]) config.onUpdate = match[3];
+          return;
+        }
+      }
+      if (config && type === 'c' && name === `${tableName}_${column}_check`) {
+        const match = /^CHECK (\(.*\))$/.exec(definition);
+        if (match && closingParenthesis(match[1], 0) === match[1].length - 1) {
+          config.check = unwrap(match[1]);
+          return;
+        }
+      }
+
+      constraints[name] = definition;
+    });
+
+    Object.entries(live.indexes).forEach(([name, index]) => {
+      const using = / USING (\w+) \(/.exec(index.definition);
+      if (!using) {
+        notes.push(`Index ${name} could not be parsed: ${index.definition}`);
+        return;
+      }
+
+      const start = using.index + using[0].length - 1;
+      const end = closingParenthesis(index.definition, start);
+      indexes[name] = {
+        unique: index.unique,
+        config: index.definition.slice(start + 1, end),
+      };
+
+      const rest = index.definition.slice(end + 1).trim();
+      if (using[1] !== 'btree' || rest) {
+        notes.push(
+          `Index ${name} is generated as a plain btree index; the original is: ${index.definition}`
+        );
+      }
+    });
+
+    const schema = { tableName, dbSchema, timeStamps: true };
+    if (softDelete) schema.softDelete = true;
+    if (versioned) schema.versioned = true;
+    schema.columns = columns;
+    if (Object.keys(constraints).length > 0) schema.constraints = constraints;
+    if (Object.keys(indexes).length > 0) schema.indexes = indexes;
+
+    return { schema, notes };
+  }
+
+  /**
+   * Reads a table from the database and returns its Schema.
+   * @param {string} dbSchema - The schema of the table
+   * @param {string} tableName - The table name
+   * @returns {Promise<{schema: Schema, notes: string[]}>} The Schema and the parts of the table it does not describe
+   * @throws {DBError} If the table does not exist or can not be read
+   */
+  async inspect(dbSchema, tableName) {
+    const live = await this.inspector.inspectTable(dbSchema, tableName);
+    if (!live) {
+      throw new DBError(`Table ${dbSchema}.${tableName} does not exist.`);
+    }
+    return this.toSchema(dbSchema, tableName, live);
+  }
+
+  /**
+   * Returns the source of a module defining a `Model` subclass for a Schema.
+   * @param {Schema} schema - The table schema
+   * @param {Object} [options] - Source options
+   * @param {string} [options.className] - The class name (default: derived from the table name)
+   * @param {string[]} [options.notes=[]] - Notes added to the class comment
+   * @param {string} [options.requirePath='nap-db'] - Where `Model` is required from
+   * @returns {string} The module source
+   */
+  modelSource(schema, options = {}) {
+    const {
+      className: name = className(schema.tableName),
+      notes = [],
+      requirePath = 'nap-db',
+    } = options;
+    const comment = [
+      `Generated from ${schema.dbSchema}.${schema.tableName} by nap-db introspect.`,
+      ...(notes.length > 0 ? ['', ...notes.map((note) => `- ${note}`)] : []),
+    ]
+      .map((line) => ` *${line ? ' ' + line.replace(/\*\//g, '* /') : ''}`)
+      .join('\n');
+
+    return `'use strict';
+
+const { Model } = require(${literal(requirePath)});
+
+/**
+${comment}
+ */
+class ${name} extends Model {
+  constructor(db, pgp) {
+    super(db, pgp, ${source(schema, '    ')});
+  }
+}
+
+module.exports = ${name};
+`;
+  }
+
+  /**
+   * Generates a module per table of a database schema, plus an `index.js`
+   * exporting the repositories object expected by `DB.init`.
+   * @param {Object} [options] - Generation options
+   * @param {string} [options.dbSchema='public'] - The database schema to read
+   * @param {string[]} [options.tables] - The tables to generate (default: every table)
+   * @param {string[]} [options.exclude=[]] - Tables to leave out. nap-db's own tables are always left out.
+   * @param {string} [options.directory='models'] - Where the modules are written
+   * @param {boolean} [options.overwrite=false] - Replace existing modules
+   * @param {string} [options.requirePath='nap-db'] - Where `Model` is required from
+   * @returns {Promise<GeneratedModel[]>} The generated models
+   * @throws {DBError} If a table can not be read or a module already exists
+   */
+  async generate(options = {}) {
+    const {
+      dbSchema = 'public',
+      exclude = [],
+      directory = 'models',
+      overwrite = false,
+      requirePath,
+    } = options;
+
+    const tables = (
+      options.tables || (await this.inspector.listTables(dbSchema))
+    ).filter(
+      (table) => !exclude.includes(table) && !systemTables.includes(table)
+    );
+
+    const models = [];
+    for (const table of tables) {
+      const { schema, notes } = await this.inspect(dbSchema, table);
+      models.push({
+        table,
+        className: className(table),
+        schema,
+        notes,
+        file: path.join(path.resolve(directory), `${className(table)}.js`),
+      });
+    }
+
+    const flag = overwrite ? 'w' : 'wx';
+    try {
+      fs.mkdirSync(path.resolve(directory), { recursive: true });
+      models.forEach((model) =>
+        fs.writeFileSync(
+          model.file,
+          this.modelSource(model.schema, {
+            className: model.className,
+            notes: model.notes,
+            requirePath,
+          }),
+          { flag }
+        )
+      );
+
+      const index = `'use strict';
+
+${models
+  .map((m) => `const ${m.className} = require('./${m.className}');`)
+  .join('\n')}
+
+module.exports = {
+${models.map((m) => `  ${key(m.table)}: ${m.className},`).join('\n')}
+};
+`;
+      fs.writeFileSync(path.join(path.resolve(directory), 'index.js'), index, {
+        flag,
+      });
+    } catch (error) {
+      throw new DBError(error.message, error);
+    }
+
+    return models.map(({ table, className, file, notes }) => ({
+      table,
+      className,
+      file,
+      notes,
+    }));
+  }
+}
+
+module.exports = SchemaGenerator;
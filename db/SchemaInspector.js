@@ -0,0 +1,181 @@
+'./db/SchemaInspector.js';
+
+/*
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const { DBError, fromPgError } = require('./errors');
+const { typeFromInformationSchema } = require('./pgTypes');
+
+/**
+ * Reads the structure of live tables from the database catalog.
+ *
+ * Columns come from `information_schema.columns`; constraints and indexes
+ * come from `pg_constraint` and `pg_index`, which information_schema does
+ * not describe completely.
+ *
+ * @class SchemaInspector
+ *
+ * @constructor
+ * @param {Object} db - A pg-promise database, task or transaction context
+ */
+class SchemaInspector {
+  constructor(db) {
+    if (!db) {
+      throw new DBError('Invalid database.');
+    }
+    this.db = db;
+  }
+
+  /**
+   * Indicates if the table exists.
+   * @param {string} dbSchema - The schema of the table
+   * @param {string} tableName - The table name
+   * @returns {Promise<boolean>} True if the table exists
+   */
+  async tableExists(dbSchema, tableName) {
+    const row = await this.db.oneOrNone(
+      `SELECT 1 AS exists FROM information_schema.tables
+       WHERE table_schema = $1 AND table_name = $2`,
+      [dbSchema, tableName]
+    );
+    return !!row;
+  }
+
+  /**
+   * Returns the names of the ordinary tables of a schema.
+   * @param {string} dbSchema - The schema
+   * @returns {Promise<string[]>} The table names, sorted
+   */
+  async listTables(dbSchema) {
+    const rows = await this.db.manyOrNone(
+      `SELECT table_name FROM information_schema.tables
+       WHERE table_schema = $1 AND table_type = 'BASE TABLE'
+       ORDER BY table_name`,
+      [dbSchema]
+    );
+    return rows.map((row) => row.table_name);
+  }
+
+  /**
+   * Returns the columns of the table, in ordinal order.
+   * @param {string} dbSchema - The schema of the table
+   * @param {string} tableName - The table name
+   * @returns {Promise<Object.<string, {type: string, nullable: boolean, default: (string|null)}>>} The columns by name
+   */
+  async getColumns(dbSchema, tableName) {
+    const rows = await this.db.manyOrNone(
+      `SELECT column_name, data_type, udt_name, character_maximum_length,
+              numeric_precision, numeric_scale, is_nullable, column_default
+       FROM information_schema.columns
+       WHERE table_schema = $1 AND table_name = $2
+       ORDER BY ordinal_position`,
+      [dbSchema, tableName]
+    );
+
+    return rows.reduce((columns, row) => {
+      columns[row.column_name] = {
+        type: typeFromInformationSchema(row),
+        nullable: row.is_nullable === 'YES',
+        default: row.column_default,
+      };
+      return columns;
+    }, {});
+  }
+
+  /**
+   * Returns the primary key, unique, foreign key, check and exclusion
+   * constraints of the table.
+   * @param {string} dbSchema - The schema of the table
+   * @param {string} tableName - The table name
+   * @returns {Promise<Object.<string, {type: string, columns: string[], definition: string}>>} The constraints by name. `type` is the pg_constraint.contype code (p, u, f, c or x).
+   */
+  async getConstraints(dbSchema, tableName) {
+    const rows = await this.db.manyOrNone(
+      `SELECT c.conname AS name, c.contype AS type,
+              pg_get_constraintdef(c.oid) AS definition,
+              ARRAY(
+                SELECT a.attname::text
+                FROM unnest(c.conkey) WITH ORDINALITY AS k(attnum, ord)
+                JOIN pg_attribute a
+                  ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+                ORDER BY k.ord
+              ) AS columns
+       FROM pg_constraint c
+       JOIN pg_class t ON t.oid = c.conrelid
+       JOIN pg_namespace n ON n.oid = t.relnamespace
+       WHERE n.nspname = $1 AND t.relname = $2
+         AND c.contype IN ('p', 'u', 'f', 'c', 'x')
+       ORDER BY c.conname`,
+      [dbSchema, tableName]
+    );
+
+    return rows.reduce((constraints, row) => {
+      constraints[row.name] = {
+        type: row.type,
+        columns: row.columns || [],
+        definition: row.definition,
+      };
+      return constraints;
+    }, {});
+  }
+
+  /**
+   * Returns the indexes of the table that do not back a constraint.
+   * @param {string} dbSchema - The schema of the table
+   * @param {string} tableName - The table name
+   * @returns {Promise<Object.<string, {unique: boolean, definition: string}>>} The indexes by name
+   */
+  async getIndexes(dbSchema, tableName) {
+    const rows = await this.db.manyOrNone(
+      `SELECT i.relname AS name, ix.indisunique AS unique,
+              pg_get_indexdef(ix.indexrelid) AS definition
+       FROM pg_index ix
+       JOIN pg_class i ON i.oid = ix.indexrelid
+       JOIN pg_class t ON t.oid = ix.indrelid
+       JOIN pg_namespace n ON n.oid = t.relnamespace
+       WHERE n.nspname = $1 AND t.relname = $2
+         AND NOT EXISTS (
+           SELECT 1 FROM pg_constraint c WHERE c.conindid = ix.indexrelid
+         )
+       ORDER BY i.relname`,
+      [dbSchema, tableName]
+    );
+
+    return rows.reduce((indexes, row) => {
+      indexes[row.name] = { unique: row.unique, definition: row.definition };
+      return indexes;
+    }, {});
+  }
+
+  /**
+   * Reads the complete structure of a table.
+   * @param {string} dbSchema - The schema of the table
+   * @param {string} tableName - The table name
+   * @returns {Promise<Object|null>} `{ columns, constraints, indexes }`, or null if the table does not exist
+   * @throws {DBError} If the catalog can not be read
+   */
+  async inspectTable(dbSchema, tableName) {
+    try {
+      if (!(await this.tableExists(dbSchema, tableName))) return null;
+
+      return {
+        columns: await this.getColumns(dbSchema, tableName),
+        constraints: await this.getConstraints(dbSchema, tableName),
+        indexes: await this.getIndexes(dbSchema, tableName),
+      };
+    } catch (error) {
+      throw fromPgError(error);
+    }
+  }
+}
+
+module.exports = SchemaInspector;
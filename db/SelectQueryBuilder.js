@@ -9,8 +9,53 @@
  * Removal or modification of this copyright notice is prohibited.
  */
 
-
+const { as } = require('pg-promise');
+const { DBError } = require('./errors');
 const QueryOptions = require('./QueryOptions');
+const RawSQL = require('./RawSQL');
+
+// Operators accepted by conditions in safe mode
+const safeOperators = new Set([
+  '=',
+  '<>',
+  '!=',
+  '<',
+  '<=',
+  '>',
+  '>=',
+  'LIKE',
+  'NOT LIKE',
+  'ILIKE',
+  'NOT ILIKE',
+  'IN',
+  'NOT IN',
+  'BETWEEN',
+  'NOT BETWEEN',
+  'IS NULL',
+  'IS NOT NULL',
+  'EXISTS',
+  'NOT EXISTS',
+  ...['=', '<>', '!=', '<', '<=', '>', '>='].flatMap((operator) => [
+    `${operator} ANY`,
+    `${operator} ALL`,
+  ]),
+]);
+
+// A nested SelectQueryBuilder (any object that builds a query)
+const isQueryBuilder = (value) =>
+  !!value &&
+  typeof value === 'object' &&
+  typeof value.buildQuery === 'function';
+
+const identifierPattern = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+
+// Window frames accepted in safe mode
+const frameBound =
+  '(?:UNBOUNDED (?:PRECEDING|FOLLOWING)|CURRENT ROW|\\d+ (?:PRECEDING|FOLLOWING))';
+const framePattern = new RegExp(
+  `^(?:ROWS|RANGE|GROUPS) (?:BETWEEN ${frameBound} AND ${frameBound}|${frameBound})` +
+    '(?: EXCLUDE (?:CURRENT ROW|GROUP|TIES|NO OTHERS))?$'
+);
 
 /**
  * Represents a query builder for constructing SELECT queries.
@@ -23,6 +68,413 @@ class SelectQueryBuilder extends QueryOptions {
    */
   constructor() {
     super();
+    this.safeTables = null;
+  }
+
+  /**
+   * Returns a SQL fragment that is inserted as is, also in safe mode. Use
+   * it for expressions the safe mode does not accept; never pass user input.
+   * @param {string} sql - The SQL fragment
+   * @returns {RawSQL} The fragment
+   *
+   * @example
+   *
+   * qb.setFields(['id', SelectQueryBuilder.raw('lower(email) AS email')]);
+   */
+  static raw(sql) {
+    return new RawSQL(sql);
+  }
+
+  /**
+   * Turns the safe mode on (or off with null). In safe mode every table and
+   * column of the query must be one of `tables` and is quoted with
+   * `pgp.as.name`, condition operators are checked against an allow-list,
+   * and any other SQL has to be wrapped in {@link SelectQueryBuilder.raw}.
+   * The setting survives {@link QueryOptions#reset}.
+   * @param {Object.<string, string[]>|null} tables - The columns of each table the query may use
+   * @returns {SelectQueryBuilder} The builder, for chaining
+   *
+   * @example
+   *
+   * qb.useSafeMode({ users: ['id', 'name'], orders: ['id', 'user_id'] })
+   *   .setTable('users')
+   *   .setFields('id, name')
+   *   .setOrderBy('name DESC');
+   * qb.buildQuery().query; // SELECT "id", "name" FROM "users" ORDER BY "name" DESC
+   */
+  useSafeMode(tables) {
+    if (tables !== null && (!tables || typeof tables !== 'object')) {
+      throw new DBError('Safe mode requires the columns of each table.');
+    }
+    this.safeTables = tables;
+    return this;
+  }
+
+  // *************************Safe mode helpers*************************
+
+  // Splits a comma separated list, ignoring commas inside parentheses
+  #splitList(list) {
+    const items = [];
+    let depth = 0;
+    let item = '';
+    for (const char of list) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        items.push(item.trim());
+        item = '';
+      } else {
+        item += char;
+      }
+    }
+    if (item.trim()) items.push(item.trim());
+    return items;
+  }
+
+  #table(name) {
+    if (name instanceof RawSQL) return name.sql;
+    if (!this.safeTables) return name;
+
+    if (!Object.prototype.hasOwnProperty.call(this.safeTables, name)) {
+      throw new DBError(`Unknown table '${name}'.`);
+    }
+    return name
+      .split('.')
+      .map((part) => as.name(part))
+      .join('.');
+  }
+
+  // A column, `table.column`, `*` or `table.*`
+  #column(name, allowStar = false) {
+    if (name instanceof RawSQL) return name.sql;
+    if (!this.safeTables) return name;
+
+    const parts = String(name).split('.');
+    const column = parts.pop();
+    const table = parts.join('.');
+    if (
+      (column === '*' && !allowStar) ||
+      (column !== '*' && !identifierPattern.test(column))
+    ) {
+      throw new DBError(`Invalid identifier '${name}'.`);
+    }
+
+    const tables = table ? [table] : Object.keys(this.safeTables);
+    if (
+      table &&
+      !Object.prototype.hasOwnProperty.call(this.safeTables, table)
+    ) {
+      throw new DBError(`Unknown table '${table}'.`);
+    }
+    if (
+      column !== '*' &&
+      !tables.some((t) => this.safeTables[t].includes(column))
+    ) {
+      throw new DBError(`Unknown column '${name}'.`);
+    }
+
+    const quoted = column === '*' ? '*' : as.name(column);
+    return table ? `${this.#table(table)}.${quoted}` : quoted;
+  }
+
+  #alias(alias) {
+    if (!this.safeTables) return alias;
+    if (!identifierPattern.test(alias)) {
+      throw new DBError(`Invalid alias '${alias}'.`);
+    }
+    return as.name(alias);
+  }
+
+  #fieldList() {
+    const { fields } = this;
+    if (!this.safeTables) {
+      return Array.isArray(fields) ? fields.join(', ') : `${fields}`;
+    }
+
+    const items =
+      fields instanceof RawSQL
+        ? [fields]
+        : Array.isArray(fields)
+        ? fields.flatMap((f) =>
+            f instanceof RawSQL ? [f] : this.#splitList(f)
+          )
+        : this.#splitList(fields);
+
+    return items
+      .map((item) => {
+        if (item instanceof RawSQL) return item.sql;
+        const match = /^(\S+)\s+AS\s+(\S+)$/i.exec(item);
+        return match
+          ? `${this.#column(match[1])} AS ${this.#alias(match[2])}`
+          : this.#column(item, true);
+      })
+      .join(', ');
+  }
+
+  #orderByList(orderBy = this.orderBy) {
+    if (!this.safeTables || orderBy instanceof RawSQL) {
+      return `${orderBy}`;
+    }
+
+    return this.#splitList(orderBy)
+      .map((item) => {
+        const match =
+          /^(\S+)(\s+(?:ASC|DESC))?(\s+NULLS\s+(?:FIRST|LAST))?$/i.exec(item);
+        if (!match) {
+          throw new DBError(`Invalid ORDER BY item '${item}'.`);
+        }
+        return [
+          this.#column(match[1]),
+          match[2] && match[2].trim().toUpperCase(),
+          match[3] && match[3].trim().replace(/\s+/g, ' ').toUpperCase(),
+        ]
+          .filter(Boolean)
+          .join(' ');
+      })
+      .join(', ');
+  }
+
+  #groupByList(groupBy = this.groupBy) {
+    if (!this.safeTables || groupBy instanceof RawSQL) {
+      return `${groupBy}`;
+    }
+    return this.#splitList(groupBy)
+      .map((item) => this.#column(item))
+      .join(', ');
+  }
+
+  #joinCondition(condition) {
+    if (!this.safeTables || condition instanceof RawSQL) return `${condition}`;
+
+    // Only `column = column` pairs joined with AND, anything else needs raw()
+    return condition
+      .split(/\s+AND\s+/i)
+      .map((pair) => {
+        const match = /^\s*(\S+)\s*=\s*(\S+)\s*$/.exec(pair);
+        if (!match) {
+          throw new DBError(
+            `Invalid join condition '${condition}'; use raw() for other conditions.`
+          );
+        }
+        return `${this.#column(match[1])} = ${this.#column(match[2])}`;
+      })
+      .join(' AND ');
+  }
+
+  #operator(operator) {
+    if (!this.safeTables) return operator;
+
+    const normalized = String(operator)
+      .trim()
+      .replace(/\s+/g, ' ')
+      .toUpperCase();
+    if (!safeOperators.has(normalized)) {
+      throw new DBError(`Invalid operator '${operator}'.`);
+    }
+    return normalized;
+  }
+
+  #conjunction(conjunction = 'AND') {
+    if (!this.safeTables) return conjunction;
+    const normalized = String(conjunction).trim().toUpperCase();
+    if (normalized !== 'AND' && normalized !== 'OR') {
+      throw new DBError(`Invalid conjunction '${conjunction}'.`);
+    }
+    return normalized;
+  }
+
+  #joinType(type) {
+    if (!this.safeTables) return type;
+    const normalized = String(type).trim().replace(/\s+/g, ' ').toUpperCase();
+    if (!/^(INNER|CROSS|(LEFT|RIGHT|FULL)( OUTER)?)$/.test(normalized)) {
+      throw new DBError(`Invalid join type '${type}'.`);
+    }
+    return normalized;
+  }
+
+  #frame(frame) {
+    if (!this.safeTables || frame instanceof RawSQL) return `${frame}`;
+    const normalized = frame.trim().replace(/\s+/g, ' ').toUpperCase();
+    if (!framePattern.test(normalized)) {
+      throw new DBError(`Invalid window frame '${frame}'.`);
+    }
+    return normalized;
+  }
+
+  #count(value, name) {
+    if (this.safeTables && !(Number.isInteger(value) && value >= 0)) {
+      throw new DBError(`Invalid ${name} value.`);
+    }
+    return value;
+  }
+
+  // Inserts a nested query. The `$n` parameters of a query builder (or of
+  // SQL with `values`) are renumbered to follow the values of this query.
+  #subquery(query, values = []) {
+    let sql;
+    let params;
+    if (isQueryBuilder(query)) {
+      // A nested builder is held to the safe mode of the outer query
+      if (this.safeTables && !query.safeTables) {
+        query.useSafeMode(this.safeTables);
+      }
+      try {
+        ({ query: sql, values: params } = query.buildQuery());
+      } catch (error) {
+        // buildQuery throws the message of errors other than DBError
+        throw error instanceof DBError ? error : new DBError(`${error}`);
+      }
+    } else if (this.safeTables && !(query instanceof RawSQL)) {
+      throw new DBError('Invalid subquery; use raw() or a query builder.');
+    } else {
+      sql = `${query}`;
+      params = values;
+    }
+
+    const offset = this.values.length;
+    this.values.push(...params);
+    return sql.replace(/\$(\d+)/g, (match, n) => `$${Number(n) + offset}`);
+  }
+
+  #withClause() {
+    if (this.ctes.length === 0) return '';
+
+    const recursive = this.ctes.some((cte) => cte.recursive)
+      ? 'RECURSIVE '
+      : '';
+    const ctes = this.ctes.map((cte) => {
+      const columns = cte.columns
+        ? `(${cte.columns.map((column) => this.#alias(column)).join(', ')})`
+        : '';
+      const materialized =
+        cte.materialized === undefined
+          ? ''
+          : `${cte.materialized ? '' : 'NOT '}MATERIALIZED `;
+      const body = this.#subquery(cte.query, cte.values);
+      return `${this.#alias(cte.name)}${columns} AS ${materialized}(${body})`;
+    });
+    return `WITH ${recursive}${ctes.join(', ')} `;
+  }
+
+  // The arguments of a window function: a column (or `*`) and constants
+  #windowArguments(field) {
+    if (field === undefined || field === null || field === '') return '';
+
+    const [column, ...constants] = Array.isArray(field) ? field : [field];
+    return [
+      this.#column(column, true),
+      ...constants.map((constant) => {
+        if (constant instanceof RawSQL) return constant.sql;
+        if (this.safeTables && typeof constant !== 'number') {
+          throw new DBError(`Invalid window function argument '${constant}'.`);
+        }
+        return `${constant}`;
+      }),
+    ].join(', ');
+  }
+
+  // The inside of OVER (...) and of a WINDOW definition
+  #windowSpec({ window, partitionBy, orderBy, frame }) {
+    return [
+      window && this.#alias(window),
+      partitionBy && `PARTITION BY ${this.#groupByList(partitionBy)}`,
+      orderBy && `ORDER BY ${this.#orderByList(orderBy)}`,
+      frame && this.#frame(frame),
+    ]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  #windowFunctionList() {
+    return this.windows
+      .map((w) => {
+        // A named window used as is is referenced without parentheses
+        const over =
+          w.window && !w.orderBy && !w.frame
+            ? this.#alias(w.window)
+            : `(${this.#windowSpec(w)})`;
+        return `${w.func}(${this.#windowArguments(
+          w.field
+        )}) OVER ${over} AS ${this.#alias(w.alias)}`;
+      })
+      .join(', ');
+  }
+
+  #windowClause() {
+    if (this.namedWindows.length === 0) return '';
+    const windows = this.namedWindows.map(
+      (w) => `${this.#alias(w.name)} AS (${this.#windowSpec(w)})`
+    );
+    return ` WINDOW ${windows.join(', ')}`;
+  }
+
+  // A HAVING field: a column or an aggregate of one, e.g. `COUNT(*)`
+  #havingField(field) {
+    const match =
+      this.safeTables &&
+      typeof field === 'string' &&
+      /^(\w+)\(\s*(DISTINCT\s+)?([^\s()]+)\s*\)$/i.exec(field.trim());
+    if (!match) return this.#column(field);
+
+    const [, func, distinct, column] = match;
+    if (!QueryOptions.isValidAggregateFunction(func)) {
+      throw new DBError(`Invalid aggregate function '${func}'.`);
+    }
+    return `${func.toUpperCase()}(${distinct ? 'DISTINCT ' : ''}${this.#column(
+      column,
+      true
+    )})`;
+  }
+
+  #havingClause() {
+    if (this.having.length === 0) return '';
+    const having = this.#conditionList(this.having, (field) =>
+      this.#havingField(field)
+    );
+    return ` HAVING ${having}`;
+  }
+
+  #distinctOnClause() {
+    if (!this.distinctOn) return '';
+    return `DISTINCT ON (${this.#groupByList(this.distinctOn)}) `;
+  }
+
+  // FIRST_VALUE and LAST_VALUE are window functions; as aggregates they
+  // look at all the rows, in the order of the query
+  #aggregate({ func, field, distinct, filter }) {
+    const call = `${func}(${distinct ? 'DISTINCT ' : ''}${this.#column(
+      field,
+      true
+    )})`;
+    if (!QueryOptions.validWindowFunctions.has(func.toUpperCase())) {
+      if (!filter) return call;
+      const conditions = Array.isArray(filter) ? filter : [filter];
+      return `${call} FILTER (WHERE ${this.#conditionList(conditions)})`;
+    }
+    const orderBy = this.orderBy ? `ORDER BY ${this.#orderByList()} ` : '';
+    return `${call} OVER (${orderBy}ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING)`;
+  }
+
+  // The UNION, INTERSECT and EXCEPT parts, each query in parentheses
+  #setOperationList() {
+    return this.setOperations
+      .map(({ type, query }) => ` ${type} (${this.#subquery(query)})`)
+      .join('');
+  }
+
+  // ORDER BY, LIMIT and OFFSET, of the query or of the set operations
+  #orderAndLimit() {
+    let clause = '';
+    if (this.orderBy) {
+      clause += ` ORDER BY ${this.#orderByList()}`;
+    }
+    if (this.limit !== undefined) {
+      clause += ` LIMIT ${this.#count(this.limit, 'limit')}`;
+    }
+    if (this.offset !== undefined) {
+      clause += ` OFFSET ${this.#count(this.offset, 'offset')}`;
+    }
+    return clause;
   }
 
   /**
@@ -30,6 +482,7 @@ class SelectQueryBuilder extends QueryOptions {
    * @returns {Object} An object containing the built query and the associated values.
    * @throws {Error} If no table is set.
    * @throws {Error} If an error occurs while building the query.
+   * @throws {DBError} If an identifier, operator or clause is rejected by the safe mode.
    *
    * @example
    *
@@ -49,15 +502,20 @@ class SelectQueryBuilder extends QueryOptions {
       if (!this.table) {
         throw new Error('No table set');
       }
+      // Built first, so that its parameters come before those of the query
+      query = this.#withClause();
       if (this.aggregates.length > 0) {
-        query = this.buildAggregateQuery();
+        query += this.buildAggregateQuery();
       } else {
-        query = this.buildSelectQuery();
+        query += this.buildSelectQuery();
+      }
+      if (this.setOperations.length > 0) {
+        query += this.#setOperationList() + this.#orderAndLimit();
       }
       return { query, values: this.values };
     } catch (error) {
       // console.log({ ReferenceError: error });
-      throw error.message;
+      throw error instanceof DBError ? error : error.message;
     }
   }
 
@@ -66,7 +524,13 @@ class SelectQueryBuilder extends QueryOptions {
    * @returns {string} The generated SELECT query.
    */
   buildSelectQuery() {
-    let query = `SELECT ${this.fields} FROM ${this.table}`;
+    const fields = [
+      this.#fieldList(),
+      ...(this.windows.length > 0 ? [this.#windowFunctionList()] : []),
+    ].join(', ');
+    let query = `SELECT ${this.#distinctOnClause()}${fields} FROM ${this.#table(
+      this.table
+    )}`;
     if (this.joins.length > 0) {
       query = this.addJoins(query);
     }
@@ -74,16 +538,12 @@ class SelectQueryBuilder extends QueryOptions {
       query = this.addWhereClause(query);
     }
     if (this.groupBy) {
-      query += ` GROUP BY ${this.groupBy}`;
+      query += ` GROUP BY ${this.#groupByList()}`;
     }
-    if (this.orderBy) {
-      query += ` ORDER BY ${this.orderBy}`;
-    }
-    if (this.limit !== undefined) {
-      query += ` LIMIT ${this.limit}`;
-    }
-    if (this.offset !== undefined) {
-      query += ` OFFSET ${this.offset}`;
+    query += this.#havingClause() + this.#windowClause();
+    // With set operations they follow the combined query
+    if (this.setOperations.length === 0) {
+      query += this.#orderAndLimit();
     }
 
     return query;
@@ -94,24 +554,27 @@ class SelectQueryBuilder extends QueryOptions {
    * @returns {string} The aggregate query.
    */
   buildAggregateQuery() {
-    const aggregateFields = this.aggregates
-      .map((a) => `${a.func}(${a.field}) AS ${a.alias}`)
-      .join(', ');
-    let query = `SELECT ${aggregateFields} FROM ${this.table}`;
+    // The fields are the grouped columns selected with the aggregates
+    const aggregateFields = [
+      ...(this.fields !== '*' ? [this.#fieldList()] : []),
+      ...this.aggregates.map(
+        (a) => `${this.#aggregate(a)} AS ${this.#alias(a.alias)}`
+      ),
+      ...(this.windows.length > 0 ? [this.#windowFunctionList()] : []),
+    ].join(', ');
+    let query = `SELECT ${this.#distinctOnClause()}${aggregateFields} FROM ${this.#table(
+      this.table
+    )}`;
     if (this.conditions.length > 0) {
       query = this.addWhereClause(query);
     }
     if (this.groupBy) {
-      query += ` GROUP BY ${this.groupBy}`;
+      query += ` GROUP BY ${this.#groupByList()}`;
     }
-    if (this.orderBy) {
-      query += ` ORDER BY ${this.orderBy}`;
-    }
-    if (this.limit !== undefined) {
-      query += ` LIMIT ${this.limit}`;
-    }
-    if (this.offset !== undefined) {
-      query += ` OFFSET ${this.offset}`;
+    query += this.#havingClause() + this.#windowClause();
+    // With set operations they follow the combined query
+    if (this.setOperations.length === 0) {
+      query += this.#orderAndLimit();
     }
 
     return query;
@@ -125,54 +588,97 @@ class SelectQueryBuilder extends QueryOptions {
    */
   addJoins(query) {
     this.joins.forEach((join) => {
-      query += ` ${join.type} JOIN ${join.table} ON ${join.condition}`;
+      query += ` ${this.#joinType(join.type)} JOIN ${this.#table(
+        join.table
+      )} ON ${this.#joinCondition(join.condition)}`;
     });
     return query;
   }
 
   /**
    * Adds a WHERE clause to the query based on the specified conditions.
+   *
+   * The value of a condition may be another SelectQueryBuilder: `IN`,
+   * comparisons and `= ANY` / `> ALL` (and so on) then compare with the
+   * subquery, and `EXISTS` / `NOT EXISTS` take it without a field. The
+   * parameters of the subquery are renumbered into the values of this
+   * query. A raw() value is inserted as is, e.g. the outer column of a
+   * correlated subquery.
    * @param {string} query - The original query string.
    * @returns {string} The modified query string with the WHERE clause added.
+   * @throws {DBError} If EXISTS is not given a subquery.
+   *
+   * @example
+   *
+   * const orders = new SelectQueryBuilder()
+   *   .setTable('orders')
+   *   .setFields('1')
+   *   .addCondition({ field: 'orders.user_id', operator: '=', value: SelectQueryBuilder.raw('users.id') })
+   *   .addCondition({ field: 'orders.amount', operator: '>', value: 100 });
+   * qb.setTable('users')
+   *   .addCondition({ field: 'age', operator: '>=', value: 18 })
+   *   .addCondition({ operator: 'EXISTS', value: orders });
+   * qb.buildQuery().query;
+   * // SELECT * FROM users WHERE age >= $1 AND EXISTS (SELECT 1 FROM orders WHERE orders.user_id = users.id AND orders.amount > $2)
    */
   addWhereClause(query) {
-    query += ' WHERE ';
+    return `${query} WHERE ${this.#conditionList(this.conditions)}`;
+  }
 
+  // The conditions of a WHERE, HAVING or FILTER clause. `column` turns the
+  // field of a condition into SQL.
+  #conditionList(conditions, column = (field) => this.#column(field)) {
     // Define a counter for parameter numbering
     let parameterCounter = this.values.length + 1;
 
     const buildCondition = (condition) => {
+      const operator = this.#operator(condition.operator);
+      const { value } = condition;
+      const keyword = String(operator).trim().toUpperCase();
+
+      if (keyword === 'EXISTS' || keyword === 'NOT EXISTS') {
+        if (!isQueryBuilder(value) && !(value instanceof RawSQL)) {
+          throw new DBError(`${keyword} requires a subquery.`);
+        }
+        const subquery = this.#subquery(value);
+        parameterCounter = this.values.length + 1;
+        return `${operator} (${subquery})`;
+      }
+
+      const field = column(condition.field);
+      // A raw value, e.g. the outer column of a correlated subquery
+      if (value instanceof RawSQL) {
+        return `${field} ${operator} ${value.sql}`;
+      }
+      if (isQueryBuilder(value)) {
+        const subquery = this.#subquery(value);
+        parameterCounter = this.values.length + 1;
+        return `${field} ${operator} (${subquery})`;
+      }
+      // `= ANY` and the like compare with the elements of an array value
+      if (/\s(ANY|ALL)$/.test(keyword)) {
+        this.values.push(value);
+        return `${field} ${operator}($${parameterCounter++})`;
+      }
+
       let clause;
-      if (condition.operator === 'LIKE') {
-        clause = `${condition.field} LIKE $${parameterCounter}`;
+      if (operator === 'LIKE') {
+        clause = `${field} LIKE $${parameterCounter}`;
         this.values.push(condition.value);
         parameterCounter++; // Increment counter
-      } else if (
-        condition.operator === 'IN' ||
-        condition.operator === 'NOT IN'
-      ) {
+      } else if (operator === 'IN' || operator === 'NOT IN') {
         const placeholders = condition.value
           .map(() => `$${parameterCounter++}`)
           .join(', ');
-        clause = `${condition.field} ${condition.operator} (${placeholders})`;
+        clause = `${field} ${operator} (${placeholders})`;
         this.values.push(...condition.value);
-      } else if (
-        condition.operator === 'BETWEEN' ||
-        condition.operator === 'NOT BETWEEN'
-      ) {
-        clause = `${condition.field} ${
-          condition.operator
-        } $${parameterCounter++} AND $${parameterCounter++}`;
+      } else if (operator === 'BETWEEN' || operator === 'NOT BETWEEN') {
+        clause = `${field} ${operator} $${parameterCounter++} AND $${parameterCounter++}`;
         this.values.push(...condition.value);
-      } else if (
-        condition.operator === 'IS NULL' ||
-        condition.operator === 'IS NOT NULL'
-      ) {
-        clause = `${condition.field} ${condition.operator}`;
+      } else if (operator === 'IS NULL' || operator === 'IS NOT NULL') {
+        clause = `${field} ${operator}`;
       } else {
-        clause = `${condition.field} ${
-          condition.operator
-        } $${parameterCounter++}`;
+        clause = `${field} ${operator} $${parameterCounter++}`;
         this.values.push(condition.value);
       }
 
@@ -183,7 +689,7 @@ class SelectQueryBuilder extends QueryOptions {
       let clause = '';
       conditions.forEach((condition, index) => {
         if (index !== 0) {
-          clause += ` ${condition.conjunction || 'AND'} `;
+          clause += ` ${this.#conjunction(condition.conjunction)} `;
         }
         if (Array.isArray(condition)) {
           clause += `(${processConditions(condition)})`;
@@ -194,7 +700,7 @@ class SelectQueryBuilder extends QueryOptions {
       return clause;
     };
 
-    return query + processConditions(this.conditions);
+    return processConditions(conditions);
   }
 }
 
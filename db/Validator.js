@@ -0,0 +1,215 @@
+'./db/Validator.js';
+
+/*
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const { parseType, isSerialType } = require('./pgTypes');
+
+const integerRanges = {
+  smallint: [-32768n, 32767n],
+  integer: [-2147483648n, 2147483647n],
+  bigint: [-9223372036854775808n, 9223372036854775807n],
+};
+
+const booleanStrings = [
+  'true',
+  'false',
+  't',
+  'f',
+  'yes',
+  'no',
+  'on',
+  'off',
+  '1',
+  '0',
+];
+
+const uuidPattern =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const timePattern = /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?([+-]\d{2}(:?\d{2})?)?$/;
+
+// Returns the error message for a single (non null) value, or undefined
+function checkValue(base, modifiers, value) {
+  switch (base) {
+    case 'character varying':
+    case 'character':
+    case 'text':
+      if (typeof value !== 'string') return 'must be a string';
+      if (modifiers[0] && value.length > modifiers[0]) {
+        return `must be at most ${modifiers[0]} characters`;
+      }
+      return undefined;
+
+    case 'smallint':
+    case 'integer':
+    case 'bigint': {
+      const text = typeof value === 'bigint' ? String(value) : value;
+      if (
+        !(typeof text === 'number' && Number.isInteger(text)) &&
+        !(typeof text === 'string' && /^-?\d+$/.test(text))
+      ) {
+        return 'must be an integer';
+      }
+      const [min, max] = integerRanges[base];
+      const number = BigInt(text);
+      return number < min || number > max
+        ? `is out of range for ${base}`
+        : undefined;
+    }
+
+    case 'numeric':
+    case 'real':
+    case 'double precision': {
+      const isNumber =
+        (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && /^-?(\d+\.?\d*|\.\d+)$/.test(value));
+      if (!isNumber) return 'must be a number';
+
+      const [precision, scale = 0] = modifiers;
+      if (base === 'numeric' && precision) {
+        const digits = String(value).replace(/^-/, '').split('.')[0];
+        if (digits.replace(/^0+/, '').length > precision - scale) {
+          return `must have at most ${
+            precision - scale
+          } digits before the decimal point`;
+        }
+      }
+      return undefined;
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ||
+        (typeof value === 'string' &&
+          booleanStrings.includes(value.toLowerCase()))
+        ? undefined
+        : 'must be a boolean';
+
+    case 'uuid':
+      return typeof value === 'string' && uuidPattern.test(value)
+        ? undefined
+        : 'must be a UUID';
+
+    case 'date':
+    case 'timestamp without time zone':
+    case 'timestamp with time zone': {
+      const time =
+        value instanceof Date
+          ? value.getTime()
+          : typeof value === 'string' || typeof value === 'number'
+          ? new Date(value).getTime()
+          : NaN;
+      return Number.isNaN(time) ? 'must be a valid date' : undefined;
+    }
+
+    case 'time without time zone':
+    case 'time with time zone':
+      return typeof value === 'string' && timePattern.test(value)
+        ? undefined
+        : 'must be a valid time';
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Validates records against the column definitions of a {@link Schema}
+ * before they are written.
+ *
+ * Values are checked against the column type (string lengths, integer
+ * ranges, numeric precision, booleans, UUIDs, dates and times, arrays of
+ * those), `enum` lists and the custom `validate` function of the column.
+ * Columns that are NOT NULL and have no default are required on insert.
+ * Types the validator does not know (json, user-defined types, ...) are
+ * left to PostgreSQL.
+ *
+ * @class Validator
+ *
+ * @constructor
+ * @param {Object.<string, ColumnConfig>} columns - The column definitions
+ */
+class Validator {
+  constructor(columns) {
+    this.columns = columns;
+  }
+
+  #isRequired(config) {
+    const isGenerated =
+      isSerialType(config.type) ||
+      config.generated !== undefined ||
+      config.default !== undefined;
+    return !config.nullable && !isGenerated;
+  }
+
+  /**
+   * Validates a record.
+   * @param {Object} dto - The record
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial=false] - Only validate the columns present in the record (updates)
+   * @returns {Promise<Object.<string, string[]>>} The error messages by column, empty when the record is valid
+   */
+  async validate(dto, options = {}) {
+    const { partial = false } = options;
+    const errors = {};
+    const fail = (column, message) => {
+      errors[column] = [...(errors[column] || []), message];
+    };
+
+    for (const [column, config] of Object.entries(this.columns)) {
+      const value = dto[column];
+
+      if (value === undefined) {
+        if (!partial && this.#isRequired(config)) fail(column, 'is required');
+        continue;
+      }
+      if (value === null) {
+        if (!config.nullable) fail(column, 'can not be null');
+        continue;
+      }
+
+      const { base, modifiers, isArray } = parseType(config.type);
+      const values = isArray ? value : [value];
+      if (isArray && !Array.isArray(value)) {
+        fail(column, 'must be an array');
+        continue;
+      }
+
+      const typeError = values
+        .filter((item) => item !== null)
+        .map((item) => checkValue(base, modifiers, item))
+        .find(Boolean);
+      if (typeError) {
+        fail(column, typeError);
+        continue;
+      }
+
+      if (Array.isArray(config.enum) && !config.enum.includes(value)) {
+        fail(column, `must be one of: ${config.enum.join(', ')}`);
+        continue;
+      }
+
+      if (typeof config.validate === 'function') {
+        try {
+          const result = await config.validate(value, dto);
+          if (result === false) fail(column, 'is invalid');
+          if (typeof result === 'string') fail(column, result);
+        } catch (error) {
+          fail(column, error.message);
+        }
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = Validator;
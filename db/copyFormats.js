@@ -0,0 +1,241 @@
+'./db/copyFormats.js';
+
+/*
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const { StringDecoder } = require('string_decoder');
+
+// Yields the decoded text of a stream of Buffers or strings
+async function* readText(stream) {
+  const decoder = new StringDecoder('utf8');
+  for await (const chunk of stream) {
+    yield typeof chunk === 'string' ? chunk : decoder.write(chunk);
+  }
+  const rest = decoder.end();
+  if (rest) yield rest;
+}
+
+/**
+ * Reads the records of a CSV file (RFC 4180): fields separated by the
+ * delimiter, optionally enclosed in double quotes, with `""` for a quote
+ * and line breaks allowed inside quoted fields. An empty field without
+ * quotes is read as null, `""` as an empty string. Blank lines are skipped.
+ * @param {Readable} stream - The file contents
+ * @param {string} [delimiter=','] - The field delimiter
+ * @yields {{line: number, values: Array<string|null>}|{line: number, error: string}} The fields of each record and the line it starts on
+ */
+async function* readCsv(stream, delimiter = ',') {
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let quotePending = false;
+  let line = 1;
+  let start = 1;
+
+  const endField = () => {
+    values.push(quoted || field !== '' ? field : null);
+    field = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    const record = { line: start, values };
+    values = [];
+    return record.values.length === 1 && record.values[0] === null
+      ? null
+      : record;
+  };
+
+  for await (const text of readText(stream)) {
+    for (const char of text) {
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          quotePending = true;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"' && field === '' && !quoted) {
+        inQuotes = true;
+        quoted = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\n') {
+        const record = endRecord();
+        if (record) yield record;
+        start = ++line;
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  if (inQuotes && !quotePending) {
+    yield { line: start, error: 'Unterminated quoted field.' };
+    return;
+  }
+  const record = endRecord();
+  if (record) yield record;
+}
+
+/**
+ * Reads a JSON lines file, one JSON object per line. Blank lines are
+ * skipped.
+ * @param {Readable} stream - The file contents
+ * @yields {{line: number, record: Object}|{line: number, error: string}} The object on each line
+ */
+async function* readJsonLines(stream) {
+  let rest = '';
+  let line = 0;
+
+  const parse = (text) => {
+    line++;
+    if (text.trim() === '') return null;
+    try {
+      const record = JSON.parse(text);
+      return record && typeof record === 'object' && !Array.isArray(record)
+        ? { line, record }
+        : { line, error: 'Not a JSON object.' };
+    } catch (error) {
+      return { line, error: 'Invalid JSON.' };
+    }
+  };
+
+  for await (const text of readText(stream)) {
+    const lines = (rest + text).split('\n');
+    rest = lines.pop();
+    for (const item of lines) {
+      const result = parse(item);
+      if (result) yield result;
+    }
+  }
+  const result = parse(rest);
+  if (result) yield result;
+}
+
+/**
+ * Reads a PostgreSQL array literal such as `{a,"b c",NULL,{1,2}}`, the text
+ * a CSV file holds for an array column. The elements are strings, unquoted
+ * NULL is null and nested braces are nested arrays.
+ * @param {string} text - The array literal
+ * @returns {Array|undefined} The values, undefined when the text is not an array literal
+ */
+function parseArrayLiteral(text) {
+  let i = 0;
+  const skipSpace = () => {
+    while (/\s/.test(text[i] || '')) i++;
+  };
+  const expect = (valid) => {
+    if (!valid) throw new Error('Invalid array literal.');
+  };
+
+  const readArray = () => {
+    i++; // {
+    const values = [];
+    skipSpace();
+    if (text[i] === '}') {
+      i++;
+      return values;
+    }
+    for (;;) {
+      skipSpace();
+      if (text[i] === '{') {
+        values.push(readArray());
+      } else if (text[i] === '"') {
+        let value = '';
+        for (i++; text[i] !== '"'; i++) {
+          if (text[i] === '\\') i++;
+          expect(i < text.length);
+          value += text[i];
+        }
+        i++;
+        values.push(value);
+      } else {
+        let value = '';
+        for (; i < text.length && !/[,}]/.test(text[i]); i++) {
+          if (text[i] === '\\') i++;
+          else expect(!/["{]/.test(text[i]));
+          expect(i < text.length);
+          value += text[i];
+        }
+        value = value.trim();
+        expect(value !== '');
+        values.push(/^null$/i.test(value) ? null : value);
+      }
+      skipSpace();
+      if (text[i] === '}') {
+        i++;
+        return values;
+      }
+      expect(text[i] === ',');
+      i++;
+    }
+  };
+
+  try {
+    skipSpace();
+    expect(text[i] === '{');
+    const values = readArray();
+    skipSpace();
+    expect(i === text.length);
+    return values;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Formats an array as a PostgreSQL array literal: {"a","b",NULL,{"c"}}
+function arrayLiteral(values) {
+  const elements = values.map((value) => {
+    if (value === null || value === undefined) return 'NULL';
+    if (Array.isArray(value)) return arrayLiteral(value);
+    let text = String(value);
+    if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    return `"${text.replace(/[\\"]/g, '\\$&')}"`;
+  });
+  return `{${elements.join(',')}}`;
+}
+
+/**
+ * Formats a row for `COPY ... FROM STDIN WITH (FORMAT csv)`: null is
+ * written as an empty field, everything else quoted. Arrays are written as
+ * array literals (`{"a","b"}`), except in json and jsonb columns; other
+ * objects are written as JSON.
+ * @param {Array<*>} values - The values of the row
+ * @param {string[]} [types] - The column types of the values
+ * @returns {string} The CSV line, with the line break
+ */
+function csvLine(values, types = []) {
+  const fields = values.map((value, i) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (value instanceof Date) text = value.toISOString();
+    else if (Array.isArray(value) && !/^jsonb?$/i.test(types[i])) {
+      text = arrayLiteral(value);
+    } else if (typeof value === 'object') text = JSON.stringify(value);
+    return `"${text.replace(/"/g, '""')}"`;
+  });
+  return `${fields.join(',')}\n`;
+}
+
+module.exports = { readCsv, readJsonLines, parseArrayLiteral, csvLine };
@@ -59,8 +59,283 @@ class RepositoriesParameterError extends DBError {
   }
 }
 
+/**
+ * Error thrown when a versioned migration can not be loaded, verified or run
+ * @class MigrationError
+ * @extends DBError
+ *
+ * @constructor
+ * @param {string} message - The error message
+ * @param {Error} [cause] - The cause of the error
+ */
+class MigrationError extends DBError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'MigrationError';
+  }
+}
+
+/**
+ * Error thrown when another process holds the migration lock
+ * @class MigrationLockError
+ * @extends MigrationError
+ */
+class MigrationLockError extends MigrationError {
+  constructor() {
+    super('Another migration is already running.');
+    this.name = 'MigrationLockError';
+  }
+}
+
+/**
+ * Error thrown when an update of a versioned model matches no row: the
+ * record was changed or deleted since its version was read
+ * @class StaleRecordError
+ * @extends DBError
+ *
+ * @constructor
+ * @param {string} tableName - The table of the record
+ * @param {number} version - The version the update expected
+ */
+class StaleRecordError extends DBError {
+  constructor(tableName, version) {
+    super(
+      `Record in ${tableName} is stale: version ${version} was changed or deleted by another update.`
+    );
+    this.name = 'StaleRecordError';
+    this.tableName = tableName;
+    this.version = version;
+  }
+}
+
+/**
+ * Error thrown when an update or delete matches no record
+ * @class NotFoundError
+ * @extends DBError
+ *
+ * @constructor
+ * @param {string} message - The error message
+ */
+class NotFoundError extends DBError {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Error thrown when a record does not match the schema of its model. No SQL
+ * was issued.
+ * @class ValidationError
+ * @extends DBError
+ *
+ * @constructor
+ * @param {Object.<string, string[]>} errors - The error messages by column
+ * @param {number} [index] - The position of the record in a bulk operation
+ */
+class ValidationError extends DBError {
+  constructor(errors, index) {
+    const details = Object.entries(errors)
+      .map(([column, messages]) => `${column} ${messages.join(' and ')}`)
+      .join(', ');
+    super(
+      `Validation failed${
+        index === undefined ? '' : ` for record ${index}`
+      }: ${details}.`
+    );
+    this.name = 'ValidationError';
+    this.errors = errors;
+    this.index = index;
+  }
+}
+
+/**
+ * Error thrown when PostgreSQL rejects a query. Carries the details of the
+ * server error, which is kept as `cause`.
+ * @class QueryError
+ * @extends DBError
+ *
+ * @constructor
+ * @param {Error} error - The error raised by pg / pg-promise
+ * @property {string} code - The SQLSTATE code
+ * @property {string} [constraint] - The name of the violated constraint
+ * @property {string} [table] - The table of the violated constraint
+ * @property {string} [column] - The offending column(s), e.g. 'email' or 'vendor_id, address_id'
+ * @property {string} [detail] - The detail message of the server
+ * @property {string} [query] - The text of the failed query
+ */
+class QueryError extends DBError {
+  constructor(error) {
+    super(error.message, error);
+    this.name = 'QueryError';
+    this.code = error.code;
+    this.constraint = error.constraint;
+    this.schema = error.schema;
+    this.table = error.table;
+    this.column = error.column || keyColumns(error.detail);
+    this.detail = error.detail;
+    this.query = error.query;
+  }
+}
+
+// Reads the key columns from a detail such as 'Key (email)=(a@b.c) already
+// exists.', which is the only place unique and foreign key violations name
+// them.
+function keyColumns(detail) {
+  const match = /^Key \((.+?)\)=/.exec(detail || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Error thrown when an insert or update duplicates a unique key (23505)
+ * @class UniqueViolationError
+ * @extends QueryError
+ */
+class UniqueViolationError extends QueryError {
+  constructor(error) {
+    super(error);
+    this.name = 'UniqueViolationError';
+  }
+}
+
+/**
+ * Error thrown when a foreign key references a missing row, or a row still
+ * referenced is deleted (23503)
+ * @class ForeignKeyViolationError
+ * @extends QueryError
+ */
+class ForeignKeyViolationError extends QueryError {
+  constructor(error) {
+    super(error);
+    this.name = 'ForeignKeyViolationError';
+  }
+}
+
+/**
+ * Error thrown when NULL is written to a NOT NULL column (23502)
+ * @class NotNullViolationError
+ * @extends QueryError
+ */
+class NotNullViolationError extends QueryError {
+  constructor(error) {
+    super(error);
+    this.name = 'NotNullViolationError';
+  }
+}
+
+/**
+ * Error thrown when a row fails a CHECK constraint (23514)
+ * @class CheckViolationError
+ * @extends QueryError
+ */
+class CheckViolationError extends QueryError {
+  constructor(error) {
+    super(error);
+    this.name = 'CheckViolationError';
+  }
+}
+
+/**
+ * Error thrown when a row conflicts with an exclusion constraint (23P01)
+ * @class ExclusionViolationError
+ * @extends QueryError
+ */
+class ExclusionViolationError extends QueryError {
+  constructor(error) {
+    super(error);
+    this.name = 'ExclusionViolationError';
+  }
+}
+
+/**
+ * Error thrown when a value can not be read as the type of its column,
+ * e.g. a key that is not an integer (22P02)
+ * @class InvalidTextRepresentationError
+ * @extends QueryError
+ */
+class InvalidTextRepresentationError extends QueryError {
+  constructor(error) {
+    super(error);
+    this.name = 'InvalidTextRepresentationError';
+  }
+}
+
+/**
+ * Error thrown when a serializable transaction can not be committed
+ * (40001). The transaction can be retried.
+ * @class SerializationFailureError
+ * @extends QueryError
+ */
+class SerializationFailureError extends QueryError {
+  constructor(error) {
+    super(error);
+    this.name = 'SerializationFailureError';
+  }
+}
+
+/**
+ * Error thrown when the server aborted the transaction to break a deadlock
+ * (40P01). The transaction can be retried.
+ * @class DeadlockError
+ * @extends QueryError
+ */
+class DeadlockError extends QueryError {
+  constructor(error) {
+    super(error);
+    this.name = 'DeadlockError';
+  }
+}
+
+const pgErrors = {
+  23505: UniqueViolationError,
+  23503: ForeignKeyViolationError,
+  23502: NotNullViolationError,
+  23514: CheckViolationError,
+  '23P01': ExclusionViolationError,
+  '22P02': InvalidTextRepresentationError,
+  40001: SerializationFailureError,
+  '40P01': DeadlockError,
+};
+
+/**
+ * Converts an error raised while running a query into a {@link DBError}.
+ *
+ * Errors of the PostgreSQL server (those with a SQLSTATE `code`) become the
+ * matching subclass of {@link QueryError}, or a QueryError for codes without
+ * one. A DBError is returned as is and anything else is wrapped in a
+ * DBError with the same message, keeping the error as its `cause`.
+ *
+ * @param {Error} error - The error
+ * @returns {DBError} The error to throw
+ */
+function fromPgError(error) {
+  if (error instanceof DBError) return error;
+  if (typeof error === 'string') return new DBError(error);
+  if (!error || !/^[0-9A-Z]{5}$/.test(error.code)) {
+    return new DBError(error && error.message, error);
+  }
+
+  const ErrorClass = pgErrors[error.code] || QueryError;
+  return new ErrorClass(error);
+}
+
 module.exports = {
   DBError,
   ConnectionParameterError,
   RepositoriesParameterError,
+  MigrationError,
+  MigrationLockError,
+  StaleRecordError,
+  NotFoundError,
+  ValidationError,
+  QueryError,
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  NotNullViolationError,
+  CheckViolationError,
+  ExclusionViolationError,
+  InvalidTextRepresentationError,
+  SerializationFailureError,
+  DeadlockError,
+  fromPgError,
 };
@@ -0,0 +1,223 @@
+'./db/pgTypes.js';
+
+/*
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+// Maps type names and aliases to the names PostgreSQL reports in
+// information_schema.columns.data_type
+const typeAliases = {
+  int: 'integer',
+  int4: 'integer',
+  integer: 'integer',
+  serial: 'integer',
+  serial4: 'integer',
+  smallint: 'smallint',
+  int2: 'smallint',
+  smallserial: 'smallint',
+  serial2: 'smallint',
+  bigint: 'bigint',
+  int8: 'bigint',
+  bigserial: 'bigint',
+  serial8: 'bigint',
+  bool: 'boolean',
+  boolean: 'boolean',
+  real: 'real',
+  float4: 'real',
+  float: 'double precision',
+  float8: 'double precision',
+  'double precision': 'double precision',
+  decimal: 'numeric',
+  numeric: 'numeric',
+  varchar: 'character varying',
+  'character varying': 'character varying',
+  char: 'character',
+  character: 'character',
+  bpchar: 'character',
+  text: 'text',
+  uuid: 'uuid',
+  json: 'json',
+  jsonb: 'jsonb',
+  bytea: 'bytea',
+  date: 'date',
+  timestamp: 'timestamp without time zone',
+  'timestamp without time zone': 'timestamp without time zone',
+  timestamptz: 'timestamp with time zone',
+  'timestamp with time zone': 'timestamp with time zone',
+  time: 'time without time zone',
+  'time without time zone': 'time without time zone',
+  timetz: 'time with time zone',
+  'time with time zone': 'time with time zone',
+  interval: 'interval',
+};
+
+const serialTypes = new Set([
+  'serial',
+  'serial2',
+  'serial4',
+  'serial8',
+  'smallserial',
+  'bigserial',
+]);
+
+/**
+ * Splits a column type into its base name, modifiers and array flag.
+ * @param {string} type - A column type such as 'VARCHAR(255)' or 'int4[]'
+ * @returns {{base: string, modifiers: number[], isArray: boolean}} The parsed type
+ */
+function parseType(type) {
+  let text = String(type).trim().toLowerCase().replace(/\s+/g, ' ');
+  const isArray = text.endsWith('[]');
+  if (isArray) text = text.slice(0, -2).trim();
+
+  const match = /^([^(]*?)\s*(?:\(([^)]*)\))?\s*$/.exec(text);
+  const name = match ? match[1] : text;
+  const modifiers = match && match[2] ? match[2].split(',').map(Number) : [];
+  const base = typeAliases[name] || name;
+
+  return { base, modifiers, isArray };
+}
+
+/**
+ * Converts a column type into the canonical form PostgreSQL uses, so that
+ * types written in a Schema can be compared with introspected ones
+ * (e.g. 'VARCHAR(50)' and 'character varying(50)', 'int4' and 'integer').
+ * @param {string} type - The column type
+ * @returns {string} The canonical type
+ */
+function normalizeType(type) {
+  const { base, modifiers, isArray } = parseType(type);
+  let modifiersList = modifiers;
+
+  if (base === 'character' && modifiersList.length === 0) {
+    modifiersList = [1];
+  }
+
+  const withModifiers =
+    modifiersList.length > 0 ? `${base}(${modifiersList.join(',')})` : base;
+  return isArray ? `${withModifiers}[]` : withModifiers;
+}
+
+/**
+ * Builds the canonical column type from an information_schema.columns row.
+ * @param {Object} column - A row of information_schema.columns
+ * @returns {string} The canonical type
+ */
+function typeFromInformationSchema(column) {
+  const {
+    data_type: dataType,
+    udt_name: udtName,
+    character_maximum_length: length,
+    numeric_precision: precision,
+    numeric_scale: scale,
+  } = column;
+
+  if (dataType === 'ARRAY') {
+    return `${normalizeType(String(udtName).replace(/^_/, ''))}[]`;
+  }
+  if (dataType === 'USER-DEFINED') {
+    return udtName;
+  }
+  if (
+    (dataType === 'character varying' || dataType === 'character') &&
+    length
+  ) {
+    return `${dataType}(${length})`;
+  }
+  if (dataType === 'numeric' && precision) {
+    return `numeric(${precision},${scale || 0})`;
+  }
+
+  return normalizeType(dataType);
+}
+
+/**
+ * Indicates if the type is one of the serial pseudo-types.
+ * @param {string} type - The column type
+ * @returns {boolean} True for serial, bigserial, smallserial and aliases
+ */
+function isSerialType(type) {
+  return serialTypes.has(String(type).trim().toLowerCase());
+}
+
+/**
+ * Converts a column default into a comparable form: casts, quotes and case
+ * are removed and a NULL default is returned as null.
+ * @param {*} value - The default from a Schema or from information_schema
+ * @returns {string|null} The normalized default
+ */
+function normalizeDefault(value) {
+  if (value === undefined || value === null) return null;
+
+  let text = String(value).trim();
+  // Strip trailing casts such as 'user'::character varying
+  text = text.replace(/::[a-z_ ]+(\(\d+(,\d+)?\))?(\[\])?/gi, '');
+  text = text.replace(/^'(.*)'$/, '$1').toLowerCase();
+
+  return text === 'null' ? null : text;
+}
+
+/**
+ * Converts a constraint or index definition into a comparable form, so that
+ * a definition written in a Schema can be compared with the one
+ * pg_get_constraintdef or pg_get_indexdef returns. Casts, quotes, the
+ * `public` schema, the default `NO ACTION` and `MATCH SIMPLE` clauses,
+ * parentheses, white space and case are removed.
+ * @param {string} definition - The definition, e.g. 'CHECK (price > 1)'
+ * @returns {string} The normalized definition
+ */
+function normalizeDefinition(definition) {
+  if (definition === undefined || definition === null) return '';
+
+  return String(definition)
+    .replace(
+      /::(?:"[^"]*"|[a-z_][a-z0-9_]*(?: varying| precision| with(?:out)? time zone)?)(?:\(\d+(?:,\s*\d+)?\))?(?:\[\])*/gi,
+      ''
+    )
+    .replace(/"/g, '')
+    .toLowerCase()
+    .replace(/\bpublic\./g, '')
+    .replace(/\bon (?:delete|update) no action\b/g, '')
+    .replace(/\bmatch simple\b/g, '')
+    .replace(/[()\s]/g, '');
+}
+
+/**
+ * Returns the key columns and expressions of an index, the list in
+ * parentheses after the table in pg_get_indexdef. The access method and a
+ * WHERE or INCLUDE clause, which a Schema index can not express, are left
+ * out.
+ * @param {string} definition - The index definition
+ * @returns {string} The key list, or the definition if it can not be parsed
+ */
+function indexKeys(definition) {
+  const text = String(definition || '');
+  const match = /\sON\s+(?:ONLY\s+)?\S+\s+(?:USING\s+\w+\s+)?\(/i.exec(text);
+  if (!match) return text;
+
+  const start = match.index + match[0].length;
+  let depth = 1;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth === 0) return text.slice(start, i);
+  }
+  return text;
+}
+
+module.exports = {
+  parseType,
+  normalizeType,
+  typeFromInformationSchema,
+  isSerialType,
+  normalizeDefault,
+  normalizeDefinition,
+  indexKeys,
+};
@@ -0,0 +1,216 @@
+'./db/router.js';
+
+/*
+ *
+ * Copyright © 2024-present, Ian Silverstone
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const QueryParser = require('./QueryParser');
+const {
+  DBError,
+  NotFoundError,
+  StaleRecordError,
+  ValidationError,
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  NotNullViolationError,
+  CheckViolationError,
+  ExclusionViolationError,
+  InvalidTextRepresentationError,
+  SerializationFailureError,
+  DeadlockError,
+} = require('./errors');
+
+// HTTP status by error class, most specific first
+const errorStatuses = [
+  [InvalidTextRepresentationError, 400],
+  [ValidationError, 422],
+  [NotNullViolationError, 422],
+  [CheckViolationError, 422],
+  [NotFoundError, 404],
+  [StaleRecordError, 409],
+  [UniqueViolationError, 409],
+  [ForeignKeyViolationError, 409],
+  [ExclusionViolationError, 409],
+  [SerializationFailureError, 503],
+  [DeadlockError, 503],
+];
+
+/**
+ * Returns the HTTP status code for an error thrown by a repository.
+ * @param {Error} error - The error
+ * @returns {number} The status code, 500 for errors without a mapping
+ */
+function statusFor(error) {
+  const match = errorStatuses.find(
+    ([ErrorClass]) => error instanceof ErrorClass
+  );
+  return match ? match[1] : 500;
+}
+
+/**
+ * Creates an Express router with the REST routes of a repository:
+ *
+ * - `GET /`: the records matching the query string, as
+ *   `{ data, meta: { total, page: { size, number } } }`. The query string
+ *   is read by a {@link QueryParser}: `filter[column][op]=value`,
+ *   `sort=column,-column`, `fields=column,column`, `page[size]` and
+ *   `page[number]`.
+ * - `GET /count`: `{ count }` of the records matching the filter.
+ * - `GET /:pk`: the record, or 404.
+ * - `POST /`: inserts the request body and answers 201 with the record.
+ * - `PATCH /:pk`: updates the record with the request body and answers
+ *   with the updated record.
+ * - `DELETE /:pk`: deletes the record (a soft delete when the schema
+ *   enables it) and answers 204.
+ *
+ * Errors are answered as `{ error, errors }` with the status given by
+ * {@link statusFor}: 400 for values that do not fit their column (such as a
+ * malformed key), 422 for invalid records, 404 when the record does not
+ * exist, 409 for conflicts (unique and foreign keys, stale versions) and
+ * 503 for transactions worth retrying.
+ *
+ * The router expects a JSON body parser to run before it. Express is not a
+ * dependency of nap-db; it is loaded from the application unless passed in
+ * `options.express`.
+ *
+ * @param {Model} model - The repository, e.g. `db.users`
+ * @param {Object} [options] - Router options
+ * @param {Function} [options.actor] - `(req) => string`, the user stamped in `created_by`, `updated_by` and `deleted_by`
+ * @param {number} [options.maxPageSize=100] - The largest page size a request may ask for
+ * @param {number} [options.defaultPageSize=25] - The page size when the request does not give one
+ * @param {Object} [options.express] - The express module
+ * @returns {Object} The Express router
+ * @throws {DBError} If the model does not have a single column primary key
+ *
+ * @example
+ *
+ * app.use(express.json());
+ * app.use('/users', createRouter(db.users, { actor: (req) => req.user.name }));
+ */
+function createRouter(model, options = {}) {
+  const express = options.express || require('express');
+  const { actor, maxPageSize, defaultPageSize } = options;
+  const parser = new QueryParser(model, { maxPageSize, defaultPageSize });
+
+  const primaryKey = model.primaryKeyColumns();
+  if (primaryKey.length !== 1) {
+    throw new DBError(
+      `REST routes require a single column primary key on ${model.schema.tableName}.`
+    );
+  }
+  const [pk] = primaryKey;
+  const pkCondition = `WHERE ${model.pgp.as.name(pk)} = \${${pk}}`;
+  const findByKey = (value) =>
+    model.findOne({
+      conditions: [{ field: pk, operator: '=', value }],
+    });
+  const stamp = (req, column, dto) =>
+    actor ? { ...dto, [column]: actor(req) } : dto;
+  // Only the columns of the table are taken from the body, so a request
+  // can not smuggle in options such as `_condition` or `returning`.
+  const columns = Object.keys(model.tableColumns());
+  const record = (body) =>
+    Object.fromEntries(
+      Object.entries(body || {}).filter(([key]) => columns.includes(key))
+    );
+
+  const router = express.Router();
+  const route = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      res.status(statusFor(error)).json({
+        error: error.message,
+        ...(error.errors && { errors: error.errors }),
+      });
+    }
+  };
+
+  router.get(
+    '/',
+    route(async (req, res) => {
+      const query = parser.parse(req.query);
+      const rows = await model.findAndCountAll(query.Options);
+      const total = rows.length > 0 ? Number(rows[0].total_count) : 0;
+      rows.forEach((row) => delete row.total_count);
+      res.json({
+        data: rows,
+        meta: {
+          total,
+          page: {
+            size: query.limit,
+            number: (query.offset || 0) / query.limit + 1,
+          },
+        },
+      });
+    })
+  );
+
+  router.get(
+    '/count',
+    route(async (req, res) => {
+      const { conditions } = parser.parse(req.query);
+      const row = await model.count({
+        conditions,
+        aggregates: [{ func: 'COUNT', field: '*', alias: 'count' }],
+      });
+      res.json({ count: Number(row ? row.count : 0) });
+    })
+  );
+
+  router.get(
+    '/:pk',
+    route(async (req, res) => {
+      const row = await findByKey(req.params.pk);
+      if (!row) throw new NotFoundError('Record not found.');
+      res.json(row);
+    })
+  );
+
+  router.post(
+    '/',
+    route(async (req, res) => {
+      const row = await model.insertReturning(
+        stamp(req, 'created_by', record(req.body))
+      );
+      res.status(201).json(row);
+    })
+  );
+
+  router.patch(
+    '/:pk',
+    route(async (req, res) => {
+      await model.update({
+        ...stamp(req, 'updated_by', { updated_by: null, ...record(req.body) }),
+        [pk]: req.params.pk,
+        _condition: pkCondition,
+      });
+      res.json(await findByKey(req.params.pk));
+    })
+  );
+
+  router.delete(
+    '/:pk',
+    route(async (req, res) => {
+      await model.delete(
+        stamp(req, 'deleted_by', {
+          [pk]: req.params.pk,
+          _condition: pkCondition,
+        })
+      );
+      res.status(204).end();
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createRouter, statusFor };
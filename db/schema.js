@@ -26,6 +26,8 @@
  * @property {string} [comment] - Comment for the column.
  * @property {string} [constraint] - Additional constraints for the column.
  * @property {string} [index] - Defines an index on the column.
+ * @property {Array} [enum] - The values the column accepts, checked before the record is written.
+ * @property {Function} [validate] - Custom check `(value, dto) => boolean|string`, may be async. Return false or a message (or throw) to reject the value.
  */
 
 /**
@@ -53,13 +55,42 @@
  * };
  */
 
+/**
+ * @typedef {Object} RelationConfig
+ * A relation to the rows of another registered repository, loaded with the `include` option of `findAll` and `findOne`.
+ * @property {string} type - 'belongsTo', 'hasOne', 'hasMany' or 'manyToMany'.
+ * @property {string} model - The name the related repository is registered under in `DB.init` (e.g. 'addresses').
+ * @property {string} foreignKey - belongsTo: the column of this table referencing the related row. hasOne / hasMany: the column of the related table referencing this row. manyToMany: the column of the join table referencing this row.
+ * @property {string} [sourceKey] - The column of this table referenced by `foreignKey` (default: the primary key). Not used by belongsTo.
+ * @property {string} [targetKey] - The column of the related table referenced by `foreignKey` (belongsTo) or `otherKey` (manyToMany) (default: its primary key).
+ * @property {string} [through] - manyToMany: the join table, optionally schema qualified.
+ * @property {string} [otherKey] - manyToMany: the column of the join table referencing the related row.
+ *
+ * @example
+ * const relations = {
+ *   vendor: { type: 'belongsTo', model: 'vendors', foreignKey: 'vendor_id' },
+ *   orders: { type: 'hasMany', model: 'orders', foreignKey: 'vendor_id' },
+ *   addresses: {
+ *     type: 'manyToMany',
+ *     model: 'addresses',
+ *     through: 'vendor_addresses',
+ *     foreignKey: 'vendor_id',
+ *     otherKey: 'address_id',
+ *   },
+ * };
+ */
+
 /**
  * @typedef {Object} Schema
  * @property {string} tableName - The name of the table.
  * @property {string} [dbSchema='public'] - The schema of the table.
  * @property {boolean} [timeStamps=true] - Indicates if the table should include timestamp columns (created_at, created_by, updated_at, updated_by).
+ * @property {boolean} [versioned=false] - Adds a version column; updates must give the version they read and fail with a StaleRecordError when it changed.
+ * @property {boolean} [softDelete=false] - Adds deleted_at and deleted_by columns; `delete` only marks rows as deleted and reads skip them.
+ * @property {boolean} [audit=false] - Records every insert, update and delete in a `<tableName>_history` table through a trigger; read it with `Model#history`.
+ * @property {boolean} [safeMode=false] - Builds the find and aggregate queries in the safe mode of SelectQueryBuilder: identifiers must be columns of the table or of related tables and are quoted, operators are checked and other SQL requires raw().
  * @property {Object.<string, ColumnConfig>} columns - Definitions for the columns in the table.
  * @property {ConstraintsConfig} [constraints] - Additional constraints on the table.
  * @property {Object.<string, IndexConfig>} [indexes] - Definitions for the indexes on the table.
+ * @property {Object.<string, RelationConfig>} [relations] - Relations to other models, by the property the related rows are nested under.
  */
- 
@@ -2,8 +2,28 @@
 
 const DB = require('./db/DB');
 const Model = require('./db/Model');
+const Migrator = require('./db/Migrator');
+const MigrationRunner = require('./db/MigrationRunner');
+const SchemaInspector = require('./db/SchemaInspector');
+const SchemaGenerator = require('./db/SchemaGenerator');
+const QueryParser = require('./db/QueryParser');
+const SelectQueryBuilder = require('./db/SelectQueryBuilder');
+const RawSQL = require('./db/RawSQL');
+const errors = require('./db/errors');
+const { createRouter, statusFor } = require('./db/router');
 
 module.exports = {
   DB,
   Model,
-};
\ No newline at end of file
+  Migrator,
+  MigrationRunner,
+  SchemaInspector,
+  SchemaGenerator,
+  QueryParser,
+  SelectQueryBuilder,
+  RawSQL,
+  raw: SelectQueryBuilder.raw,
+  createRouter,
+  statusFor,
+  ...errors,
+};
@@ -1,6 +1,7 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const DB = require('../db/DB');
+const { createRouter } = require('../db/router');
 const Users = require('./Users');
 
 ('use strict');
@@ -42,71 +43,9 @@ try {
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(bodyParser.json());
 
-// Add a route to create a new user
-app.post('/insert', async (req, res) => {
-  console.log('Hello');
-
-  try {
-    const DTO = req.body;
-    const result = await db.users.insertReturning(DTO);
-    console.log('User created:');
-    res.json(result);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.get('/select', async (req, res) => {
-  try {
-    const DTO = req.body;
-    console.log('DTO:', DTO);
-
-    const result = await db.users.select(DTO);
-
-    // console.log('Result:', result);
-
-    res.json(result);
-  } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.put('/update', async (req, res) => {
-  try {
-    const DTO = req.body;
-    await db.users.update(DTO);
-    console.log('User updated:');
-    
-    res.json('user updated');
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.delete('/delete', async (req, res) => {
-  try {
-    const DTO = req.body;
-    await db.users.delete(DTO);
-    res.json('user deleted');
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.get('/count', async (req, res) => {
-  try {
-    const dto = req.body;
-    const count = await db.users.count(dto);
-    res.json(count);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: error.message });
-  }
-});
+// REST routes of the users table: GET /users, GET /users/count,
+// GET /users/:id, POST /users, PATCH /users/:id and DELETE /users/:id
+app.use('/users', createRouter(db.users));
 
 // Error handling middleware
 app.use((err, req, res, next) => {